@@ -3,24 +3,55 @@
 
    Quick quiz app for new students (UK Life / UAL Tips / British Slang).
    User picks a category → picks difficulty → timed questions (optional).
-   Saves high scores per category+difficulty and some lifetime stats.
+   Saves high scores (points) per category+difficulty and some lifetime stats.
 
    Features
    - 3 categories
    - Easy / Medium / Hard (15s / 10s / 7s if timer is on)
-   - Hints on some questions
-   - Per-category+difficulty high score (local)
+   - Adaptive: one round across all three difficulties that steps up after
+     right answers and down after misses, then suggests a difficulty
+   - Timer per question, or one time budget for the whole quiz; it keeps
+     running while the app is in the background
+   - Hints on some questions, revealed one at a time, plus a first-letter /
+     letter-count hint on free-text questions
+   - Explanations after answering (and in the Answers Review) where a question has one
+   - Lenient answer checking (alternates, typos, "nearly!" verdict)
+   - Free text, multiple choice and true/false questions
+   - Points: difficulty weighting, speed bonus, hint penalty, streak multiplier
+   - Per-category+difficulty high score in points (local)
    - Lifetime stats: quizzes taken, total answered/correct, best streak
-   - Results screen shows your answers + correct ones
-   - Settings: toggle timer, reset stats
+   - Results screen shows your answers + correct ones, how long each took and its points
+   - Settings: toggle timer, extra time per question, reset stats
+   - Light / dark / high-contrast themes (follows the system or a per-profile pick)
+   - Accessibility: labelled controls, screen-reader announcements, scales with font size, reduced motion
+   - Question editor: add/edit/delete categories + questions (saved locally)
+   - Question packs: import/export the bank as JSON or CSV
+   - Pack sync: questions from a JSON pack at an address set in Settings,
+     fetched on launch (conditional requests) and cached for offline use
+   - Review due: spaced-repetition rounds built from your answer history
+   - Daily Challenge: same seeded round for everyone each day, one scored try
+   - English / Español / 简体中文 UI and questions (follows the device or a per-profile pick)
+   - History: every finished quiz is logged and can be reopened
+   - Leaderboards: top 10 per category+difficulty, shared on the device
+   - Badges: achievements unlocked by answers and rounds, with a toast when earned
+   - Pass and play: 2–6 players take turns on one device, then see the standings
+   - Study mode: unscored flashcards, then a quick quiz on the ones you didn't know
+   - Custom rounds: mix categories + difficulties, pick the length, hints, time
+     limit and "missed before" filter; save setups as presets
+   - Profiles: several students per device, each with their own data
+   - Navigation stack with Android back; leaving a running quiz asks first
+   - Unfinished quizzes are saved as you go and can be resumed after a restart
+   - Deep links: simple-qa-app://quiz/British%20Slang/Hard opens that round
+   - Everything is saved in one versioned document (src/storage.js)
 
    How to run
    - npm install
    - npx expo start
    - Open with Expo Go or an emulator
+   - npm test runs the quiz engine unit tests (Jest)
 ------------------------------------------------------------------------ */
 
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import {
   View,
   Text,
@@ -31,93 +62,248 @@ import {
   TouchableOpacity,
   Switch,
   Alert,
+  AppState,
+  Linking,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { StatusBar } from 'expo-status-bar';
+import { VERDICT } from './src/answerMatching';
+import { hasOptions, hintsFor, optionsFor, prepareQuestion } from './src/questionTypes';
+import {
+  LANGUAGES,
+  categoryLabel,
+  deviceLanguage,
+  difficultyLabel,
+  formatDate,
+  formatPercent,
+  getLanguage,
+  languageName,
+  optionLabel,
+  setLanguage,
+  t,
+} from './src/i18n';
+import {
+  DIFFICULTIES,
+  emptyCustomBank,
+  loadCustomBank,
+  localizeQuestion,
+  mergeBanks,
+  saveCustomBank,
+  shippedBank,
+} from './src/questionBank';
+import {
+  isPackUrl,
+  loadRemotePacks,
+  setPackUrl,
+  syncRemotePacks,
+} from './src/remotePacks';
+import {
+  EXTRA_TIME_OPTIONS,
+  announce,
+  shouldAnnounceCountdown,
+  useAccessibilityPrefs,
+} from './src/accessibility';
+import { parseDeepLink, useBackHandler, useNavigation } from './src/navigation';
+import { ADAPTIVE, ADAPTIVE_ROUND_SIZE, pathRuns } from './src/adaptive';
+import { THEMES, ThemeProvider, VERDICT_MARK, useTheme, useThemedStyles } from './src/theme';
+import {
+  badgeById,
+  emptyAchievements,
+  newlyUnlocked,
+  trackAnswer,
+  withUnlocked,
+} from './src/achievements';
+import AnswersReview from './src/components/AnswersReview';
+import PopIn from './src/components/PopIn';
+import { ToastProvider, useToast } from './src/components/Toast';
+import BadgesScreen from './src/screens/BadgesScreen';
+import BankEditorScreen from './src/screens/BankEditorScreen';
+import CustomRoundScreen from './src/screens/CustomRoundScreen';
+import HistoryScreen from './src/screens/HistoryScreen';
+import PassAndPlayScreen from './src/screens/PassAndPlayScreen';
+import ProfilesScreen from './src/screens/ProfilesScreen';
+import StudyScreen from './src/screens/StudyScreen';
+import {
+  addProfile,
+  deleteProfile,
+  loadProfiles,
+  saveProfiles,
+} from './src/profiles';
+import LeaderboardsScreen from './src/screens/LeaderboardsScreen';
+import QuestionPacksScreen from './src/screens/QuestionPacksScreen';
+import StandingsScreen from './src/screens/StandingsScreen';
+import {
+  defaultAppState,
+  defaultProfileData,
+  flushAppState,
+  getAppState,
+  getHighScore,
+  getProfileData,
+  loadAppState,
+  storageFailed,
+  updateProfileData,
+  withHighScore,
+} from './src/storage';
+import {
+  currentDailyStreak,
+  dailyQuestions,
+  finishDailyAttempt,
+  hasPlayedDaily,
+  shuffleWith,
+  startDailyAttempt,
+} from './src/dailyChallenge';
+import {
+  clearHistory,
+  dayKey,
+  dueQuestions,
+  loadHistory,
+  recordAnswer,
+  saveHistory,
+} from './src/spacedRepetition';
+import {
+  MAX_ENTRY_NAME_LENGTH,
+  buildEntry,
+  cleanEntryName,
+  clearLeaderboard,
+  getBoard,
+  loadLeaderboards,
+  qualifyingRank,
+  saveLeaderboardEntry,
+} from './src/leaderboard';
+import {
+  addQuizRecord,
+  buildQuizRecord,
+  clearQuizLog,
+  formatDuration,
+  loadQuizLog,
+  saveQuizLog,
+} from './src/quizLog';
+import {
+  STATUS,
+  TIME_MODE,
+  answerHints,
+  answerPoints,
+  answerTimes,
+  canShowHint,
+  currentAnswer,
+  difficultyPath,
+  hintsShown,
+  isLastQuestion,
+  isResumable,
+  quizSummary,
+  suggestedDifficulty,
+  userAnswers,
+} from './src/quizEngine';
+import {
+  DEFAULT_SESSION_LIMIT_HOURS,
+  SESSION_LIMIT_OPTIONS,
+  buildSession,
+  isSessionExpired,
+  sessionProgress,
+  withAbandonedQuiz,
+} from './src/quizSession';
+import {
+  CUSTOM_CATEGORY,
+  addPreset,
+  defaultSetup,
+  deletePreset,
+  loadPresets,
+  matchingQuestions,
+  savePresets,
+} from './src/customRound';
+import {
+  createMatch,
+  currentPlayer,
+  isMatchOver,
+  recordTurn,
+  rematch,
+} from './src/multiplayer';
+import useQuiz from './src/useQuiz';
 
 /* --------------------------- Config & helpers --------------------------- */
 
-// Difficulties + per-difficulty time limit (seconds)
-const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+// per-difficulty time limit (seconds); difficulties live in src/questionBank.js
 const DIFF_TIME = { Easy: 15, Medium: 10, Hard: 7 };
 
-// high score key is tied to both category and difficulty
-const keyHighScore = (category, difficulty) =>
-  `highScore_${category}_${difficulty}`;
-
-// keys for settings + lifetime stats in AsyncStorage
-const KEY_TIMER_ENABLED = 'settings_timer_enabled';
-const KEY_STATS_QUIZZES = 'stats_total_quizzes';
-const KEY_STATS_ANSWERED = 'stats_total_answered';
-const KEY_STATS_CORRECT = 'stats_total_correct';
-const KEY_STATS_BEST_STREAK = 'stats_best_streak';
-
-// small Fisher–Yates shuffle helper
-function shuffle(arr) {
-  const copy = [...arr];
-  for (let i = copy.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [copy[i], copy[j]] = [copy[j], copy[i]];
-  }
-  return copy;
-}
+// max questions in one "Review due" round
+const REVIEW_ROUND_SIZE = 10;
 
-/* ------------------------------ Question bank ------------------------------ */
-/* each item: {question, answer, hint?, difficulty} */
-
-const quizBank = {
-  'UK Life': [
-    { difficulty: 'Easy', question: 'What is the capital of the UK?', answer: 'London', hint: 'Big Ben lives here.' },
-    { difficulty: 'Easy', question: 'What side of the road do people drive on in the UK?', answer: 'Left' },
-    { difficulty: 'Medium', question: 'What is the UK currency called?', answer: 'Pound', hint: 'Also a gym move.' },
-    { difficulty: 'Medium', question: 'Name the UK’s longest river.', answer: 'Severn', hint: 'Not Thames!' },
-    { difficulty: 'Hard', question: 'Which country shares a land border with England?', answer: 'Scotland' },
-    { difficulty: 'Hard', question: 'What is the upper house of the UK Parliament called?', answer: 'House of Lords' },
-  ],
-  'UAL Tips': [
-    { difficulty: 'Easy', question: 'What does UAL stand for?', answer: 'University of the Arts London' },
-    { difficulty: 'Easy', question: 'Name one UAL library.', answer: 'LCC Library' },
-    { difficulty: 'Medium', question: 'Where can you find academic support at UAL?', answer: 'Academic Support Centre' },
-    { difficulty: 'Medium', question: 'UAL ID cards are also known as?', answer: 'Passes', hint: 'Access…' },
-    { difficulty: 'Hard', question: 'Which UAL service helps with careers and internships?', answer: 'Arts Temps' },
-    { difficulty: 'Hard', question: 'Name the UAL virtual learning environment.', answer: 'Moodle' },
-  ],
-  'British Slang': [
-    { difficulty: 'Easy', question: 'What does "cheers" mean (most commonly)?', answer: 'Thanks' },
-    { difficulty: 'Easy', question: 'What is a "loo"?', answer: 'Toilet' },
-    { difficulty: 'Medium', question: 'If something is "brilliant", it is…', answer: 'Very good' },
-    { difficulty: 'Medium', question: '"Knackered" means…', answer: 'Tired', hint: 'Sleepy vibes.' },
-    { difficulty: 'Hard', question: '"Chuffed" means…', answer: 'Pleased' },
-    { difficulty: 'Hard', question: 'A "quid" is one…', answer: 'Pound' },
-  ],
-};
+// normal rounds get a fresh random order (the Daily Challenge uses a seeded one)
+const shuffle = (arr) => shuffleWith(arr, Math.random);
+
+// pass-and-play turns and study follow-ups are practice: they leave the profile's
+// stats, answer history, badges and saved round alone
+const PRACTICE_MODES = ['multiplayer', 'study'];
+const isPractice = (mode) => PRACTICE_MODES.includes(mode);
 
 /* ------------------------------- App component ------------------------------ */
 
+// the theme wraps everything, so every screen (and the status bar) can read it;
+// toasts draw over whichever screen is showing
 export default function App() {
+  return (
+    <ThemeProvider>
+      <ToastProvider>
+        <ThemedStatusBar />
+        <QuizApp />
+      </ToastProvider>
+    </ThemeProvider>
+  );
+}
+
+function ThemedStatusBar() {
+  const { dark } = useTheme();
+  return <StatusBar style={dark ? 'light' : 'dark'} />;
+}
+
+function QuizApp() {
   /* ----------------------------- navigation state ---------------------------- */
-  // simple “router”: which screen to show
-  const [screen, setScreen] = useState('category'); // category | difficulty | quiz | results | settings
+  // stack router (src/navigation.js); the top route is the screen on show
+  const nav = useNavigation('profiles');
+  const screen = nav.route.name;
+  const [pendingLink, setPendingLink] = useState(null); // deep link waiting for a profile / the bank
+
+  /* --------------------------------- profiles -------------------------------- */
+  const [profiles, setProfiles] = useState({ list: [], lastUsedId: null }); // persisted
+  const [profileId, setProfileId] = useState(null); // who's playing; null until picked
+
+  /* ------------------------------ question bank ------------------------------ */
+  const [customBank, setCustomBank] = useState(emptyCustomBank); // user edits (persisted)
+  const [bankReady, setBankReady] = useState(false);             // custom bank loaded (deep links need it)
+  const [remotePacks, setRemotePacks] = useState(() => defaultAppState().remotePacks); // synced pack + status (persisted)
+  const [packUrlDraft, setPackUrlDraft] = useState(''); // pack address as typed in Settings
+  const [syncing, setSyncing] = useState(false);
+  const [history, setHistory] = useState({});                    // per-question answers + schedule (persisted)
+  const [quizLog, setQuizLog] = useState([]);                    // finished quizzes, newest first (persisted)
+  const [leaderboards, setLeaderboards] = useState({});          // top 10s, shared by all profiles (persisted)
+  const [boardView, setBoardView] = useState({});                // which board the Leaderboards screen opens on
 
   /* ------------------------------ user selection ----------------------------- */
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [selectedDifficulty, setSelectedDifficulty] = useState('Easy');
 
   /* -------------------------------- quiz state ------------------------------- */
-  const [questions, setQuestions] = useState([]);      // active pool (category + difficulty)
-  const [current, setCurrent] = useState(0);           // index of current question
+  // the round itself lives in the quiz engine (see useQuiz below)
   const [userInput, setUserInput] = useState('');      // answer typed by user
-  const [score, setScore] = useState(0);               // running score
-  const [highScore, setHighScore] = useState(0);       // best score for this category+difficulty
-  const [answered, setAnswered] = useState(false);     // did we check this question yet?
-  const [feedback, setFeedback] = useState('');        // "Correct!" / "Incorrect" / "Time's up!"
-  const [showAnswer, setShowAnswer] = useState(false); // toggle reveal
-  const [userAnswers, setUserAnswers] = useState([]);  // store answers for review screen
-  const [quizFinished, setQuizFinished] = useState(false);
+  const [entryName, setEntryName] = useState('');      // name for the leaderboard, results screen
+  const [enteredId, setEnteredId] = useState(null);    // leaderboard entry made for this round
 
   /* --------------------------------- timer ---------------------------------- */
-  const [timerEnabled, setTimerEnabled] = useState(true);          // setting (persisted)
-  const [timer, setTimer] = useState(DIFF_TIME[selectedDifficulty]);
-  const [timerActive, setTimerActive] = useState(false);           // only counts down while answering
+  const [timerEnabled, setTimerEnabled] = useState(true); // setting (persisted)
+  const [timeMode, setTimeMode] = useState(TIME_MODE.QUESTION); // per question or whole quiz (persisted)
+  const [extraTime, setExtraTime] = useState(0);          // seconds added to every question (persisted)
+  const lastCountdownAt = useRef(0);                      // when "N seconds left" was last read out
+
+  /* ------------------------------ accessibility ------------------------------ */
+  const { screenReader, reduceMotion } = useAccessibilityPrefs();
+
+  /* ---------------------------------- theme --------------------------------- */
+  const theme = useTheme(); // pick is a profile setting (persisted); null = system
+  const { colors } = theme;
+  const styles = useThemedStyles(makeStyles);
+
+  /* -------------------------------- language -------------------------------- */
+  const [language, setLanguageState] = useState(getLanguage); // what t() is using right now
+  const [languagePick, setLanguagePick] = useState(null);     // profile setting (persisted); null = device
 
   /* ------------------------------- lifetime stats ---------------------------- */
   const [stats, setStats] = useState({
@@ -125,55 +311,150 @@ export default function App() {
     totalAnswered: 0,
     totalCorrect: 0,
     bestStreak: 0,
-    currentStreak: 0, // temp streak during one quiz
+    abandonedQuizzes: 0,
   });
+  const [daily, setDaily] = useState(() => defaultProfileData().daily); // Daily Challenge results + streak
+  const [dailyRun, setDailyRun] = useState(null); // { day, scored } while a daily round is on screen
+
+  /* ------------------------------- achievements ------------------------------ */
+  const [achievements, setAchievements] = useState(emptyAchievements); // badges + answer streak (persisted)
+  const [finishedRound, setFinishedRound] = useState(null); // round waiting for its badge check
+  const showToast = useToast();
+
+  /* ----------------------------- unfinished quiz ----------------------------- */
+  const [savedSession, setSavedSession] = useState(null);   // round left running last time (see src/quizSession.js)
+  const [sessionLimitHours, setSessionLimitHours] = useState(DEFAULT_SESSION_LIMIT_HOURS); // how long it can be resumed (persisted)
+
+  /* ------------------------------- pass and play ------------------------------ */
+  const [match, setMatch] = useState(null);          // pass-and-play match under way (see src/multiplayer.js)
+  const [lastPlayers, setLastPlayers] = useState([]); // names from the last match, to fill in the next one
+
+  /* -------------------------------- study mode -------------------------------- */
+  const [studyCards, setStudyCards] = useState([]); // flashcards for the Study screen (never saved)
+
+  /* ------------------------------- custom rounds ------------------------------ */
+  const [presets, setPresets] = useState([]);           // saved setups (persisted, per profile)
+  const [customDraft, setCustomDraft] = useState(null); // { setup, name } the builder opens with
 
   /* ----------------------------- load persisted stuff ----------------------------- */
   useEffect(() => {
-    // on boot: grab timer setting + lifetime stats
+    // on boot: shared question bank + the profile list
     (async () => {
-      const [t, q, a, c, s] = await Promise.all([
-        AsyncStorage.getItem(KEY_TIMER_ENABLED),
-        AsyncStorage.getItem(KEY_STATS_QUIZZES),
-        AsyncStorage.getItem(KEY_STATS_ANSWERED),
-        AsyncStorage.getItem(KEY_STATS_CORRECT),
-        AsyncStorage.getItem(KEY_STATS_BEST_STREAK),
-      ]);
-      if (t !== null) setTimerEnabled(t === '1');
-      setStats(st => ({
-        ...st,
-        totalQuizzes: Number(q || 0),
-        totalAnswered: Number(a || 0),
-        totalCorrect: Number(c || 0),
-        bestStreak: Number(s || 0),
-      }));
+      setCustomBank(await loadCustomBank());
+      if (storageFailed()) showToast(t('common.notSaving'));
+      const remote = await loadRemotePacks(); // the cached copy, so offline still has its questions
+      setRemotePacks(remote);
+      setPackUrlDraft(remote.url);
+      setBankReady(true);
+      if (remote.url) syncPacks();
+      setLeaderboards(await loadLeaderboards());
+      setProfiles(await loadProfiles());
     })();
   }, []);
 
-  // keep timer setting in storage
+  // deep links: the one that launched the app, then any opened while it runs
+  useEffect(() => {
+    Linking.getInitialURL().then(url => url && setPendingLink(url)).catch(() => {});
+    const sub = Linking.addEventListener('url', ({ url }) => setPendingLink(url));
+    return () => sub.remove();
+  }, []);
+
+  // pending writes are batched, so push them out before the app is backgrounded
+  useEffect(() => {
+    const sub = AppState.addEventListener('change', (next) => {
+      if (next !== 'active') flushAppState();
+    });
+    return () => sub.remove();
+  }, []);
+
+  // following the device: pick up a locale change made while we were in the background
   useEffect(() => {
-    AsyncStorage.setItem(KEY_TIMER_ENABLED, timerEnabled ? '1' : '0');
-  }, [timerEnabled]);
+    if (languagePick) return;
+    const sub = AppState.addEventListener('change', (next) => {
+      if (next === 'active') setLanguageState(setLanguage(null));
+    });
+    return () => sub.remove();
+  }, [languagePick]);
+
+  // t() reads module state, so the switch and the re-render go together
+  const applyLanguage = (pick) => {
+    setLanguagePick(pick);
+    setLanguageState(setLanguage(pick));
+  };
 
-  // when category/difficulty changes, refresh the stored high score
+  // profile picked: grab their settings, lifetime stats and history
   useEffect(() => {
-    if (!selectedCategory) return;
+    if (!profileId) return;
     (async () => {
-      const key = keyHighScore(selectedCategory, selectedDifficulty);
-      const val = await AsyncStorage.getItem(key);
-      setHighScore(Number(val || 0));
+      await loadAppState();
+      const data = getProfileData(profileId);
+      setTimerEnabled(data.settings.timerEnabled);
+      setTimeMode(data.settings.timeMode);
+      setExtraTime(data.settings.extraTime);
+      applyLanguage(data.settings.language);
+      theme.setPick(data.settings.theme);
+      setSessionLimitHours(data.settings.sessionLimitHours);
+      setDaily(data.daily);
+      setAchievements(data.achievements);
+      // a round left running last time: offer it back, unless it's too old
+      if (data.session && isSessionExpired(data.session, data.settings.sessionLimitHours)) {
+        const next = withAbandonedQuiz(data.stats);
+        updateProfileData(profileId, d => ({ ...d, stats: next, session: null }));
+        setStats(next);
+        setSavedSession(null);
+      } else {
+        setStats(data.stats);
+        setSavedSession(data.session);
+      }
+      setHistory(await loadHistory(profileId));
+      setQuizLog(await loadQuizLog(profileId));
+      setPresets(await loadPresets(profileId));
     })();
-  }, [selectedCategory, selectedDifficulty]);
+  }, [profileId]);
+
+  // keep timer setting in storage (written on change, so switching profiles can't leak it)
+  const changeTimerEnabled = (enabled) => {
+    setTimerEnabled(enabled);
+    updateProfileData(profileId, d => ({ ...d, settings: { ...d.settings, timerEnabled: enabled } }));
+  };
+
+  const changeTimeMode = (mode) => {
+    setTimeMode(mode);
+    updateProfileData(profileId, d => ({ ...d, settings: { ...d.settings, timeMode: mode } }));
+  };
+
+  const changeExtraTime = (seconds) => {
+    setExtraTime(seconds);
+    updateProfileData(profileId, d => ({ ...d, settings: { ...d.settings, extraTime: seconds } }));
+  };
+
+  const changeSessionLimit = (hours) => {
+    setSessionLimitHours(hours);
+    updateProfileData(profileId, d => ({ ...d, settings: { ...d.settings, sessionLimitHours: hours } }));
+  };
+
+  const changeTheme = (pick) => {
+    theme.setPick(pick);
+    updateProfileData(profileId, d => ({ ...d, settings: { ...d.settings, theme: pick } }));
+  };
+
+  const changeLanguage = (pick) => {
+    applyLanguage(pick);
+    updateProfileData(profileId, d => ({ ...d, settings: { ...d.settings, language: pick } }));
+  };
 
   /* ------------------------------ derived values ------------------------------ */
   const roundTime = DIFF_TIME[selectedDifficulty];
 
-  // filter the pool once per category/difficulty change
-  const filteredPool = useMemo(() => {
-    if (!selectedCategory) return [];
-    const pool = quizBank[selectedCategory] || [];
-    return pool.filter(q => q.difficulty === selectedDifficulty);
-  }, [selectedCategory, selectedDifficulty]);
+  // built-in + synced questions with the user's edits applied (a sync changes remotePacks)
+  const bank = useMemo(() => mergeBanks(shippedBank(), customBank), [customBank, remotePacks]);
+
+  // questions the scheduler wants to see again today (all categories)
+  const dueList = useMemo(() => dueQuestions(bank, history), [bank, history]);
+
+  // review rounds mix difficulties, so time comes from each question (plus any extra time);
+  // a whole-quiz budget is the sum of these
+  const timeFor = (q) => ((q && DIFF_TIME[q.difficulty]) || roundTime) + extraTime;
 
   /* -------------------------------- handlers -------------------------------- */
 
@@ -181,181 +462,689 @@ export default function App() {
   const handleCategorySelect = (category) => {
     setSelectedCategory(category);
     setSelectedDifficulty('Easy');
-    setScreen('difficulty');
+    nav.push('difficulty');
+  };
+
+  // every answer feeds the scheduler, keyed by the question's stable id
+  // (useQuiz calls the latest handlers, so state here is current; updaters stay pure)
+  const logAnswer = (q, answer, verdict) => {
+    const next = recordAnswer(history, q.id, answer, verdict);
+    setHistory(next);
+    saveHistory(profileId, next);
+  };
+
+  // round over: lifetime stats, high score, daily result and the History record
+  const saveFinishedQuiz = (final) => {
+    // a pass-and-play turn only counts towards the match, not the profile
+    if (final.mode === 'multiplayer') {
+      const next = recordTurn(match, final);
+      setMatch(next);
+      nav.replace(isMatchOver(next) ? 'standings' : 'handover');
+      return;
+    }
+    // the study follow-up just shows how it went
+    if (final.mode === 'study') {
+      nav.replace('results');
+      return;
+    }
+
+    nav.replace('results');
+    setFinishedRound(final);
+    setEntryName(activeProfile ? cleanEntryName(activeProfile.name) : '');
+    setEnteredId(null);
+    const summary = quizSummary(final);
+
+    if (final.mode === 'daily' && dailyRun && dailyRun.scored) {
+      const nextDaily = finishDailyAttempt(daily, dailyRun.day, final.score);
+      setDaily(nextDaily);
+      updateProfileData(profileId, data => ({ ...data, daily: nextDaily }));
+    }
+
+    // lifetime stats write-back
+    const nextStats = {
+      ...stats,
+      totalQuizzes: stats.totalQuizzes + 1,
+      totalAnswered: stats.totalAnswered + summary.answered,
+      totalCorrect: stats.totalCorrect + summary.correct,
+      bestStreak: Math.max(stats.bestStreak, summary.bestStreak),
+    };
+    setStats(nextStats);
+    // the round is done, so there's nothing left to resume
+    updateProfileData(profileId, d => ({ ...d, stats: nextStats, session: null }));
+
+    // engine already decided whether we beat it (review rounds never do)
+    if (final.isNewHighScore) {
+      updateProfileData(profileId, d =>
+        withHighScore(d, final.category, final.difficulty, final.highScore));
+    }
+
+    // keep the whole round for History
+    const record = buildQuizRecord({
+      mode: final.mode,
+      category: final.category,
+      difficulty: final.difficulty,
+      score: final.score,
+      points: final.points,
+      questions: final.questions,
+      userAnswers: userAnswers(final),
+      answerTimes: answerTimes(final),
+      answerPoints: answerPoints(final),
+      answerHints: answerHints(final),
+      startedAt: final.startedAt,
+      finishedAt: final.finishedAt,
+    });
+    const nextLog = addQuizRecord(quizLog, record);
+    setQuizLog(nextLog);
+    saveQuizLog(profileId, nextLog);
+  };
+
+  // screen readers hear the verdict (and the right answer) instead of seeing the colour
+  const announceResult = (q, result) => {
+    const verdict = t(result.timedOut ? 'quiz.timesUp' : FEEDBACK[result.verdict]);
+    announce(result.verdict === VERDICT.CORRECT
+      ? verdict
+      : `${verdict} ${t('quiz.correctAnswer', { answer: optionLabel(q, q.answer) })}`);
+  };
+
+  // the storage document is always current, so badges are worked out from it (not from state)
+  const awardBadges = (event, ctx, progress = getProfileData(profileId).achievements) => {
+    const ids = newlyUnlocked(event, ctx, progress);
+    const next = ids.length ? withUnlocked(progress, ids) : progress;
+    if (next !== getProfileData(profileId).achievements) {
+      updateProfileData(profileId, d => ({ ...d, achievements: next }));
+    }
+    setAchievements(next);
+    ids.forEach(id => {
+      showToast(t('badges.toast', { icon: badgeById(id).icon, title: t(`badges.${id}.title`) }));
+    });
+  };
+
+  const quiz = useQuiz({
+    onAnswer: (q, result, state) => {
+      announceResult(q, result);
+      if (isPractice(state.mode)) return;
+      logAnswer(q, result.answer, result.verdict);
+      awardBadges(
+        'answer',
+        { quiz: state, answer: result },
+        trackAnswer(getProfileData(profileId).achievements, result.verdict),
+      );
+    },
+    onFinish: saveFinishedQuiz,
+  });
+
+  // read each new question out with its position in the round
+  const { status: quizStatus, current: quizCurrent, questions: quizQuestions } = quiz.state;
+  useEffect(() => {
+    if (screen !== 'quiz' || quizStatus !== STATUS.ANSWERING) return;
+    const q = quizQuestions[quizCurrent];
+    if (!q) return;
+    lastCountdownAt.current = Date.now();
+    announce(t('a11y.question', { n: quizCurrent + 1, total: quizQuestions.length, question: q.question }));
+  }, [screen, quizStatus, quizCurrent, quizQuestions]);
+
+  // countdown read out at a few marks only, so it never talks over everything else
+  useEffect(() => {
+    if (!screenReader || quiz.timer == null || quizStatus !== STATUS.ANSWERING) return;
+    const now = Date.now();
+    if (!shouldAnnounceCountdown(quiz.timer, lastCountdownAt.current, now)) return;
+    lastCountdownAt.current = now;
+    announce(t('a11y.secondsLeft', { count: quiz.timer }));
+  }, [quiz.timer, screenReader, quizStatus]);
+
+  // the running round is saved after every step (answer, hint, next), so it survives the app being killed
+  useEffect(() => {
+    if (!profileId || !isResumable(quiz.state) || isPractice(quiz.state.mode)) return;
+    updateProfileData(profileId, d => ({ ...d, session: buildSession(quiz.state, dailyRun) }));
+  }, [quiz.state]);
+
+  // a round given up on: dropped from storage and counted in lifetime stats
+  const abandonSession = () => {
+    setSavedSession(null);
+    const next = withAbandonedQuiz(stats);
+    setStats(next);
+    updateProfileData(profileId, d => ({ ...d, stats: next, session: null }));
+  };
+
+  // pick up where the saved round stopped (its clock kept running; if it ran out, it times out now)
+  const resumeSession = () => {
+    const { quiz: saved, dailyRun: run } = savedSession;
+    const answer = currentAnswer(saved);
+    setSavedSession(null);
+    setDailyRun(run);
+    setSelectedCategory(saved.mode === 'normal' ? saved.category : null);
+    if (saved.mode === 'normal') setSelectedDifficulty(saved.difficulty);
+    setUserInput(answer ? answer.answer : '');
+    quiz.resume(saved);
+    nav.push('quiz');
+  };
+
+  const discardSession = () => {
+    Alert.alert(
+      t('nav.leaveTitle'),
+      t('nav.leaveBody'),
+      [
+        { text: t('nav.stay'), style: 'cancel' },
+        { text: t('home.discard'), style: 'destructive', onPress: abandonSession },
+      ],
+    );
   };
 
-  // build a new quiz round from the filtered pool
-  const startQuiz = () => {
-    const pool = shuffle(filteredPool);
+  // round badges wait a render, until the round's stats, daily result and log entry are in
+  useEffect(() => {
+    if (!finishedRound) return;
+    setFinishedRound(null);
+    awardBadges('quiz', { quiz: finishedRound, stats, daily, quizLog, categories: Object.keys(bank) });
+  }, [finishedRound]);
+
+  // reset input and jump into a round (a saved one still waiting is given up)
+  // go: how the quiz screen opens (a pass-and-play turn replaces the hand-over)
+  const beginRound = (pool, options, go = nav.push) => {
+    // practice rounds are never saved, so they leave the profile's one alone
+    if (savedSession && !isPractice(options.mode)) abandonSession();
+    setUserInput('');
+    quiz.start({
+      questions: pool,
+      timeMode: timerEnabled ? timeMode : TIME_MODE.OFF,
+      timeLimits: pool.map(timeFor),
+      ...options,
+    });
+    go('quiz');
+  };
+
+  // every question for a category + difficulty (Adaptive: all of them), shuffled;
+  // choice options get a fresh order too
+  const buildPool = (category, difficulty) =>
+    shuffle((bank[category] || []).filter(q => difficulty === ADAPTIVE || q.difficulty === difficulty)).map(q =>
+      prepareQuestion(localizeQuestion(q, category, language), shuffle),
+    );
+
+  // build a new quiz round for a category + difficulty (the picked ones, or a deep link's)
+  const startQuiz = (category = selectedCategory, difficulty = selectedDifficulty) => {
+    if (difficulty === ADAPTIVE) {
+      startAdaptive(category);
+      return;
+    }
+    const pool = buildPool(category, difficulty);
     if (pool.length === 0) {
       Alert.alert(
-        'No questions',
-        `No ${selectedDifficulty} questions exist for ${selectedCategory} yet.`,
-        [{ text: 'OK', onPress: () => setScreen('category') }],
+        t('difficultyPicker.noQuestionsTitle'),
+        t('difficultyPicker.noQuestionsBody', {
+          difficulty: difficultyLabel(difficulty),
+          category: categoryLabel(category),
+        }),
+        [{ text: 'OK', onPress: () => nav.reset('category') }],
       );
       return;
     }
-    setQuestions(pool);
-    setCurrent(0);
-    setScore(0);
-    setAnswered(false);
-    setFeedback('');
-    setShowAnswer(false);
-    setUserAnswers([]);
-    setQuizFinished(false);
-    setUserInput('');
-    setTimer(roundTime);
-    setTimerActive(timerEnabled);
-    setScreen('quiz');
+    beginRound(pool, {
+      mode: 'normal',
+      category,
+      difficulty,
+      highScore: getHighScore(getProfileData(profileId), category, difficulty),
+    });
   };
 
-  // count down the timer only while answering (and only if enabled)
-  useEffect(() => {
-    if (screen !== 'quiz' || !timerEnabled) return;
-    let id;
-    if (timerActive && !answered && timer > 0) {
-      id = setInterval(() => setTimer(t => t - 1), 1000);
-    } else if (timerActive && !answered && timer === 0) {
-      // time out = auto wrong; store blank and show the answer
-      setAnswered(true);
-      setFeedback("Time's up!");
-      setUserAnswers(prev => {
-        const copy = [...prev];
-        copy[current] = '';
-        return copy;
-      });
-      setShowAnswer(true);
-      setTimerActive(false);
+  // all three difficulties, one shuffled pool each; the engine picks from them as the level moves
+  const startAdaptive = (category) => {
+    const pools = Object.fromEntries(DIFFICULTIES.map(d => [d, buildPool(category, d)]));
+    const size = Math.min(ADAPTIVE_ROUND_SIZE, DIFFICULTIES.reduce((n, d) => n + pools[d].length, 0));
+    if (size === 0) {
+      Alert.alert(
+        t('difficultyPicker.noQuestionsTitle'),
+        t('difficultyPicker.noQuestionsBody', {
+          difficulty: difficultyLabel(ADAPTIVE),
+          category: categoryLabel(category),
+        }),
+        [{ text: 'OK', onPress: () => nav.reset('category') }],
+      );
+      return;
     }
-    return () => clearInterval(id);
-  }, [screen, timerEnabled, timerActive, answered, timer, current]);
-
-  // check the user’s input against the current question
-  const checkAnswer = () => {
-    if (answered) return;         // no double taps
-    const q = questions[current];
-    if (!q) return;               // guard just in case
-
-    const correct =
-      userInput.trim().toLowerCase() === q.answer.toLowerCase();
-
-    setFeedback(correct ? 'Correct!' : 'Incorrect');
-    setAnswered(true);
-    setScore(s => (correct ? s + 1 : s));
-    setUserAnswers(prev => {
-      const copy = [...prev];
-      copy[current] = userInput;
-      return copy;
+    // the engine plans the questions, so there's no pool to hand over
+    beginRound([], {
+      mode: 'adaptive',
+      category,
+      difficulty: ADAPTIVE,
+      adaptive: {
+        pools,
+        size,
+        limits: Object.fromEntries(DIFFICULTIES.map(d => [d, timeFor({ difficulty: d })])),
+      },
     });
-    setShowAnswer(!correct);
-    setTimerActive(false);
-
-    // keep a streak inside this quiz and remember the best ever
-    setStats(st => {
-      const nextStreak = correct ? st.currentStreak + 1 : 0;
-      const best = Math.max(st.bestStreak, nextStreak);
-      return { ...st, currentStreak: nextStreak, bestStreak: best };
+  };
+
+  // from an adaptive round's results: a fixed round at the suggested difficulty
+  const playSuggested = (category, difficulty) => {
+    quiz.reset();
+    setUserInput('');
+    setSelectedCategory(category);
+    setSelectedDifficulty(difficulty);
+    nav.reset('category', 'difficulty');
+    startQuiz(category, difficulty);
+  };
+
+  // spaced-repetition round: the most overdue questions, any category
+  const startReview = () => {
+    if (dueList.length === 0) {
+      Alert.alert(t('home.nothingDueTitle'), t('home.nothingDueBody'));
+      return;
+    }
+    const pool = shuffle(dueList.slice(0, REVIEW_ROUND_SIZE)).map(q =>
+      prepareQuestion(localizeQuestion(q, q.category, language), shuffle),
+    );
+    setSelectedCategory(null);
+    beginRound(pool, { mode: 'review', category: 'Review due', difficulty: 'Mixed' });
+  };
+
+  // today's seeded round; only the first attempt of the day is scored
+  const startDaily = () => {
+    const day = dayKey();
+    const pool = dailyQuestions(day, language);
+    const scored = !hasPlayedDaily(daily, day);
+    if (scored) {
+      const next = startDailyAttempt(daily, day, pool.length);
+      setDaily(next);
+      updateProfileData(profileId, data => ({ ...data, daily: next }));
+    }
+    setDailyRun({ day, scored });
+    setSelectedCategory(null);
+    beginRound(pool, { mode: 'daily', category: 'Daily Challenge', difficulty: 'Mixed' });
+  };
+
+  // confirm before spending the day's one scored attempt
+  const confirmDaily = () => {
+    const today = dayKey();
+    if (hasPlayedDaily(daily, today)) {
+      const { score: s, total } = daily.results[today];
+      Alert.alert(
+        t('daily.alreadyTitle'),
+        t('daily.alreadyBody', { score: s, total }),
+        [
+          { text: t('common.cancel'), style: 'cancel' },
+          { text: t('daily.practice'), onPress: startDaily },
+        ],
+      );
+      return;
+    }
+    Alert.alert(
+      t('daily.title'),
+      t('daily.confirmBody'),
+      [
+        { text: t('daily.notYet'), style: 'cancel' },
+        { text: t('daily.start'), onPress: startDaily },
+      ],
+    );
+  };
+
+  // pass and play: everyone gets the same questions in the same order
+  const startMatch = ({ players, category, difficulty }) => {
+    const pool = buildPool(category, difficulty);
+    if (pool.length === 0) {
+      Alert.alert(
+        t('difficultyPicker.noQuestionsTitle'),
+        t('difficultyPicker.noQuestionsBody', {
+          difficulty: difficultyLabel(difficulty),
+          category: categoryLabel(category),
+        }),
+      );
+      return;
+    }
+    setLastPlayers(players);
+    setMatch(createMatch({ players, questions: pool, category, difficulty }));
+    setSelectedCategory(null);
+    nav.replace('handover');
+  };
+
+  // a custom round: every match shuffled, cut to the round length; the setup's
+  // time limit (if any) replaces the per-difficulty one
+  const startCustom = (setup) => {
+    const limit = setup.timeLimit;
+    const pool = shuffle(matchingQuestions(bank, setup, history))
+      .slice(0, setup.count ?? undefined)
+      .map(q => prepareQuestion(localizeQuestion(q, q.category, language), shuffle));
+    if (pool.length === 0) {
+      Alert.alert(t('custom.noneTitle'), t('custom.noneBody'));
+      return;
+    }
+    const single = (list) => (list.length === 1 ? list[0] : null);
+    setSelectedCategory(null);
+    beginRound(pool, {
+      mode: 'custom',
+      category: single(setup.categories) || CUSTOM_CATEGORY,
+      difficulty: single(setup.difficulties) || 'Mixed',
+      timeMode: limit === 0 || (limit == null && !timerEnabled) ? TIME_MODE.OFF : timeMode,
+      timeLimits: pool.map(q => (limit ? limit + extraTime : timeFor(q))),
+      hints: setup.hints,
     });
   };
 
-  // move on or finish; also writes stats + high score
+  // the builder, blank or with a preset loaded for editing
+  const openCustomRound = (preset = null) => {
+    setCustomDraft(preset
+      ? { setup: preset.setup, name: preset.name }
+      : { setup: defaultSetup(Object.keys(bank)), name: '' });
+    nav.push('custom');
+  };
+
+  const changePresets = (next) => {
+    setPresets(next);
+    savePresets(profileId, next);
+  };
+
+  const savePreset = (name, setup) => {
+    const next = addPreset(presets, name, setup);
+    changePresets(next);
+    showToast(t('custom.saved', { name: next[0].name }));
+  };
+
+  // long press on a preset: edit or delete it
+  const presetOptions = (preset) => {
+    Alert.alert(preset.name, undefined, [
+      { text: t('common.cancel'), style: 'cancel' },
+      { text: t('custom.edit'), onPress: () => openCustomRound(preset) },
+      {
+        text: t('common.delete'),
+        style: 'destructive',
+        onPress: () => changePresets(deletePreset(presets, preset.id)),
+      },
+    ]);
+  };
+
+  // the player holding the device is ready: their round replaces the hand-over screen
+  const startTurn = () => {
+    beginRound(
+      match.questions,
+      { mode: 'multiplayer', category: match.category, difficulty: match.difficulty },
+      nav.replace,
+    );
+  };
+
+  // flashcards for the picked category + difficulty; nothing is timed or scored
+  const startStudy = () => {
+    const cards = buildPool(selectedCategory, selectedDifficulty);
+    if (cards.length === 0) {
+      Alert.alert(
+        t('difficultyPicker.noQuestionsTitle'),
+        t('difficultyPicker.noQuestionsBody', {
+          difficulty: difficultyLabel(selectedDifficulty),
+          category: categoryLabel(selectedCategory),
+        }),
+      );
+      return;
+    }
+    setStudyCards(cards);
+    nav.push('study');
+  };
+
+  // the cards the student didn't know, as an untimed quiz in place of the Study screen
+  const quizMissedCards = (cards) => {
+    beginRound(
+      shuffle(cards),
+      {
+        mode: 'study',
+        category: selectedCategory,
+        difficulty: selectedDifficulty,
+        timeMode: TIME_MODE.OFF,
+      },
+      nav.replace,
+    );
+  };
+
+  const startRematch = () => {
+    setMatch(rematch(match, buildPool(match.category, match.difficulty)));
+    nav.replace('handover');
+  };
+
+  // check the user’s input (typed, or the option they tapped) against the current question
+  const checkAnswer = (answer = userInput) => {
+    setUserInput(answer);
+    quiz.answer(answer);
+  };
+
+  // hint use is recorded by the engine; the hint then stays on screen under the question
+  const showHint = (q) => {
+    const hint = hintsFor(q)[hintsShown(quiz.state)];
+    quiz.hint();
+    announce(t('quiz.hintShown', { hint: hintText(hint) }));
+  };
+
+  // move on, or finish (saveFinishedQuiz runs via onFinish)
   const nextQuestion = () => {
-    setShowAnswer(false);
-    setAnswered(false);
-    setFeedback('');
     setUserInput('');
-    setTimer(roundTime);
-    setTimerActive(timerEnabled);
-
-    if (current + 1 < questions.length) {
-      setCurrent(i => i + 1);
-    } else {
-      // end of quiz → go to results
-      setQuizFinished(true);
-      setScreen('results');
-
-      // lifetime stats write-back
-      setStats(st => {
-        const totalAnswered = st.totalAnswered + questions.length;
-        const totalCorrect = st.totalCorrect + score;
-        AsyncStorage.multiSet([
-          [KEY_STATS_QUIZZES, String(st.totalQuizzes + 1)],
-          [KEY_STATS_ANSWERED, String(totalAnswered)],
-          [KEY_STATS_CORRECT, String(totalCorrect)],
-          [KEY_STATS_BEST_STREAK, String(st.bestStreak)],
-        ]);
-        return {
-          ...st,
-          totalQuizzes: st.totalQuizzes + 1,
-          totalAnswered,
-          totalCorrect,
-          currentStreak: 0,
-        };
-      });
-
-      // update high score if we beat it
-      const capped = Math.min(score, questions.length);
-      if (capped > highScore) {
-        const key = keyHighScore(selectedCategory, selectedDifficulty);
-        AsyncStorage.setItem(key, String(capped));
-        setHighScore(capped);
-      }
-    }
+    quiz.next();
   };
 
   // full reset back to category screen (doesn’t wipe storage)
   const restartAll = () => {
-    setScreen('category');
+    quiz.reset();
+    setDailyRun(null);
+    setMatch(null);
+    nav.reset('category');
     setSelectedCategory(null);
-    setQuestions([]);
-    setCurrent(0);
-    setScore(0);
-    setFeedback('');
-    setAnswered(false);
-    setQuizFinished(false);
-    setUserAnswers([]);
     setUserInput('');
-    setShowAnswer(false);
-    setTimer(roundTime);
-    setTimerActive(false);
   };
 
-  const openSettings = () => setScreen('settings');
+  const openSettings = () => nav.push('settings');
+  const openEditor = () => nav.push('editor');
+  const openHistory = () => nav.push('history');
+  const openBadges = () => nav.push('badges');
+  const openPassAndPlay = () => nav.push('players');
+
+  const openLeaderboards = (view = {}) => {
+    setBoardView(view);
+    nav.push('leaderboards');
+  };
+
+  // results screen: put this round on its category+difficulty board
+  const enterLeaderboard = () => {
+    const final = quiz.state;
+    const entry = buildEntry({
+      name: entryName,
+      profileId,
+      points: final.points,
+      score: final.score,
+      total: final.questions.length,
+      durationMs: quizSummary(final).durationMs,
+      finishedAt: final.finishedAt,
+    });
+    setLeaderboards(saveLeaderboardEntry(final.category, final.difficulty, entry));
+    setEnteredId(entry.id);
+    openLeaderboards({ category: final.category, difficulty: final.difficulty, highlightId: entry.id });
+  };
+
+  const resetLeaderboard = (category, difficulty) =>
+    setLeaderboards(clearLeaderboard(category, difficulty));
+
+  /* ------------------------- leaving a quiz / going back ------------------------- */
+
+  // a round is under way until the engine says it's finished
+  const quizInProgress =
+    screen === 'quiz' && quiz.state.questions.length > 0 && quiz.state.status !== STATUS.FINISHED;
+
+  // a pass-and-play match runs from the first hand-over until the last player finishes
+  const matchInProgress = Boolean(match) && !isMatchOver(match) &&
+    (screen === 'handover' || (screen === 'quiz' && quiz.state.mode === 'multiplayer'));
+
+  const confirmLeaveQuiz = (onLeave) => {
+    // leaving a match drops everyone's scores; there's no saved round to abandon
+    if (matchInProgress) {
+      Alert.alert(
+        t('multiplayer.leaveTitle'),
+        t('multiplayer.leaveBody'),
+        [
+          { text: t('nav.stay'), style: 'cancel' },
+          { text: t('nav.leave'), style: 'destructive', onPress: onLeave },
+        ],
+      );
+      return;
+    }
+    if (!quizInProgress) {
+      onLeave();
+      return;
+    }
+    Alert.alert(
+      t('nav.leaveTitle'),
+      t(dailyRun && dailyRun.scored ? 'nav.leaveDailyBody' : 'nav.leaveBody'),
+      [
+        { text: t('nav.stay'), style: 'cancel' },
+        {
+          text: t('nav.leave'),
+          style: 'destructive',
+          onPress: () => {
+            if (!isPractice(quiz.state.mode)) abandonSession();
+            onLeave();
+          },
+        },
+      ],
+    );
+  };
+
+  // Android back: step back through the stack; false lets the OS close the app
+  useBackHandler(() => {
+    if (screen === 'quiz' || screen === 'handover') {
+      confirmLeaveQuiz(restartAll);
+      return true;
+    }
+    if (screen === 'results' || screen === 'standings') {
+      restartAll();
+      return true;
+    }
+    if (profileId && nav.canGoBack) {
+      nav.pop();
+      return true;
+    }
+    return false;
+  });
+
+  // simple-qa-app://quiz/<category>[/<difficulty>]: with a difficulty the round
+  // starts straight away, without one the difficulty picker opens
+  const openLink = (url) => {
+    const link = parseDeepLink(url);
+    const category = link &&
+      Object.keys(bank).find(c => c.toLowerCase() === link.category.toLowerCase());
+    if (!category) {
+      Alert.alert(t('nav.badLinkTitle'), t('nav.badLinkBody', { link: url }));
+      return;
+    }
+    const difficulty = link.difficulty &&
+      [...DIFFICULTIES, ADAPTIVE].find(d => d.toLowerCase() === link.difficulty.toLowerCase());
+
+    confirmLeaveQuiz(() => {
+      quiz.reset();
+      setDailyRun(null);
+      setMatch(null);
+      setUserInput('');
+      setSelectedCategory(category);
+      setSelectedDifficulty(difficulty || 'Easy');
+      nav.reset('category', 'difficulty');
+      if (difficulty) startQuiz(category, difficulty);
+    });
+  };
+
+  // links wait until someone is playing and their data + the bank are loaded
+  useEffect(() => {
+    if (!pendingLink || !profileId || !bankReady) return;
+    const url = pendingLink;
+    setPendingLink(null);
+    loadAppState().then(() => openLink(url));
+  }, [pendingLink, profileId, bankReady]);
+
+  /* ----------------------------- profile handlers ----------------------------- */
+
+  const selectProfile = (id) => {
+    restartAll();
+    setProfileId(id);
+    const next = { ...profiles, lastUsedId: id };
+    setProfiles(next);
+    saveProfiles(next);
+  };
+
+  const createProfile = (name) => {
+    const { doc } = addProfile(profiles, name);
+    setProfiles(doc);
+    saveProfiles(doc);
+  };
+
+  const removeProfile = (id) => {
+    const next = deleteProfile(profiles, id);
+    setProfiles(next);
+    saveProfiles(next);
+    setLeaderboards(getAppState().leaderboards);
+    if (id === profileId) setProfileId(null);
+  };
+
+  const activeProfile = profiles.list.find(p => p.id === profileId);
+
+  // editor changes are saved straight away
+  const updateCustomBank = (next) => {
+    setCustomBank(next);
+    saveCustomBank(next);
+  };
+
+  /* -------------------------------- pack sync -------------------------------- */
+
+  const syncPacks = async () => {
+    setSyncing(true);
+    try {
+      setRemotePacks(await syncRemotePacks());
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  // same address: sync again; a new one drops the old pack's questions first (asks if there are any)
+  const savePackUrl = () => {
+    const url = packUrlDraft.trim();
+    if (url && !isPackUrl(url)) {
+      Alert.alert(t('sync.badUrlTitle'), t('sync.badUrlBody'));
+      return;
+    }
+    if (url === remotePacks.url) {
+      if (url) syncPacks();
+      return;
+    }
+    const apply = () => {
+      setRemotePacks(setPackUrl(url));
+      if (url) syncPacks();
+    };
+    if (Object.keys(remotePacks.categories).length === 0) {
+      apply();
+      return;
+    }
+    Alert.alert(t('sync.changeTitle'), t('sync.changeBody'), [
+      { text: t('common.cancel'), style: 'cancel', onPress: () => setPackUrlDraft(remotePacks.url) },
+      { text: t('sync.change'), style: 'destructive', onPress: apply },
+    ]);
+  };
 
   // wipe highs + lifetime stats with a confirm
   const resetAllStats = async () => {
     Alert.alert(
-      'Reset all data?',
-      'This will clear high scores and lifetime stats.',
+      t('settings.resetTitle'),
+      t('settings.resetBody', { name: activeProfile ? activeProfile.name : '—' }),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Reset',
+          text: t('settings.resetConfirm'),
           style: 'destructive',
           onPress: async () => {
-            // set all highs to 0 for every category+difficulty
-            const ops = [];
-            Object.keys(quizBank).forEach(cat => {
-              DIFFICULTIES.forEach(diff => {
-                ops.push([keyHighScore(cat, diff), '0']);
-              });
-            });
-            await AsyncStorage.multiSet(ops);
-            await AsyncStorage.multiSet([
-              [KEY_STATS_QUIZZES, '0'],
-              [KEY_STATS_ANSWERED, '0'],
-              [KEY_STATS_CORRECT, '0'],
-              [KEY_STATS_BEST_STREAK, '0'],
-            ]);
-            setStats({
-              totalQuizzes: 0,
-              totalAnswered: 0,
-              totalCorrect: 0,
-              bestStreak: 0,
-              currentStreak: 0,
-            });
-            setHighScore(0);
-            Alert.alert('Done', 'All stats have been reset.');
+            // highs + stats back to zero; the timer setting survives
+            const fresh = defaultProfileData();
+            updateProfileData(profileId, d => ({
+              ...d,
+              stats: fresh.stats,
+              daily: fresh.daily,
+              highScores: fresh.highScores,
+              achievements: fresh.achievements,
+            }));
+            setAchievements(fresh.achievements);
+            setStats(fresh.stats);
+            setDaily(fresh.daily);
+            await clearHistory(profileId);
+            setHistory({});
+            await clearQuizLog(profileId);
+            setQuizLog([]);
+            Alert.alert(t('common.done'), t('settings.resetDone'));
           },
         },
       ],
@@ -364,123 +1153,466 @@ export default function App() {
 
   /* --------------------------------- screens -------------------------------- */
 
+  const { questions, current, score, mode: quizMode } = quiz.state;
+  const today = dayKey();
+  const dailyStreak = currentDailyStreak(daily, today);
+
+  // Profile picker (launch + "Switch profile")
+  if (screen === 'profiles' || !profileId) {
+    return (
+      <ProfilesScreen
+        profiles={profiles.list}
+        activeId={profileId || profiles.lastUsedId}
+        onSelect={selectProfile}
+        onCreate={createProfile}
+        onDelete={removeProfile}
+        onBack={profileId && nav.canGoBack ? nav.pop : null}
+      />
+    );
+  }
+
   // Category select
   if (screen === 'category') {
     return (
-      <View style={styles.container}>
-        <Text style={styles.title}>Student Starter Quiz</Text>
-        <Text style={styles.subtitle}>Select a category to start!</Text>
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        <Text style={styles.title} accessibilityRole="header">{t('home.title')}</Text>
+        <Text style={styles.subtitle}>{t('home.subtitle')}</Text>
+
+        {savedSession && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle} accessibilityRole="header">{t('home.resumeTitle')}</Text>
+            <Text style={styles.cardInfo}>
+              {t('home.resumeInfo', {
+                category: categoryLabel(savedSession.quiz.category),
+                ...sessionProgress(savedSession),
+              })}
+            </Text>
+            <View style={styles.footerRow}>
+              <TouchableOpacity style={styles.settingsBtn} accessibilityRole="button" onPress={resumeSession}>
+                <Text style={styles.settingsText}>{t('home.resume')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.settingsBtn} accessibilityRole="button" onPress={discardSession}>
+                <Text style={styles.settingsText}>{t('home.discard')}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
 
-        {Object.keys(quizBank).map(cat => (
+        {Object.keys(bank).map(cat => (
           <TouchableOpacity
             key={cat}
             style={styles.categoryButton}
+            accessibilityRole="button"
+            accessibilityLabel={categoryLabel(cat)}
             onPress={() => handleCategorySelect(cat)}
           >
-            <Text style={styles.categoryText}>{cat}</Text>
+            <Text style={styles.categoryText}>{categoryLabel(cat)}</Text>
           </TouchableOpacity>
         ))}
 
-        <TouchableOpacity style={styles.settingsBtn} onPress={openSettings}>
-          <Text style={styles.settingsText}>⚙︎ Settings</Text>
+        <View style={styles.card}>
+          <Text style={styles.cardTitle} accessibilityRole="header">{t('custom.presetsTitle')}</Text>
+          {presets.length === 0 && <Text style={styles.cardInfo}>{t('custom.noPresets')}</Text>}
+          <View style={styles.footerRow}>
+            {presets.map(preset => (
+              <TouchableOpacity
+                key={preset.id}
+                style={styles.settingsBtn}
+                accessibilityRole="button"
+                accessibilityHint={t('a11y.presetHint')}
+                onPress={() => startCustom(preset.setup)}
+                onLongPress={() => presetOptions(preset)}
+              >
+                <Text style={styles.settingsText}>★ {preset.name}</Text>
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity
+              style={styles.settingsBtn}
+              accessibilityRole="button"
+              onPress={() => openCustomRound()}
+            >
+              <Text style={styles.settingsText}>{t('custom.new')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        <TouchableOpacity style={styles.dailyButton} accessibilityRole="button" onPress={confirmDaily}>
+          <Text style={styles.dailyText}>{t('daily.title')}</Text>
+          <Text style={styles.dailyInfo}>
+            {hasPlayedDaily(daily, today)
+              ? t('daily.today', daily.results[today])
+              : t('daily.notPlayed')}
+            {dailyStreak > 0 ? `  ·  ${t('daily.streak', { count: dailyStreak })}` : ''}
+          </Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.reviewButton, dueList.length === 0 && { opacity: 0.6 }]}
+          accessibilityRole="button"
+          accessibilityLabel={`${t('home.reviewDue')}, ${t('a11y.dueCount', { count: dueList.length })}`}
+          onPress={startReview}
+        >
+          <Text style={styles.reviewText}>{t('home.reviewDue')}</Text>
+          <View style={styles.dueBadge}>
+            <Text style={styles.dueBadgeText}>{dueList.length}</Text>
+          </View>
         </TouchableOpacity>
-      </View>
+
+        <View style={styles.footerRow}>
+          <TouchableOpacity
+            style={styles.settingsBtn}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.settings')}
+            onPress={openSettings}
+          >
+            <Text style={styles.settingsText}>{t('common.settings')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.settingsBtn}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.editQuestions')}
+            onPress={openEditor}
+          >
+            <Text style={styles.settingsText}>{t('home.editQuestions')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.settingsBtn}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.history')}
+            onPress={openHistory}
+          >
+            <Text style={styles.settingsText}>{t('home.history')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.settingsBtn}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.leaderboards')}
+            onPress={() => openLeaderboards()}
+          >
+            <Text style={styles.settingsText}>{t('home.leaderboards')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.settingsBtn}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.badges')}
+            onPress={openBadges}
+          >
+            <Text style={styles.settingsText}>{t('home.badges')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.settingsBtn}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.passAndPlay')}
+            onPress={openPassAndPlay}
+          >
+            <Text style={styles.settingsText}>{t('home.passAndPlay')}</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    );
+  }
+
+  // Question bank editor
+  if (screen === 'editor') {
+    return (
+      <BankEditorScreen
+        bank={bank}
+        custom={customBank}
+        onChange={updateCustomBank}
+        onOpenPacks={() => nav.push('packs')}
+        onBack={nav.pop}
+      />
+    );
+  }
+
+  // Past quizzes
+  if (screen === 'history') {
+    return <HistoryScreen log={quizLog} onBack={nav.pop} />;
+  }
+
+  // Custom round builder
+  if (screen === 'custom' && customDraft) {
+    return (
+      <CustomRoundScreen
+        bank={bank}
+        history={history}
+        initialSetup={customDraft.setup}
+        initialName={customDraft.name}
+        onStart={startCustom}
+        onSavePreset={savePreset}
+        onBack={nav.pop}
+      />
+    );
+  }
+
+  // Flashcards (the follow-up quiz replaces this screen)
+  if (screen === 'study') {
+    return (
+      <StudyScreen
+        cards={studyCards}
+        category={selectedCategory}
+        difficulty={selectedDifficulty}
+        onQuizMissed={quizMissedCards}
+        onDone={nav.pop}
+      />
+    );
+  }
+
+  // Pass and play: players, then hand-overs and turns, then the standings
+  if (screen === 'players') {
+    return (
+      <PassAndPlayScreen
+        categories={Object.keys(bank)}
+        initialNames={lastPlayers}
+        onStart={startMatch}
+        onBack={nav.pop}
+      />
+    );
+  }
+
+  if (screen === 'handover' && match && currentPlayer(match)) {
+    const player = currentPlayer(match);
+    const previous = match.players[match.turn - 1];
+    return (
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        <Text style={styles.title} accessibilityRole="header">
+          {t('multiplayer.passTo', { name: player.name })}
+        </Text>
+        <Text style={styles.subtitle}>
+          {t('multiplayer.turnOf', { n: match.turn + 1, total: match.players.length })}
+        </Text>
+        {previous && (
+          <Text style={styles.subtitle}>
+            {t('multiplayer.lastTurn', { name: previous.name, points: previous.result.points })}
+          </Text>
+        )}
+        <Text style={styles.subtitle}>{t('multiplayer.noPeeking')}</Text>
+        <View style={{ height: 12 }} />
+        <Button title={t('multiplayer.ready', { name: player.name })} onPress={startTurn} />
+        <View style={{ height: 8 }} />
+        <Button
+          title={t('multiplayer.endMatch')}
+          color={colors.neutral}
+          onPress={() => confirmLeaveQuiz(restartAll)}
+        />
+      </ScrollView>
+    );
+  }
+
+  if (screen === 'standings' && match) {
+    return <StandingsScreen match={match} onRematch={startRematch} onDone={restartAll} />;
+  }
+
+  // Achievements
+  if (screen === 'badges') {
+    return <BadgesScreen achievements={achievements} onBack={nav.pop} />;
+  }
+
+  // Top 10s (the round just entered is highlighted)
+  if (screen === 'leaderboards') {
+    return (
+      <LeaderboardsScreen
+        boards={leaderboards}
+        categories={[...new Set([...Object.keys(bank), ...Object.keys(leaderboards)])]}
+        initialCategory={boardView.category}
+        initialDifficulty={boardView.difficulty}
+        highlightId={boardView.highlightId}
+        onClear={resetLeaderboard}
+        onBack={nav.pop}
+      />
+    );
+  }
+
+  // Import / export question packs
+  if (screen === 'packs') {
+    return (
+      <QuestionPacksScreen
+        bank={bank}
+        custom={customBank}
+        onChange={updateCustomBank}
+        onBack={nav.pop}
+      />
     );
   }
 
   // Difficulty select
   if (screen === 'difficulty') {
     return (
-      <View style={styles.container}>
-        <Text style={styles.title}>{selectedCategory}</Text>
-        <Text style={styles.subtitle}>Choose difficulty</Text>
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        <Text style={styles.title} accessibilityRole="header">{categoryLabel(selectedCategory)}</Text>
+        <Text style={styles.subtitle}>{t('difficultyPicker.subtitle')}</Text>
 
-        {DIFFICULTIES.map(diff => (
+        {[...DIFFICULTIES, ADAPTIVE].map(diff => (
           <TouchableOpacity
             key={diff}
             style={[
               styles.categoryButton,
-              diff === selectedDifficulty && { opacity: 0.9 },
+              diff === selectedDifficulty && styles.categoryButtonActive,
             ]}
+            accessibilityRole="radio"
+            accessibilityState={{ checked: diff === selectedDifficulty }}
             onPress={() => setSelectedDifficulty(diff)}
           >
-            <Text style={styles.categoryText}>{diff}</Text>
+            <Text style={styles.categoryText}>{difficultyLabel(diff)}</Text>
           </TouchableOpacity>
         ))}
+        {selectedDifficulty === ADAPTIVE && (
+          <Text style={styles.subHeader}>{t('adaptive.help')}</Text>
+        )}
 
         <View style={{ height: 12 }} />
-        <Button title="Start Quiz" onPress={startQuiz} />
+        <Button title={t('difficultyPicker.start')} onPress={() => startQuiz()} />
         <View style={{ height: 8 }} />
-        <Button title="Back" color="#777" onPress={() => setScreen('category')} />
-      </View>
+        <Button title={t('difficultyPicker.study')} onPress={startStudy} />
+        <View style={{ height: 8 }} />
+        <Button title={t('common.back')} color={colors.neutral} onPress={nav.pop} />
+      </ScrollView>
     );
   }
 
   // Quiz screen
   if (screen === 'quiz') {
     const q = questions[current]; // guarded in render
+    const answered = quiz.state.status === STATUS.ANSWERED;
+    const result = currentAnswer(quiz.state);
+    const feedback = !result
+      ? ''
+      : t(result.timedOut ? 'quiz.timesUp' : FEEDBACK[result.verdict]);
+    const showAnswer = answered && result.verdict !== VERDICT.CORRECT;
+    const shownHints = q ? hintsFor(q).slice(0, hintsShown(quiz.state)) : [];
+    const hintCount = q ? hintsFor(q).length : 0;
+    // once answered, the right option and a wrong pick get a mark as well as a colour
+    const optionMark = (opt) =>
+      !answered ? ''
+        : opt === q.answer ? `${VERDICT_MARK[VERDICT.CORRECT]} `
+          : opt === userInput ? `${VERDICT_MARK[VERDICT.WRONG]} `
+            : '';
+
     return (
-      <View style={styles.container}>
-        <Text style={styles.topHigh}>
-          High Score: {Math.min(highScore, questions.length)} / {questions.length}
-        </Text>
+      <ScrollView contentContainerStyle={styles.scrollContainer} keyboardShouldPersistTaps="handled">
+        {quizMode === 'normal' && (
+          <Text style={styles.topHigh}>{t('quiz.highScore', { points: quiz.state.highScore })}</Text>
+        )}
+        {quizMode === 'adaptive' && q && (
+          <Text style={styles.topHigh}>{t('adaptive.level', { difficulty: difficultyLabel(q.difficulty) })}</Text>
+        )}
+        {quizMode === 'multiplayer' && match && currentPlayer(match) && (
+          <Text style={styles.topHigh}>{t('multiplayer.turn', { name: currentPlayer(match).name })}</Text>
+        )}
         <Text style={styles.topScore}>
-          Score: {score} / {questions.length}
+          {t('quiz.score', { score, total: questions.length })}
+          {'  ·  '}
+          {t('quiz.points', { points: quiz.state.points })}
         </Text>
 
-        {timerEnabled && (
-          <Text style={[styles.timer, { color: timer <= 5 ? 'red' : 'black' }]}>
-            Time Left: {timer}s
+        {quiz.timer != null && (
+          <Text
+            style={[styles.timer, quiz.timer <= 5 && styles.timerLow]}
+            accessibilityLabel={t('a11y.secondsLeft', { count: quiz.timer })}
+          >
+            {quiz.state.timeMode === TIME_MODE.QUIZ
+              ? t('quiz.quizTimeLeft', { time: formatDuration(quiz.timer * 1000) })
+              : t('quiz.timeLeft', { seconds: quiz.timer })}
           </Text>
         )}
 
-        <Text style={styles.title}>{selectedCategory}</Text>
+        <Text style={styles.title} accessibilityRole="header">{categoryLabel(quiz.state.category)}</Text>
 
         {q ? (
           <>
             <Text style={styles.question}>{q.question}</Text>
-            <TextInput
-              style={styles.input}
-              value={userInput}
-              onChangeText={setUserInput}
-              editable={!answered}
-              placeholder="Type your answer"
-            />
-            {q.hint && !answered ? (
-              <TouchableOpacity onPress={() => Alert.alert('Hint', q.hint)}>
-                <Text style={styles.hintLink}>Show hint</Text>
+            {hasOptions(q) ? (
+              // choice / true-false: tapping an option answers straight away
+              optionsFor(q).map(opt => (
+                <TouchableOpacity
+                  key={opt}
+                  style={[
+                    styles.optionButton,
+                    answered && opt === q.answer && styles.optionCorrect,
+                    answered && opt === userInput && opt !== q.answer && styles.optionWrong,
+                  ]}
+                  disabled={answered}
+                  accessibilityRole="button"
+                  accessibilityLabel={optionLabel(q, opt)}
+                  accessibilityState={{ disabled: answered, selected: answered && opt === userInput }}
+                  onPress={() => checkAnswer(opt)}
+                >
+                  <Text style={styles.optionText}>{optionMark(opt)}{optionLabel(q, opt)}</Text>
+                </TouchableOpacity>
+              ))
+            ) : (
+              <TextInput
+                style={styles.input}
+                value={userInput}
+                onChangeText={setUserInput}
+                editable={!answered}
+                placeholder={t('quiz.placeholder')}
+                placeholderTextColor={colors.textMuted}
+                accessibilityLabel={t('a11y.answerInput')}
+              />
+            )}
+            {shownHints.map((hint, i) => (
+              <Text key={i} style={styles.hintText}>{t('quiz.hintShown', { hint: hintText(hint) })}</Text>
+            ))}
+            {canShowHint(quiz.state) && (
+              <TouchableOpacity accessibilityRole="button" onPress={() => showHint(q)}>
+                <Text style={styles.hintLink}>
+                  {t(shownHints.length === 0 ? 'quiz.showHint' : 'quiz.nextHint', {
+                    n: shownHints.length + 1,
+                    total: hintCount,
+                  })}
+                </Text>
               </TouchableOpacity>
-            ) : null}
+            )}
 
             {feedback ? (
-              <Text style={feedback === 'Correct!' ? styles.correct : styles.incorrect}>
-                {feedback}
-              </Text>
+              <PopIn key={current} reduceMotion={reduceMotion}>
+                <Text
+                  style={
+                    result.verdict === VERDICT.CORRECT
+                      ? styles.correct
+                      : result.verdict === VERDICT.NEARLY
+                        ? styles.nearly
+                        : styles.incorrect
+                  }
+                >
+                  {VERDICT_MARK[result.verdict]} {feedback}
+                </Text>
+              </PopIn>
             ) : null}
 
             {showAnswer && (
-              <Text style={styles.showAnswer}>Correct answer: {q.answer}</Text>
+              <Text style={styles.showAnswer}>
+                {t('quiz.correctAnswer', { answer: optionLabel(q, q.answer) })}
+              </Text>
             )}
+            {answered && q.explanation ? (
+              <Text style={styles.explanation}>{q.explanation}</Text>
+            ) : null}
 
             {!answered ? (
-              <Button title="Check Answer" onPress={checkAnswer} />
+              !hasOptions(q) && <Button title={t('quiz.check')} onPress={() => checkAnswer()} />
             ) : (
               <Button
-                title={current + 1 === questions.length ? 'Finish Quiz' : 'Next Question'}
+                title={isLastQuestion(quiz.state) ? t('quiz.finish') : t('quiz.next')}
                 onPress={nextQuestion}
               />
             )}
 
             <View style={{ height: 16 }} />
-            <Button title="Back to Categories" color="#888" onPress={restartAll} />
+            <Button
+              title={t('quiz.backToCategories')}
+              color={colors.neutral}
+              onPress={() => confirmLeaveQuiz(restartAll)}
+            />
           </>
         ) : (
           <>
-            <Text style={styles.question}>Loading question…</Text>
-            <Button title="Back" onPress={restartAll} />
+            <Text style={styles.question}>{t('quiz.loading')}</Text>
+            <Button title={t('common.back')} onPress={restartAll} />
           </>
         )}
-      </View>
+      </ScrollView>
     );
   }
 
@@ -488,85 +1620,334 @@ export default function App() {
   if (screen === 'results') {
     const quizAccuracy =
       questions.length > 0 ? Math.round((score / questions.length) * 100) : 0;
+    // a normal round that beats the 10th place can go on its board (once)
+    const boardRank = quizMode === 'normal' && !enteredId
+      ? qualifyingRank(getBoard(leaderboards, quiz.state.category, quiz.state.difficulty), quiz.state.points)
+      : null;
     const overallAccuracy =
       stats.totalAnswered > 0
         ? Math.round((stats.totalCorrect / stats.totalAnswered) * 100)
         : 0;
 
     return (
-      <ScrollView contentContainerStyle={styles.container}>
-        <Text style={styles.title}>Quiz Finished!</Text>
-        <Text style={styles.bigLine}>Your Score: {score} / {questions.length}</Text>
-        <Text style={styles.greenLine}>
-          High Score: {Math.min(highScore, questions.length)} / {questions.length}
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        <Text style={styles.title} accessibilityRole="header">{t('results.title')}</Text>
+        <Text style={styles.bigLine}>
+          {t('results.yourScore', { score, total: questions.length })}
         </Text>
+        <Text style={styles.bigLine}>{t('results.points', { points: quiz.state.points })}</Text>
+        {quizMode === 'normal' && (
+          <Text style={styles.greenLine}>
+            {t(quiz.state.isNewHighScore ? 'results.newHighScore' : 'results.highScore', {
+              points: quiz.state.highScore,
+            })}
+          </Text>
+        )}
 
-        <Text style={styles.subHeader}>This quiz accuracy: {quizAccuracy}%</Text>
-
-        <Text style={styles.sectionHeader}>Lifetime Stats</Text>
-        <Text style={styles.statLine}>Quizzes taken: {stats.totalQuizzes}</Text>
-        <Text style={styles.statLine}>Questions answered: {stats.totalAnswered}</Text>
-        <Text style={styles.statLine}>Overall accuracy: {overallAccuracy}%</Text>
-        <Text style={styles.statLine}>Longest streak: {stats.bestStreak}</Text>
-
-        <Text style={styles.sectionHeader}>Answers Review:</Text>
-        {questions.map((q, i) => {
-          const ua = userAnswers[i] ?? '';
-          const correct = ua.trim().toLowerCase() === q.answer.toLowerCase();
-          return (
-            <View key={i} style={styles.reviewItem}>
-              <Text style={{ fontWeight: '700', fontSize: 16 }}>
-                {i + 1}. {q.question}
-              </Text>
-              <Text>
-                Your answer:{' '}
-                <Text style={{ color: correct ? 'green' : 'red' }}>
-                  {ua || '—'}
-                </Text>
-              </Text>
-              {!correct && (
-                <Text style={{ color: 'blue' }}>Correct answer: {q.answer}</Text>
-              )}
-            </View>
-          );
-        })}
+        {boardRank && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle} accessibilityRole="header">
+              {t('leaderboard.qualified', { rank: boardRank })}
+            </Text>
+            <TextInput
+              style={[styles.input, styles.entryInput]}
+              value={entryName}
+              onChangeText={setEntryName}
+              maxLength={MAX_ENTRY_NAME_LENGTH}
+              placeholder={t('leaderboard.namePlaceholder')}
+              placeholderTextColor={colors.textMuted}
+              accessibilityLabel={t('a11y.entryName')}
+            />
+            <Button
+              title={t('leaderboard.save')}
+              disabled={!cleanEntryName(entryName)}
+              onPress={enterLeaderboard}
+            />
+          </View>
+        )}
+
+        {quizMode === 'study' && (
+          <Text style={styles.subHeader}>{t('results.studyPractice')}</Text>
+        )}
+
+        {quizMode === 'adaptive' && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle} accessibilityRole="header">{t('adaptive.pathTitle')}</Text>
+            <Text style={styles.cardInfo}>
+              {pathRuns(difficultyPath(quiz.state))
+                .map(run => t('adaptive.run', { difficulty: difficultyLabel(run.level), count: run.count }))
+                .join(' → ')}
+            </Text>
+            <Text style={styles.cardInfo}>
+              {t('adaptive.suggest', { difficulty: difficultyLabel(suggestedDifficulty(quiz.state)) })}
+            </Text>
+            <Button
+              title={t('adaptive.tryNext', { difficulty: difficultyLabel(suggestedDifficulty(quiz.state)) })}
+              onPress={() => playSuggested(quiz.state.category, suggestedDifficulty(quiz.state))}
+            />
+          </View>
+        )}
+
+        {quizMode === 'daily' && dailyRun && (
+          <Text style={dailyRun.scored ? styles.greenLine : styles.subHeader}>
+            {dailyRun.scored
+              ? t('daily.resultScored', { day: dailyRun.day, streak: dailyStreak })
+              : t('daily.resultPractice')}
+          </Text>
+        )}
 
-        <TouchableOpacity style={styles.settingsBtn} onPress={openSettings}>
-          <Text style={styles.settingsText}>⚙︎ Settings</Text>
+        <Text style={styles.subHeader}>
+          {t('results.accuracy', { percent: formatPercent(quizAccuracy) })}
+        </Text>
+
+        <Text style={styles.sectionHeader}>{t('results.lifetime')}</Text>
+        <Text style={styles.statLine}>{t('results.quizzes', { count: stats.totalQuizzes })}</Text>
+        <Text style={styles.statLine}>{t('results.answered', { count: stats.totalAnswered })}</Text>
+        <Text style={styles.statLine}>
+          {t('results.overall', { percent: formatPercent(overallAccuracy) })}
+        </Text>
+        <Text style={styles.statLine}>{t('results.longestStreak', { count: stats.bestStreak })}</Text>
+        <Text style={styles.statLine}>{t('results.abandoned', { count: stats.abandonedQuizzes })}</Text>
+        <Text style={styles.statLine}>
+          {t('results.dailyStreak', { streak: dailyStreak, best: daily.bestStreak })}
+        </Text>
+
+        <AnswersReview
+          questions={questions}
+          userAnswers={userAnswers(quiz.state)}
+          times={answerTimes(quiz.state)}
+          points={answerPoints(quiz.state)}
+          hints={answerHints(quiz.state)}
+        />
+
+        <TouchableOpacity
+          style={styles.settingsBtn}
+          accessibilityRole="button"
+          accessibilityLabel={t('a11y.settings')}
+          onPress={openSettings}
+        >
+          <Text style={styles.settingsText}>{t('common.settings')}</Text>
         </TouchableOpacity>
+        {quizMode === 'normal' && (
+          <TouchableOpacity
+            style={styles.settingsBtn}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.leaderboards')}
+            onPress={() => openLeaderboards({
+              category: quiz.state.category,
+              difficulty: quiz.state.difficulty,
+              highlightId: enteredId,
+            })}
+          >
+            <Text style={styles.settingsText}>{t('home.leaderboards')}</Text>
+          </TouchableOpacity>
+        )}
 
         <View style={{ height: 8 }} />
-        <Button title="Try Another Category" onPress={restartAll} />
+        <Button title={t('results.another')} onPress={restartAll} />
       </ScrollView>
     );
   }
 
   // Settings
   return (
-    <View style={styles.container}>
-      <Text style={styles.title}>Settings</Text>
+    <ScrollView contentContainerStyle={styles.scrollContainer}>
+      <Text style={styles.title} accessibilityRole="header">{t('settings.title')}</Text>
+
+      <View style={styles.settingRow}>
+        <Text style={styles.settingLabel}>
+          {t('settings.profile', { name: activeProfile ? activeProfile.name : '—' })}
+        </Text>
+        <Button
+          title={t('settings.switch')}
+          accessibilityLabel={t('a11y.switchProfile')}
+          onPress={() => nav.push('profiles')}
+        />
+      </View>
 
       <View style={styles.settingRow}>
-        <Text style={styles.settingLabel}>Timer enabled</Text>
-        <Switch value={timerEnabled} onValueChange={setTimerEnabled} />
+        <Text style={styles.settingLabel}>{t('settings.timer')}</Text>
+        <Switch
+          value={timerEnabled}
+          onValueChange={changeTimerEnabled}
+          accessibilityLabel={t('settings.timer')}
+        />
       </View>
 
-      <TouchableOpacity style={styles.resetBtn} onPress={resetAllStats}>
-        <Text style={styles.resetText}>Reset all stats</Text>
+      {timerEnabled && (
+        <View style={styles.languageBox}>
+          <Text style={styles.settingLabel}>{t('settings.timeMode')}</Text>
+          <View style={styles.languageRow} accessibilityRole="radiogroup">
+            {[TIME_MODE.QUESTION, TIME_MODE.QUIZ].map(mode => (
+              <TouchableOpacity
+                key={mode}
+                style={[styles.languageChip, timeMode === mode && styles.languageChipActive]}
+                accessibilityRole="radio"
+                accessibilityState={{ checked: timeMode === mode }}
+                onPress={() => changeTimeMode(mode)}
+              >
+                <Text style={[styles.languageText, timeMode === mode && styles.languageTextActive]}>
+                  {t(`settings.timeModes.${mode}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      )}
+
+      <View style={styles.languageBox}>
+        <Text style={styles.settingLabel}>{t('settings.extraTime')}</Text>
+        <View style={styles.languageRow} accessibilityRole="radiogroup">
+          {EXTRA_TIME_OPTIONS.map(seconds => (
+            <TouchableOpacity
+              key={seconds}
+              style={[styles.languageChip, extraTime === seconds && styles.languageChipActive]}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: extraTime === seconds }}
+              onPress={() => changeExtraTime(seconds)}
+            >
+              <Text style={[styles.languageText, extraTime === seconds && styles.languageTextActive]}>
+                {seconds
+                  ? t('settings.extraTimeValue', { count: seconds })
+                  : t('settings.extraTimeOff')}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      <View style={styles.languageBox}>
+        <Text style={styles.settingLabel}>{t('settings.sessionLimit')}</Text>
+        <View style={styles.languageRow} accessibilityRole="radiogroup">
+          {SESSION_LIMIT_OPTIONS.map(hours => (
+            <TouchableOpacity
+              key={hours}
+              style={[styles.languageChip, sessionLimitHours === hours && styles.languageChipActive]}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: sessionLimitHours === hours }}
+              onPress={() => changeSessionLimit(hours)}
+            >
+              <Text style={[styles.languageText, sessionLimitHours === hours && styles.languageTextActive]}>
+                {hours < 24
+                  ? t('settings.sessionHours', { count: hours })
+                  : t('settings.sessionDays', { count: hours / 24 })}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      <View style={styles.languageBox}>
+        <Text style={styles.settingLabel}>{t('settings.theme')}</Text>
+        <View style={styles.languageRow} accessibilityRole="radiogroup">
+          {[null, ...THEMES].map(name => (
+            <TouchableOpacity
+              key={name || 'system'}
+              style={[styles.languageChip, theme.pick === name && styles.languageChipActive]}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: theme.pick === name }}
+              onPress={() => changeTheme(name)}
+            >
+              <Text style={[styles.languageText, theme.pick === name && styles.languageTextActive]}>
+                {t(`settings.themes.${name || 'system'}`)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      <View style={styles.languageBox}>
+        <Text style={styles.settingLabel}>{t('settings.language')}</Text>
+        <View style={styles.languageRow} accessibilityRole="radiogroup">
+          {[null, ...LANGUAGES.map(l => l.code)].map(code => (
+            <TouchableOpacity
+              key={code || 'device'}
+              style={[styles.languageChip, languagePick === code && styles.languageChipActive]}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: languagePick === code }}
+              onPress={() => changeLanguage(code)}
+            >
+              <Text style={[styles.languageText, languagePick === code && styles.languageTextActive]}>
+                {code
+                  ? languageName(code)
+                  : t('settings.deviceLanguage', { name: languageName(deviceLanguage()) })}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      <View style={styles.languageBox}>
+        <Text style={styles.settingLabel}>{t('sync.title')}</Text>
+        <TextInput
+          style={[styles.input, styles.urlInput]}
+          value={packUrlDraft}
+          onChangeText={setPackUrlDraft}
+          placeholder="https://example.com/pack.json"
+          placeholderTextColor={colors.textMuted}
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType="url"
+          accessibilityLabel={t('sync.url')}
+        />
+        <Button
+          title={syncing
+            ? t('sync.syncing')
+            : packUrlDraft.trim() === remotePacks.url ? t('sync.syncNow') : t('sync.save')}
+          disabled={syncing || (!packUrlDraft.trim() && !remotePacks.url)}
+          onPress={savePackUrl}
+        />
+        {remotePacks.url ? (
+          <View accessibilityLiveRegion="polite">
+            <Text style={styles.syncLine}>
+              {t(`sync.status.${remotePacks.status}`)}
+              {remotePacks.checkedAt ? ` · ${formatDate(remotePacks.checkedAt, { time: true })}` : ''}
+            </Text>
+            {remotePacks.detail ? (
+              <Text style={styles.syncDetail}>{remotePacks.detail}</Text>
+            ) : null}
+            <Text style={styles.syncLine}>
+              {remotePacks.updatedAt
+                ? t('sync.lastUpdate', {
+                  date: formatDate(remotePacks.updatedAt, { time: true }),
+                  count: Object.values(remotePacks.categories).flat().length,
+                })
+                : t('sync.noUpdateYet')}
+            </Text>
+          </View>
+        ) : (
+          <Text style={styles.syncLine}>{t('sync.off')}</Text>
+        )}
+      </View>
+
+      <TouchableOpacity style={styles.resetBtn} accessibilityRole="button" onPress={resetAllStats}>
+        <Text style={styles.resetText}>{t('settings.reset')}</Text>
       </TouchableOpacity>
 
       <View style={{ height: 12 }} />
-      <Button title="Back" onPress={() => setScreen('category')} />
-    </View>
+      <Button title={t('common.back')} onPress={nav.pop} />
+    </ScrollView>
   );
 }
 
+// a hint as shown on screen: authored hints are text, the automatic one is worded here
+const hintText = (hint) =>
+  (typeof hint === 'string' ? hint : t('quiz.letterHint', { first: hint.first, count: hint.count, mask: hint.mask }));
+
+// quiz screen feedback line per matcher verdict (i18n keys)
+const FEEDBACK = {
+  [VERDICT.CORRECT]: 'quiz.correct',
+  [VERDICT.NEARLY]: 'quiz.nearly',
+  [VERDICT.WRONG]: 'quiz.incorrect',
+};
+
 /* --------------------------------- Styles -------------------------------- */
 
-const styles = StyleSheet.create({
-  container: {
-    flex: 1,
-    backgroundColor: '#e7effc',
+const makeStyles = (c, theme) => StyleSheet.create({
+  // every screen scrolls, so large font sizes never push content off-screen
+  scrollContainer: {
+    flexGrow: 1,
+    backgroundColor: c.background,
     padding: 22,
     justifyContent: 'center',
   },
@@ -575,108 +1956,195 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginVertical: 30,
     fontWeight: 'bold',
-    color: '#3d5589',
+    color: c.primary,
   },
   subtitle: {
     fontSize: 18,
     textAlign: 'center',
     marginBottom: 16,
+    color: c.text,
   },
   categoryButton: {
-    backgroundColor: '#3d5589',
+    backgroundColor: c.primary,
     borderRadius: 10,
     paddingVertical: 18,
     marginBottom: 16,
     alignItems: 'center',
     elevation: 2,
   },
+  // the picked difficulty gets an outline, not just a shade
+  categoryButtonActive: { borderWidth: 3, borderColor: c.accent },
   categoryText: {
-    color: '#fff',
+    color: c.onPrimary,
     fontSize: 22,
     fontWeight: 'bold',
   },
+  reviewButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: c.surface,
+    borderWidth: 2,
+    borderColor: c.primary,
+    borderRadius: 10,
+    paddingVertical: 14,
+    marginBottom: 16,
+  },
+  reviewText: { color: c.primary, fontSize: 20, fontWeight: 'bold' },
+  dailyButton: {
+    backgroundColor: c.daily,
+    borderRadius: 10,
+    paddingVertical: 14,
+    marginBottom: 16,
+    alignItems: 'center',
+    elevation: 2,
+  },
+  dailyText: { color: c.onDaily, fontSize: 22, fontWeight: 'bold' },
+  dailyInfo: { color: c.onDaily, fontSize: 15, marginTop: 4 },
+  card: {
+    backgroundColor: c.surface,
+    borderWidth: theme.borderWidth,
+    borderColor: c.primary,
+    borderRadius: 10,
+    padding: 14,
+    marginBottom: 16,
+    alignItems: 'center',
+  },
+  cardTitle: { color: c.primary, fontSize: 20, fontWeight: 'bold' },
+  cardInfo: { color: c.text, fontSize: 15, marginTop: 4 },
+  entryInput: { alignSelf: 'stretch', marginTop: 10 },
+  dueBadge: {
+    marginLeft: 10,
+    minWidth: 28,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 14,
+    backgroundColor: c.danger,
+    alignItems: 'center',
+  },
+  dueBadgeText: { color: c.onDanger, fontWeight: '700', fontSize: 16 },
   settingsBtn: {
     marginTop: 12,
     alignSelf: 'center',
-    backgroundColor: '#dfe7fb',
+    backgroundColor: c.primarySoft,
+    borderWidth: theme.borderWidth - 1,
+    borderColor: c.primary,
     paddingVertical: 10,
     paddingHorizontal: 18,
     borderRadius: 10,
   },
-  settingsText: { fontSize: 18, color: '#3d5589', fontWeight: '600' },
+  settingsText: { fontSize: 18, color: c.primary, fontWeight: '600' },
+  footerRow: { flexDirection: 'row', flexWrap: 'wrap', justifyContent: 'center', columnGap: 12 },
 
   topHigh: {
-    color: 'purple',
+    color: c.highScore,
     fontWeight: 'bold',
     fontSize: 18,
     alignSelf: 'flex-end',
     marginBottom: 2,
   },
   topScore: {
-    color: 'green',
+    color: c.score,
     fontWeight: 'bold',
     fontSize: 22,
     alignSelf: 'flex-end',
     marginBottom: 8,
   },
-  timer: { fontSize: 22, textAlign: 'center', marginBottom: 4 },
+  timer: { fontSize: 22, textAlign: 'center', marginBottom: 4, color: c.text },
+  timerLow: { color: c.wrong, fontWeight: 'bold' },
 
-  question: { fontSize: 22, textAlign: 'center', marginVertical: 15 },
+  question: { fontSize: 22, textAlign: 'center', marginVertical: 15, color: c.text },
 
   input: {
-    borderWidth: 1,
-    borderColor: '#888',
+    borderWidth: theme.borderWidth,
+    borderColor: c.border,
     borderRadius: 8,
     fontSize: 20,
     padding: 10,
     marginBottom: 10,
-    backgroundColor: '#fff',
+    backgroundColor: c.surface,
+    color: c.text,
   },
+  optionButton: {
+    backgroundColor: c.surface,
+    borderWidth: theme.borderWidth,
+    borderColor: c.primary,
+    borderRadius: 10,
+    paddingVertical: 14,
+    marginBottom: 10,
+    alignItems: 'center',
+  },
+  // right / wrong also differ in outline (solid vs dashed) and carry a mark
+  optionCorrect: { backgroundColor: c.correctBg, borderColor: c.correct, borderWidth: 3 },
+  optionWrong: { backgroundColor: c.wrongBg, borderColor: c.wrong, borderWidth: 3, borderStyle: 'dashed' },
+  optionText: { fontSize: 20, color: c.primary },
   hintLink: {
     textAlign: 'center',
-    color: '#246BFD',
+    color: c.link,
     marginBottom: 10,
     fontSize: 16,
   },
-  correct: { color: 'green', fontSize: 22, marginVertical: 10, textAlign: 'center' },
-  incorrect: { color: 'red', fontSize: 22, marginVertical: 10, textAlign: 'center' },
-  showAnswer: { color: 'blue', fontSize: 18, marginBottom: 8, textAlign: 'center' },
+  explanation: { textAlign: 'center', color: c.text, fontSize: 16, marginBottom: 10 },
+  hintText: { textAlign: 'center', color: c.textMuted, fontStyle: 'italic', fontSize: 16, marginBottom: 10 },
+  correct: { color: c.correct, fontSize: 22, marginVertical: 10, textAlign: 'center' },
+  incorrect: { color: c.wrong, fontSize: 22, marginVertical: 10, textAlign: 'center' },
+  nearly: { color: c.nearly, fontSize: 22, marginVertical: 10, textAlign: 'center' },
+  showAnswer: { color: c.answer, fontSize: 18, marginBottom: 8, textAlign: 'center' },
 
   sectionHeader: {
     marginTop: 16,
     fontSize: 20,
     fontWeight: '700',
     textAlign: 'center',
+    color: c.text,
   },
-  bigLine: { fontSize: 24, textAlign: 'center', marginBottom: 6, fontWeight: '700' },
-  greenLine: { fontSize: 18, textAlign: 'center', color: 'green', marginBottom: 4 },
-  subHeader: { fontSize: 18, textAlign: 'center', marginBottom: 6 },
-
-  statLine: { fontSize: 16, textAlign: 'center', marginBottom: 2 },
+  bigLine: { fontSize: 24, textAlign: 'center', marginBottom: 6, fontWeight: '700', color: c.text },
+  greenLine: { fontSize: 18, textAlign: 'center', color: c.score, marginBottom: 4 },
+  subHeader: { fontSize: 18, textAlign: 'center', marginBottom: 6, color: c.text },
 
-  reviewItem: {
-    marginBottom: 12,
-    padding: 12,
-    backgroundColor: '#f7f7fa',
-    borderRadius: 8,
-  },
+  statLine: { fontSize: 16, textAlign: 'center', marginBottom: 2, color: c.text },
 
   settingRow: {
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: '#fff',
+    backgroundColor: c.surface,
+    borderWidth: theme.borderWidth - 1,
+    borderColor: c.border,
     borderRadius: 12,
     paddingHorizontal: 16,
     paddingVertical: 18,
     justifyContent: 'space-between',
     marginBottom: 18,
   },
-  settingLabel: { fontSize: 18 },
+  settingLabel: { fontSize: 18, flexShrink: 1, color: c.text },
+  languageBox: {
+    backgroundColor: c.surface,
+    borderWidth: theme.borderWidth - 1,
+    borderColor: c.border,
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    marginBottom: 18,
+  },
+  languageRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 10 },
+  languageChip: {
+    borderWidth: theme.borderWidth,
+    borderColor: c.primary,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  languageChipActive: { backgroundColor: c.primary },
+  languageText: { color: c.primary, fontSize: 15 },
+  languageTextActive: { color: c.onPrimary },
   resetBtn: {
-    backgroundColor: '#c23b3b',
+    backgroundColor: c.danger,
     paddingVertical: 18,
     borderRadius: 12,
     alignItems: 'center',
   },
-  resetText: { color: '#fff', fontSize: 18, fontWeight: '700' },
+  resetText: { color: c.onDanger, fontSize: 18, fontWeight: '700' },
+  urlInput: { fontSize: 16, marginTop: 10 },
+  syncLine: { color: c.textMuted, marginTop: 8 },
+  syncDetail: { color: c.danger, marginTop: 4 },
 });
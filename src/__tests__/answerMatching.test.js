@@ -0,0 +1,130 @@
+import {
+  VERDICT,
+  acceptedAnswers,
+  editDistance,
+  gradeAnswer,
+  isCorrect,
+  normalizeAnswer,
+} from '../answerMatching';
+
+const text = (answer, accepted) => ({ answer, ...(accepted ? { accepted } : {}) });
+
+describe('normalizeAnswer', () => {
+  it('ignores case, accents and extra whitespace', () => {
+    expect(normalizeAnswer('  Café   CRÈME ')).toBe('cafe creme');
+  });
+
+  it('drops punctuation and articles', () => {
+    expect(normalizeAnswer('The River, Severn!')).toBe('river severn');
+    expect(normalizeAnswer('an apple')).toBe('apple');
+  });
+
+  it('joins contractions and spells out &', () => {
+    expect(normalizeAnswer('Bob’s your uncle')).toBe('bobs your uncle');
+    expect(normalizeAnswer('fish & chips')).toBe('fish and chips');
+  });
+
+  it('keeps currency signs and other scripts', () => {
+    expect(normalizeAnswer('£5')).toBe('£5');
+    expect(normalizeAnswer('伦敦。')).toBe('伦敦');
+  });
+
+  it('copes with missing input', () => {
+    expect(normalizeAnswer(undefined)).toBe('');
+    expect(normalizeAnswer(null)).toBe('');
+  });
+});
+
+describe('acceptedAnswers', () => {
+  it('lists the answer first, then the alternates', () => {
+    expect(acceptedAnswers(text('Severn', ['River Severn']))).toEqual(['Severn', 'River Severn']);
+    expect(acceptedAnswers(null)).toEqual([]);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts edits and adjacent swaps as one each', () => {
+    expect(editDistance('london', 'london')).toBe(0);
+    expect(editDistance('london', 'londn')).toBe(1);
+    expect(editDistance('london', 'lodnon')).toBe(1);
+    expect(editDistance('', 'abc')).toBe(3);
+  });
+});
+
+describe('gradeAnswer', () => {
+  it('accepts the answer however it is written', () => {
+    expect(gradeAnswer('london', text('London'))).toBe(VERDICT.CORRECT);
+    expect(gradeAnswer('  LONDON. ', text('London'))).toBe(VERDICT.CORRECT);
+  });
+
+  it('accepts the alternates', () => {
+    const q = text('Severn', ['River Severn']);
+    expect(gradeAnswer('the river severn', q)).toBe(VERDICT.CORRECT);
+  });
+
+  it('forgives small typos on longer answers only', () => {
+    expect(gradeAnswer('Lodnon', text('London'))).toBe(VERDICT.CORRECT);
+    expect(gradeAnswer('Cardif', text('Cardiff'))).toBe(VERDICT.CORRECT);
+    expect(gradeAnswer('Lef', text('Left'))).toBe(VERDICT.CORRECT);
+    expect(gradeAnswer('Kat', text('Cat'))).toBe(VERDICT.WRONG);
+  });
+
+  it('does not take a different word for a typo', () => {
+    expect(gradeAnswer('Lift', text('Left'))).toBe(VERDICT.NEARLY);
+    expect(gradeAnswer('Loft', text('Left'))).toBe(VERDICT.NEARLY);
+    expect(gradeAnswer('Poodle', text('Moodle'))).toBe(VERDICT.NEARLY);
+    expect(gradeAnswer('Noodle', text('Moodle'))).toBe(VERDICT.NEARLY);
+    expect(gradeAnswer('Placed', text('Pleased'))).toBe(VERDICT.NEARLY);
+  });
+
+  it('forgives about one typo per 7 letters on long answers', () => {
+    expect(gradeAnswer('Edinborough', text('Edinburgh'))).toBe(VERDICT.NEARLY);
+    expect(gradeAnswer('Edinburg', text('Edinburgh'))).toBe(VERDICT.CORRECT);
+    expect(gradeAnswer('Bukingham Palase', text('Buckingham Palace'))).toBe(VERDICT.CORRECT);
+  });
+
+  it('calls a slightly bigger miss nearly', () => {
+    expect(gradeAnswer('Lndn', text('London'))).toBe(VERDICT.NEARLY);
+  });
+
+  it('calls one whole word of a longer answer nearly', () => {
+    expect(gradeAnswer('Buckingham', text('Buckingham Palace'))).toBe(VERDICT.NEARLY);
+  });
+
+  it('marks anything else, and an empty answer, wrong', () => {
+    expect(gradeAnswer('Paris', text('London'))).toBe(VERDICT.WRONG);
+    expect(gradeAnswer('   ', text('London'))).toBe(VERDICT.WRONG);
+  });
+
+  it('needs numbers to match exactly', () => {
+    expect(gradeAnswer('1998', text('1999'))).toBe(VERDICT.WRONG);
+    expect(gradeAnswer('1999', text('1999'))).toBe(VERDICT.CORRECT);
+    expect(gradeAnswer('£6', text('£5'))).toBe(VERDICT.WRONG);
+    expect(gradeAnswer('Platform 10', text('Platform 9'))).toBe(VERDICT.WRONG);
+  });
+
+  it('still forgives typos in the words around a number', () => {
+    expect(gradeAnswer('Platfrom 9', text('Platform 9'))).toBe(VERDICT.CORRECT);
+  });
+
+  it('needs the exact option for choice and true/false questions', () => {
+    const choice = { type: 'choice', answer: '999', options: ['999', '911'] };
+    expect(gradeAnswer('999', choice)).toBe(VERDICT.CORRECT);
+    expect(gradeAnswer('911', choice)).toBe(VERDICT.WRONG);
+    const tf = { type: 'truefalse', answer: 'True' };
+    expect(isCorrect('True', tf)).toBe(true);
+    expect(gradeAnswer('Tru', tf)).toBe(VERDICT.WRONG);
+  });
+
+  it('takes an option that is only an article', () => {
+    const choice = { type: 'choice', answer: 'A', options: ['A', 'B', 'C'] };
+    expect(gradeAnswer('A', choice)).toBe(VERDICT.CORRECT);
+    expect(gradeAnswer('B', choice)).toBe(VERDICT.WRONG);
+  });
+
+  it('tells apart options that differ only by an article', () => {
+    const choice = { type: 'choice', answer: 'The Who', options: ['The Who', 'Who', 'The Kinks'] };
+    expect(gradeAnswer('The Who', choice)).toBe(VERDICT.CORRECT);
+    expect(gradeAnswer('Who', choice)).toBe(VERDICT.WRONG);
+  });
+});
@@ -0,0 +1,79 @@
+import {
+  DAILY_ROUND_SIZE,
+  currentDailyStreak,
+  dailyQuestions,
+  finishDailyAttempt,
+  hasPlayedDaily,
+  hashSeed,
+  seededRandom,
+  startDailyAttempt,
+} from '../dailyChallenge';
+
+jest.mock('expo-localization', () => ({ getLocales: () => [{ languageCode: 'en' }] }));
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const ids = (questions) => questions.map(q => q.id);
+
+const noDaily = () => ({ results: {}, lastDay: null, streak: 0, bestStreak: 0 });
+
+describe('seeding', () => {
+  it('gives the same sequence for the same seed', () => {
+    const a = seededRandom(hashSeed('daily:2026-03-01'));
+    const b = seededRandom(hashSeed('daily:2026-03-01'));
+    expect([a(), a(), a()]).toEqual([b(), b(), b()]);
+  });
+});
+
+describe('dailyQuestions', () => {
+  it('picks the same questions in the same order for the same date', () => {
+    const first = dailyQuestions('2026-03-01', 'en');
+    expect(first).toHaveLength(DAILY_ROUND_SIZE);
+    expect(dailyQuestions('2026-03-01', 'en')).toEqual(first);
+  });
+
+  it('picks the same round in every language', () => {
+    expect(ids(dailyQuestions('2026-03-01', 'zh'))).toEqual(ids(dailyQuestions('2026-03-01', 'en')));
+  });
+
+  it('shuffles choice options the same way too', () => {
+    const options = (questions) => questions.map(q => q.options || null);
+    expect(options(dailyQuestions('2026-03-01', 'en'))).toEqual(options(dailyQuestions('2026-03-01', 'en')));
+  });
+
+  it('picks a different round on another date', () => {
+    const set = (day) => ids(dailyQuestions(day, 'en')).sort();
+    expect(set('2026-03-02')).not.toEqual(set('2026-03-01'));
+  });
+});
+
+describe('attempts', () => {
+  it('allows one scored attempt per day', () => {
+    const started = startDailyAttempt(noDaily(), '2026-03-01', 10);
+    expect(hasPlayedDaily(started, '2026-03-01')).toBe(true);
+    expect(startDailyAttempt(started, '2026-03-01', 10)).toBe(started);
+
+    const finished = finishDailyAttempt(started, '2026-03-01', 7);
+    expect(finished.results['2026-03-01']).toEqual({ score: 7, total: 10, finished: true });
+    // a replay can't overwrite the day's result
+    expect(finishDailyAttempt(finished, '2026-03-01', 10)).toBe(finished);
+    expect(startDailyAttempt(finished, '2026-03-01', 10)).toBe(finished);
+  });
+
+  it('uses up the day even when the attempt is left unfinished', () => {
+    const started = startDailyAttempt(noDaily(), '2026-03-01', 10);
+    expect(startDailyAttempt(started, '2026-03-01', 10).results['2026-03-01'].finished).toBe(false);
+  });
+
+  it('builds a streak on consecutive days and breaks it after a missed day', () => {
+    let daily = startDailyAttempt(noDaily(), '2026-03-01', 10);
+    daily = startDailyAttempt(daily, '2026-03-02', 10);
+    expect(daily.streak).toBe(2);
+    expect(currentDailyStreak(daily, '2026-03-03')).toBe(2);
+    expect(currentDailyStreak(daily, '2026-03-04')).toBe(0);
+
+    daily = startDailyAttempt(daily, '2026-03-05', 10);
+    expect(daily.streak).toBe(1);
+    expect(daily.bestStreak).toBe(2);
+  });
+});
@@ -0,0 +1,36 @@
+jest.mock('expo-localization', () => ({ getLocales: () => [{ languageCode: 'en' }] }));
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+// storage keeps the document in module state, so every test loads a fresh copy
+let profiles;
+let leaderboard;
+let storage;
+beforeEach(async () => {
+  jest.resetModules();
+  profiles = require('../profiles');
+  leaderboard = require('../leaderboard');
+  storage = require('../storage');
+  await storage.loadAppState();
+});
+
+const entry = (name, profileId, points) =>
+  leaderboard.buildEntry({ name, profileId, points, score: 1, total: 1, finishedAt: 1000 });
+
+describe('deleteProfile', () => {
+  it('drops the profile, its data and its leaderboard entries', () => {
+    const first = profiles.addProfile({ list: [], lastUsedId: null }, 'Ana');
+    const { doc, profile: ben } = profiles.addProfile(first.doc, 'Ben');
+    const ana = first.profile;
+    leaderboard.saveLeaderboardEntry('UK Life', 'Easy', entry('Ana', ana.id, 300));
+    leaderboard.saveLeaderboardEntry('UK Life', 'Easy', entry('Ben', ben.id, 200));
+    leaderboard.saveLeaderboardEntry('UK Life', 'Easy', entry('Guest', null, 100));
+
+    const next = profiles.deleteProfile({ ...doc, lastUsedId: ana.id }, ana.id);
+
+    expect(next).toEqual({ list: [ben], lastUsedId: null });
+    const state = storage.getAppState();
+    expect(Object.keys(state.profileData)).toEqual([ben.id]);
+    expect(leaderboard.getBoard(state.leaderboards, 'UK Life', 'Easy').map(e => e.name)).toEqual(['Ben', 'Guest']);
+  });
+});
@@ -0,0 +1,133 @@
+import { quizBank, validateQuestion } from '../questionBank';
+import { exportPackCsv, importableRows, parseCsv, previewPack } from '../questionPacks';
+
+jest.mock('expo-localization', () => ({ getLocales: () => [{ languageCode: 'en' }] }));
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const jsonPack = (questions, category = 'Pack') =>
+  JSON.stringify({ format: 'student-quiz-pack', version: 1, categories: { [category]: questions } });
+
+const CSV_HEADER = 'category,question,answer,difficulty,type,options';
+
+describe('validateQuestion', () => {
+  const base = { question: 'Q?', answer: 'A', difficulty: 'Easy' };
+
+  it('accepts a plain free-text question', () => {
+    expect(validateQuestion(base)).toEqual({});
+  });
+
+  it('flags missing text, answer and a bad difficulty', () => {
+    expect(Object.keys(validateQuestion({ difficulty: 'Tricky' })).sort())
+      .toEqual(['answer', 'difficulty', 'question']);
+  });
+
+  it('rejects an unknown type', () => {
+    expect(validateQuestion({ ...base, type: 'bogus' })).toHaveProperty('type');
+  });
+
+  it('needs True or False as a true/false answer', () => {
+    expect(validateQuestion({ ...base, type: 'truefalse', answer: 'Yes' })).toHaveProperty('answer');
+    expect(validateQuestion({ ...base, type: 'truefalse', answer: 'False' })).toEqual({});
+  });
+
+  it('needs two different options, one of them the answer, for multiple choice', () => {
+    expect(validateQuestion({ ...base, type: 'choice', options: ['A'] })).toHaveProperty('options');
+    expect(validateQuestion({ ...base, type: 'choice', options: ['A', 'A'] })).toHaveProperty('options');
+    expect(validateQuestion({ ...base, type: 'choice', options: ['B', 'C'] })).toHaveProperty('answer');
+    expect(validateQuestion({ ...base, type: 'choice', options: ['A', 'B'] })).toEqual({});
+  });
+});
+
+describe('built-in bank', () => {
+  it('passes the same validation as imported questions', () => {
+    Object.values(quizBank).flat().forEach(q => {
+      expect({ id: q.id, errors: validateQuestion(q) }).toEqual({ id: q.id, errors: {} });
+    });
+  });
+});
+
+describe('parseCsv', () => {
+  it('handles quoted cells, doubled quotes, newlines and blank lines', () => {
+    const text = 'a,b\r\n"x, y","say ""hi""\nthere"\r\n\r\n';
+    expect(parseCsv(text)).toEqual([['a', 'b'], ['x, y', 'say "hi"\nthere']]);
+  });
+});
+
+describe('previewPack (JSON)', () => {
+  it('reads valid questions', () => {
+    const { rows, error } = previewPack(jsonPack([
+      { id: 'p1', difficulty: 'Easy', question: 'Q1?', answer: 'A' },
+      { id: 'p2', difficulty: 'Easy', type: 'truefalse', question: 'Q2?', answer: 'True' },
+    ]), {});
+    expect(error).toBeUndefined();
+    expect(rows.map(r => r.errors)).toEqual([[], []]);
+    expect(rows[1].question).toMatchObject({ type: 'truefalse', answer: 'True' });
+  });
+
+  it('flags an unknown type and a non True/False answer', () => {
+    const { rows } = previewPack(jsonPack([
+      { difficulty: 'Easy', type: 'bogus', question: 'Q1?', answer: 'A' },
+      { difficulty: 'Easy', type: 'truefalse', question: 'Q2?', answer: 'Yes' },
+    ]), {});
+    expect(rows.every(r => r.errors.length === 1)).toBe(true);
+    expect(importableRows(rows, 'replace')).toEqual([]);
+  });
+
+  it('rejects files that are not packs', () => {
+    expect(previewPack('{"hello": 1}', {}).error).toBeTruthy();
+    expect(previewPack('{not json', {}).error).toBeTruthy();
+    expect(previewPack(JSON.stringify({ format: 'student-quiz-pack', version: 99, categories: {} }), {}).error)
+      .toBeTruthy();
+  });
+
+  it('marks questions already in the bank and duplicates within the pack', () => {
+    const bank = { Pack: [{ id: 'old', question: 'Q1?', answer: 'A', difficulty: 'Easy' }] };
+    const { rows } = previewPack(jsonPack([
+      { difficulty: 'Easy', question: 'Q1?', answer: 'A' },
+      { difficulty: 'Easy', question: 'Q2?', answer: 'B' },
+      { difficulty: 'Easy', question: 'q2', answer: 'C' },
+    ]), bank);
+    expect(rows.map(r => r.existing)).toEqual([true, false, false]);
+    expect(rows[2].errors).toHaveLength(1);
+    expect(importableRows(rows, 'merge').map(r => r.line)).toEqual([2]);
+  });
+});
+
+describe('previewPack (CSV)', () => {
+  it('reads types and |-separated options', () => {
+    const { rows } = previewPack([
+      CSV_HEADER,
+      'Pack,Emergency number?,999,Easy,choice,999|911|112',
+      'Pack,Tea is popular.,True,Easy,truefalse,',
+      'Pack,Capital?,London,Easy,,',
+    ].join('\n'), {});
+    expect(rows.map(r => r.errors)).toEqual([[], [], []]);
+    expect(rows[0].question.options).toEqual(['999', '911', '112']);
+    expect(rows[2].question.type).toBeUndefined();
+  });
+
+  it('flags an unknown type and a non True/False answer', () => {
+    const { rows } = previewPack([
+      CSV_HEADER,
+      'Pack,Q1?,A,Easy,bogus,',
+      'Pack,Q2?,Yes,Easy,truefalse,',
+      'Pack,Q3?,A,Easy,choice,B|C',
+    ].join('\n'), {});
+    expect(rows.map(r => r.errors.length)).toEqual([1, 1, 1]);
+    expect(rows.map(r => r.line)).toEqual([2, 3, 4]);
+  });
+
+  it('needs the required columns', () => {
+    expect(previewPack('category,question\nPack,Q?', {}).error).toBeTruthy();
+  });
+
+  it('reads back what it exports', () => {
+    const bank = {
+      Pack: [{ id: 'p1', difficulty: 'Hard', type: 'choice', question: 'Say "hi", then?', answer: 'b', options: ['a', 'b'] }],
+    };
+    const { rows } = previewPack(exportPackCsv(bank), {});
+    expect(rows[0].errors).toEqual([]);
+    expect(rows[0].question).toEqual(bank.Pack[0]);
+  });
+});
@@ -0,0 +1,471 @@
+import { hintsFor } from '../questionTypes';
+import {
+  STATUS,
+  answerHints,
+  answerPoints,
+  answerTimes,
+  canShowHint,
+  difficultyPath,
+  hintsShown,
+  initialQuizState,
+  isClockRunning,
+  isLastQuestion,
+  isResumable,
+  quizReducer,
+  quizSummary,
+  suggestedDifficulty,
+  timeLeft,
+  userAnswers,
+} from '../quizEngine';
+
+const QUESTIONS = [
+  { id: 'q1', difficulty: 'Easy', question: 'Capital of the UK?', answer: 'London', hint: 'Big Ben.' },
+  { id: 'q2', difficulty: 'Easy', question: 'Longest river?', answer: 'Severn', accepted: ['River Severn'] },
+  { id: 'q3', difficulty: 'Easy', type: 'truefalse', question: 'Tea is popular.', answer: 'True' },
+];
+
+// run a list of events through the reducer
+const play = (events, state = initialQuizState) => events.reduce(quizReducer, state);
+
+const start = (extra = {}) => ({
+  type: 'start',
+  questions: QUESTIONS,
+  category: 'UK Life',
+  difficulty: 'Easy',
+  now: 1000,
+  ...extra,
+});
+
+describe('start', () => {
+  it('begins answering the first question', () => {
+    const state = play([start({ highScore: 2 })]);
+    expect(state.status).toBe(STATUS.ANSWERING);
+    expect(state.current).toBe(0);
+    expect(state.score).toBe(0);
+    expect(state.highScore).toBe(2);
+    expect(state.startedAt).toBe(1000);
+  });
+
+  it('ignores an empty round', () => {
+    expect(play([start({ questions: [] })])).toBe(initialQuizState);
+  });
+
+  it('wipes the previous round', () => {
+    const state = play([start(), { type: 'answer', answer: 'London' }, start()]);
+    expect(state.score).toBe(0);
+    expect(state.answers).toEqual([]);
+  });
+});
+
+describe('scoring', () => {
+  it('counts correct answers using the lenient matcher', () => {
+    const state = play([
+      start(),
+      { type: 'answer', answer: 'london' },
+      { type: 'next' },
+      { type: 'answer', answer: 'the River Severn' },
+    ]);
+    expect(state.score).toBe(2);
+    expect(state.answers[1].verdict).toBe('correct');
+  });
+
+  it('does not score wrong or "nearly" answers', () => {
+    const state = play([
+      start(),
+      { type: 'answer', answer: 'Paris' },
+      { type: 'next' },
+      { type: 'answer', answer: 'Sevvvrn' },
+    ]);
+    expect(state.score).toBe(0);
+    expect(state.answers[0].verdict).toBe('wrong');
+    expect(state.answers[1].verdict).toBe('nearly');
+  });
+
+  it('grades answers written in any script', () => {
+    const localized = { ...QUESTIONS[0], question: '英国的首都是哪里？', answer: '伦敦', accepted: ['London'] };
+    const state = play([start({ questions: [localized] }), { type: 'answer', answer: '伦敦。' }]);
+    expect(state.answers[0].verdict).toBe('correct');
+    const other = play([start({ questions: [localized] }), { type: 'answer', answer: '巴黎' }]);
+    expect(other.answers[0].verdict).toBe('wrong');
+  });
+
+  it('ignores a second answer to the same question', () => {
+    const state = play([
+      start(),
+      { type: 'answer', answer: 'London' },
+      { type: 'answer', answer: 'London' },
+    ]);
+    expect(state.score).toBe(1);
+  });
+
+  it('only moves on once the question is answered', () => {
+    const state = play([start(), { type: 'next' }]);
+    expect(state.current).toBe(0);
+    expect(state.status).toBe(STATUS.ANSWERING);
+  });
+});
+
+describe('streaks', () => {
+  it('grows on correct answers and resets on a miss', () => {
+    const state = play([
+      start(),
+      { type: 'answer', answer: 'London' },
+      { type: 'next' },
+      { type: 'answer', answer: 'Severn' },
+      { type: 'next' },
+      { type: 'answer', answer: 'False' },
+    ]);
+    expect(state.streak).toBe(0);
+    expect(state.bestStreak).toBe(2);
+  });
+});
+
+describe('timeouts', () => {
+  it('records a blank wrong answer', () => {
+    const state = play([start(), { type: 'timeout', now: 8000 }]);
+    expect(state.status).toBe(STATUS.ANSWERED);
+    expect(state.answers[0]).toEqual({
+      answer: '',
+      verdict: 'wrong',
+      timedOut: true,
+      hintUsed: false,
+      hintsUsed: 0,
+      timeMs: 7000,
+      points: { base: 0, speed: 0, hint: 0, streak: 0, total: 0 },
+    });
+    expect(state.score).toBe(0);
+  });
+
+  it('breaks the streak', () => {
+    const state = play([
+      start(),
+      { type: 'answer', answer: 'London' },
+      { type: 'next' },
+      { type: 'timeout' },
+    ]);
+    expect(state.streak).toBe(0);
+    expect(state.bestStreak).toBe(1);
+  });
+
+  it('is ignored after the question was answered', () => {
+    const state = play([start(), { type: 'answer', answer: 'London' }, { type: 'timeout' }]);
+    expect(state.answers[0].timedOut).toBe(false);
+    expect(state.score).toBe(1);
+  });
+});
+
+describe('hints', () => {
+  it('marks the hint as used on the answer', () => {
+    const state = play([start(), { type: 'hint' }, { type: 'answer', answer: 'London' }]);
+    expect(state.answers[0].hintUsed).toBe(true);
+  });
+
+  it('ignores hints for questions without one', () => {
+    // true/false questions get no automatic letters hint either
+    const state = play([
+      start(),
+      { type: 'answer', answer: 'x' },
+      { type: 'next' },
+      { type: 'answer', answer: 'x' },
+      { type: 'next' },
+      { type: 'hint' },
+    ]);
+    expect(state.hintsUsed[2]).toBeUndefined();
+    expect(canShowHint(state)).toBe(false);
+  });
+
+  it('reveals the hints one at a time, then the letters hint', () => {
+    const state = play([start(), { type: 'hint' }, { type: 'hint' }, { type: 'hint' }]);
+    expect(hintsShown(state)).toBe(2);
+    expect(hintsFor(state.questions[0])[1]).toEqual({ type: 'letters', first: 'L', count: 6, mask: 'L _ _ _ _ _' });
+    expect(canShowHint(state)).toBe(false);
+  });
+
+  it('records how many hints each answer used', () => {
+    const state = play([start(), { type: 'hint' }, { type: 'hint' }, { type: 'answer', answer: 'London' }]);
+    expect(state.answers[0].hintsUsed).toBe(2);
+    expect(answerHints(state)).toEqual([2, null, null]);
+  });
+
+  it('takes no hints when the round has them switched off', () => {
+    const state = play([start({ hints: false }), { type: 'hint' }]);
+    expect(hintsShown(state)).toBe(0);
+  });
+});
+
+describe('finishing and high scores', () => {
+  const perfectRound = [
+    { type: 'answer', answer: 'London' },
+    { type: 'next' },
+    { type: 'answer', answer: 'Severn' },
+    { type: 'next' },
+    { type: 'answer', answer: 'True' },
+  ];
+
+  it('finishes after next on the last question', () => {
+    const beforeLast = play([start(), ...perfectRound]);
+    expect(isLastQuestion(beforeLast)).toBe(true);
+
+    const state = quizReducer(beforeLast, { type: 'next', now: 61000 });
+    expect(state.status).toBe(STATUS.FINISHED);
+    expect(quizSummary(state)).toEqual({
+      total: 3,
+      answered: 3,
+      correct: 3,
+      points: 330,
+      bestStreak: 3,
+      hintsUsed: 0,
+      durationMs: 60000,
+    });
+    expect(userAnswers(state)).toEqual(['London', 'Severn', 'True']);
+  });
+
+  it('raises the high score (in points) when beaten', () => {
+    const state = play([start({ highScore: 200 }), ...perfectRound, { type: 'next' }]);
+    expect(state.isNewHighScore).toBe(true);
+    expect(state.highScore).toBe(330);
+  });
+
+  it('keeps the high score when tied or lower', () => {
+    const state = play([start({ highScore: 330 }), ...perfectRound, { type: 'next' }]);
+    expect(state.isNewHighScore).toBe(false);
+    expect(state.highScore).toBe(330);
+  });
+
+  it('never sets a high score in review rounds', () => {
+    const state = play([start({ mode: 'review' }), ...perfectRound, { type: 'next' }]);
+    expect(state.isNewHighScore).toBe(false);
+    expect(state.highScore).toBe(0);
+  });
+
+  it('can finish early, leaving the rest unanswered', () => {
+    const state = play([start(), { type: 'answer', answer: 'London' }, { type: 'finish' }]);
+    expect(state.status).toBe(STATUS.FINISHED);
+    expect(quizSummary(state).answered).toBe(1);
+    expect(userAnswers(state)).toEqual(['London', '', '']);
+  });
+
+  it('ignores further events once finished', () => {
+    const finished = play([start(), { type: 'finish' }]);
+    expect(play([{ type: 'answer', answer: 'London' }, { type: 'next' }], finished)).toBe(finished);
+  });
+});
+
+describe('resume', () => {
+  it('picks a saved round up where it was left', () => {
+    const saved = play([start(), { type: 'answer', answer: 'London' }]);
+    const state = play([{ type: 'resume', state: JSON.parse(JSON.stringify(saved)) }]);
+    expect(state).toEqual(saved);
+    expect(play([{ type: 'next' }, { type: 'answer', answer: 'Severn' }], state).score).toBe(2);
+  });
+
+  it('rejects rounds that are finished or malformed', () => {
+    const finished = play([start(), { type: 'finish', now: 2000 }]);
+    expect(isResumable(finished)).toBe(false);
+    expect(isResumable({ ...play([start()]), current: 7 })).toBe(false);
+    expect(isResumable({ ...play([start()]), status: STATUS.ANSWERED })).toBe(false);
+    expect(isResumable(null)).toBe(false);
+    expect(play([{ type: 'resume', state: finished }])).toBe(initialQuizState);
+  });
+});
+
+describe('points', () => {
+  const HARD = [
+    { id: 'h1', difficulty: 'Hard', question: 'Q1', answer: 'Cardiff', hint: 'h' },
+    { id: 'h2', difficulty: 'Hard', question: 'Q2', answer: 'Thames' },
+    { id: 'h3', difficulty: 'Easy', question: 'Q3', answer: 'Snowdon' },
+  ];
+  const timed = start({ questions: HARD, timeMode: 'question', timeLimits: [10, 10, 10] });
+
+  it('weights correct answers by difficulty', () => {
+    const state = play([start({ questions: HARD }), { type: 'answer', answer: 'Cardiff' }]);
+    expect(state.answers[0].points).toEqual({ base: 200, speed: 0, hint: 0, streak: 0, total: 200 });
+  });
+
+  it('adds a speed bonus for the time left', () => {
+    const state = play([timed, { type: 'answer', answer: 'Cardiff', now: 3500 }]);
+    expect(state.answers[0].points.speed).toBe(38);
+    expect(state.points).toBe(238);
+  });
+
+  it('takes half the base off when the hint was used', () => {
+    const state = play([timed, { type: 'hint' }, { type: 'answer', answer: 'Cardiff', now: 11000 }]);
+    expect(state.answers[0].points).toEqual({ base: 200, speed: 0, hint: -100, streak: 0, total: 100 });
+  });
+
+  it('multiplies a streak of correct answers', () => {
+    const state = play([
+      start({ questions: HARD }),
+      { type: 'answer', answer: 'Cardiff' },
+      { type: 'next' },
+      { type: 'answer', answer: 'Thames' },
+      { type: 'next' },
+      { type: 'answer', answer: 'Snowdon' },
+    ]);
+    expect(answerPoints(state).map(p => p.total)).toEqual([200, 220, 120]);
+    expect(answerPoints(state)[1].streak).toBe(20);
+  });
+
+  it('gives nothing for wrong, nearly or timed-out answers', () => {
+    const state = play([timed, { type: 'answer', answer: 'zzz', now: 2000 }, { type: 'next' }, { type: 'timeout' }]);
+    expect(state.points).toBe(0);
+    expect(answerPoints(state)).toEqual([
+      { base: 0, speed: 0, hint: 0, streak: 0, total: 0 },
+      { base: 0, speed: 0, hint: 0, streak: 0, total: 0 },
+      null,
+    ]);
+  });
+});
+
+describe('timing', () => {
+  const timed = (timeMode) => start({ timeMode, timeLimits: [15, 10, 7] });
+
+  it('gives each question its own deadline', () => {
+    let state = play([timed('question')]);
+    expect(state.deadline).toBe(16000);
+    expect(timeLeft(state, 6500)).toBe(10);
+    state = play([{ type: 'answer', answer: 'London', now: 4000 }, { type: 'next', now: 9000 }], state);
+    expect(state.deadline).toBe(19000);
+    expect(isClockRunning(state)).toBe(true);
+  });
+
+  it('stops the per-question clock once answered', () => {
+    const state = play([timed('question'), { type: 'answer', answer: 'London', now: 4000 }]);
+    expect(isClockRunning(state)).toBe(false);
+  });
+
+  it('runs one budget across the whole round', () => {
+    let state = play([timed('quiz')]);
+    expect(state.deadline).toBe(33000);
+    state = play([{ type: 'answer', answer: 'London', now: 4000 }], state);
+    expect(isClockRunning(state)).toBe(true);
+    state = play([{ type: 'next', now: 5000 }], state);
+    expect(state.deadline).toBe(33000);
+    expect(timeLeft(state, 40000)).toBe(0);
+  });
+
+  it('ends the round when the whole-quiz budget runs out', () => {
+    const state = play([
+      timed('quiz'),
+      { type: 'answer', answer: 'London', now: 4000 },
+      { type: 'next', now: 5000 },
+      { type: 'timeout', now: 33000 },
+    ]);
+    expect(state.status).toBe(STATUS.FINISHED);
+    expect(state.answers[1].timedOut).toBe(true);
+    expect(state.answers[2]).toBeUndefined();
+    expect(state.score).toBe(1);
+  });
+
+  it('records how long each answer took', () => {
+    const state = play([
+      start(),
+      { type: 'answer', answer: 'London', now: 3500 },
+      { type: 'next', now: 6000 },
+      { type: 'answer', answer: 'Thames', now: 10000 },
+    ]);
+    expect(answerTimes(state)).toEqual([2500, 4000, null]);
+  });
+
+  it('has no clock when untimed', () => {
+    const state = play([start()]);
+    expect(state.deadline).toBeNull();
+    expect(timeLeft(state, 5000)).toBeNull();
+    expect(isClockRunning(state)).toBe(false);
+  });
+
+  it('keeps the wall-clock deadline on resume, so time away counts', () => {
+    const saved = play([timed('quiz'), { type: 'answer', answer: 'London', now: 4000 }]);
+    const state = play([{ type: 'resume', state: saved }]);
+    expect(state.deadline).toBe(33000);
+    expect(timeLeft(state, 20000)).toBe(13);
+  });
+
+  it('times out a question whose deadline passed while the app was closed', () => {
+    let state = play([{ type: 'resume', state: play([timed('question')]) }]);
+    expect(isClockRunning(state)).toBe(true);
+    expect(timeLeft(state, 600000)).toBe(0);
+    state = play([{ type: 'timeout', now: 600000 }], state);
+    expect(state.answers[0]).toMatchObject({ timedOut: true, timeMs: 15000 });
+  });
+
+  it('ends a whole-quiz round whose budget ran out while the app was closed', () => {
+    const saved = play([timed('quiz'), { type: 'answer', answer: 'London', now: 4000 }]);
+    const state = play([{ type: 'resume', state: saved }, { type: 'timeout', now: 600000 }]);
+    expect(state.status).toBe(STATUS.FINISHED);
+    expect(state.finishedAt).toBe(33000);
+  });
+});
+
+describe('adaptive', () => {
+  // three questions per level; every answer is the level's name, so the tests can pick right or wrong
+  const pool = (level) => [1, 2, 3].map(n => ({
+    id: `${level}${n}`, difficulty: level, question: `${level} ${n}?`, answer: level,
+  }));
+  const adaptive = (extra = {}) => start({
+    questions: undefined,
+    difficulty: 'Adaptive',
+    mode: 'adaptive',
+    adaptive: {
+      pools: { Easy: pool('Easy'), Medium: pool('Medium'), Hard: pool('Hard') },
+      limits: { Easy: 15, Medium: 10, Hard: 7 },
+      size: 6,
+    },
+    ...extra,
+  });
+  const answerAs = (level) => [{ type: 'answer', answer: level }, { type: 'next' }];
+
+  it('starts with a full round planned at Easy', () => {
+    const state = play([adaptive()]);
+    expect(state.questions).toHaveLength(6);
+    expect(state.questions.map(q => q.id)).toEqual(['Easy1', 'Easy2', 'Easy3', 'Medium1', 'Medium2', 'Medium3']);
+    expect(state.timeLimits).toEqual([15, 15, 15, 10, 10, 10]);
+  });
+
+  it('steps up after two right answers and down after two misses', () => {
+    const state = play([
+      adaptive(),
+      ...answerAs('Easy'),
+      ...answerAs('Easy'),
+      ...answerAs('Medium'),
+      ...answerAs('Medium'),
+      ...answerAs('wrong'),
+      { type: 'answer', answer: 'wrong' },
+    ]);
+    expect(difficultyPath(state)).toEqual(['Easy', 'Easy', 'Medium', 'Medium', 'Hard', 'Hard']);
+    expect(state.adaptive.level).toBe('Medium');
+    expect(state.timeLimits).toEqual([15, 15, 10, 10, 7, 7]);
+    expect(new Set(state.questions.map(q => q.id)).size).toBe(6);
+  });
+
+  it('re-plans the rest of the round and suggests where it ended', () => {
+    const state = play([adaptive(), ...answerAs('Easy'), { type: 'answer', answer: 'Easy' }]);
+    expect(state.questions.slice(2).map(q => q.difficulty)).toEqual(['Medium', 'Medium', 'Medium', 'Easy']);
+    expect(suggestedDifficulty(state)).toBe('Medium');
+    expect(suggestedDifficulty(play([start()]))).toBeNull();
+  });
+
+  it('keeps a whole-quiz budget to the sum of the re-planned limits', () => {
+    let state = play([adaptive({ timeMode: 'quiz' })]);
+    expect(state.deadline).toBe(76000);
+    state = play([
+      ...answerAs('Easy'),
+      ...answerAs('Easy'),
+      ...answerAs('Medium'),
+      { type: 'answer', answer: 'Medium' },
+    ], state);
+    expect(state.timeLimits).toEqual([15, 15, 10, 10, 7, 7]);
+    expect(state.deadline).toBe(65000);
+  });
+
+  it('never touches the high score', () => {
+    const state = play([adaptive(), ...answerAs('Easy'), { type: 'finish' }]);
+    expect(state.isNewHighScore).toBe(false);
+  });
+});
+
+describe('reset', () => {
+  it('returns to idle', () => {
+    expect(play([start(), { type: 'reset' }])).toBe(initialQuizState);
+  });
+});
@@ -0,0 +1,143 @@
+jest.mock('expo-localization', () => ({ getLocales: () => [{ languageCode: 'en' }] }));
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const URL = 'https://example.com/pack.json';
+
+const pack = (questions, revision = '1') =>
+  JSON.stringify({ format: 'student-quiz-pack', version: 1, revision, categories: { Pack: questions } });
+
+const QUESTION = { id: 'pack-1', question: 'Q?', answer: 'A', difficulty: 'Easy' };
+
+const response = (status, body = '', headers = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: { get: (name) => headers[name] ?? null },
+  text: async () => body,
+});
+
+// storage and the synced questions live in module state, so every test loads fresh copies
+let remotePacks;
+let questionBank;
+let storage;
+let t;
+beforeEach(async () => {
+  jest.resetModules();
+  remotePacks = require('../remotePacks');
+  questionBank = require('../questionBank');
+  storage = require('../storage');
+  ({ t } = require('../i18n'));
+  global.fetch = jest.fn();
+  await storage.loadAppState();
+  remotePacks.setPackUrl(URL);
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+// one good sync of revision 1, tagged "v1"
+const syncFirstPack = () => {
+  global.fetch.mockResolvedValueOnce(response(200, pack([QUESTION]), { ETag: '"v1"' }));
+  return remotePacks.syncRemotePacks();
+};
+
+describe('readRemotePack', () => {
+  it('reads the questions and the revision', () => {
+    const { categories, revision, errors } = remotePacks.readRemotePack(pack([QUESTION], 7));
+    expect(errors).toEqual([]);
+    expect(revision).toBe('7');
+    expect(categories.Pack.map(q => q.id)).toEqual(['pack-1']);
+  });
+
+  it('rejects unknown types and choice questions without real options', () => {
+    const { errors } = remotePacks.readRemotePack(pack([
+      { ...QUESTION, type: 'bogus' },
+      { ...QUESTION, id: 'pack-2', question: 'Q2?', type: 'choice', options: ['A'] },
+      { ...QUESTION, id: 'pack-3', question: 'Q3?', type: 'truefalse', answer: 'Yes' },
+    ]));
+    expect(errors.map(e => e.slice(0, 11))).toEqual(['Question 1:', 'Question 2:', 'Question 3:']);
+  });
+
+  it('needs an id of its own on every question', () => {
+    const { errors } = remotePacks.readRemotePack(pack([
+      QUESTION,
+      { ...QUESTION, question: 'Q2?' },
+      { ...QUESTION, id: undefined, question: 'Q3?' },
+    ]));
+    expect(errors).toEqual([
+      t('sync.rowError', { line: 2, message: t('sync.duplicateId', { id: 'pack-1', line: 1 }) }),
+      t('sync.rowError', { line: 3, message: t('sync.idRequired') }),
+    ]);
+  });
+});
+
+describe('syncRemotePacks', () => {
+  it('stores a good pack and puts its questions in the bank', async () => {
+    const remote = await syncFirstPack();
+    expect(global.fetch.mock.calls[0][0]).toBe(URL);
+    expect(remote).toMatchObject({ status: remotePacks.SYNC_STATUS.UPDATED, etag: '"v1"', revision: '1' });
+    expect(remote.categories.Pack).toHaveLength(1);
+    expect(questionBank.isBuiltInQuestion('pack-1')).toBe(true);
+  });
+
+  it('sends the cached ETag and changes nothing on a 304', async () => {
+    const first = await syncFirstPack();
+    global.fetch.mockResolvedValueOnce(response(304));
+    const remote = await remotePacks.syncRemotePacks();
+
+    expect(global.fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+    expect(remote.status).toBe(remotePacks.SYNC_STATUS.UNCHANGED);
+    expect(remote.categories).toEqual(first.categories);
+    expect(remote.updatedAt).toBe(first.updatedAt);
+  });
+
+  it('changes nothing when the pack has the same revision', async () => {
+    const first = await syncFirstPack();
+    global.fetch.mockResolvedValueOnce(response(200, pack([{ ...QUESTION, answer: 'B' }]), { ETag: '"v2"' }));
+    const remote = await remotePacks.syncRemotePacks();
+
+    expect(remote.status).toBe(remotePacks.SYNC_STATUS.UNCHANGED);
+    expect(remote.categories).toEqual(first.categories);
+    expect(remote.updatedAt).toBe(first.updatedAt);
+  });
+
+  it('keeps the cached copy when the new pack is invalid', async () => {
+    const first = await syncFirstPack();
+    global.fetch.mockResolvedValueOnce(response(200, pack([{ ...QUESTION, type: 'bogus' }], '2')));
+    const remote = await remotePacks.syncRemotePacks();
+
+    expect(remote.status).toBe(remotePacks.SYNC_STATUS.INVALID);
+    expect(remote.detail).toMatch(/^Question 1: /);
+    expect(remote.categories).toEqual(first.categories);
+    expect(remote.etag).toBe('"v1"');
+    expect(questionBank.isBuiltInQuestion('pack-1')).toBe(true);
+  });
+
+  it('drops the answer when the address changes mid-sync', async () => {
+    let answer;
+    global.fetch.mockReturnValueOnce(new Promise(resolve => { answer = resolve; }));
+    const pending = remotePacks.syncRemotePacks();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    remotePacks.setPackUrl('https://example.com/other.json');
+    answer(response(200, pack([QUESTION]), { ETag: '"v1"' }));
+    const remote = await pending;
+
+    expect(remote.url).toBe('https://example.com/other.json');
+    expect(remote.status).toBe(remotePacks.SYNC_STATUS.NEVER);
+    expect(remote.categories).toEqual({});
+    expect(questionBank.isBuiltInQuestion('pack-1')).toBe(false);
+  });
+
+  it('explains a failed request in the app’s language', async () => {
+    global.fetch.mockRejectedValueOnce(new TypeError('Network request failed'));
+    const remote = await remotePacks.syncRemotePacks();
+    expect(remote.status).toBe(remotePacks.SYNC_STATUS.OFFLINE);
+    expect(remote.detail).toBe(t('sync.noAnswer'));
+
+    global.fetch.mockResolvedValueOnce(response(500));
+    expect((await remotePacks.syncRemotePacks()).detail).toBe(t('sync.httpStatus', { status: 500 }));
+  });
+});
@@ -0,0 +1,74 @@
+import { VERDICT } from '../answerMatching';
+import { addDays, dueQuestions, isDue, recordAnswer } from '../spacedRepetition';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const DAY = '2026-03-01';
+
+// answer question q1 with each verdict in turn, one day after the other
+const answerAll = (verdicts, history = {}) =>
+  verdicts.reduce((h, verdict, i) => recordAnswer(h, 'q1', 'x', verdict, addDays(DAY, i)), history);
+
+describe('addDays', () => {
+  it('crosses month and year ends', () => {
+    expect(addDays('2026-02-28', 1)).toBe('2026-03-01');
+    expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+  });
+});
+
+describe('recordAnswer', () => {
+  it('grows the interval with every correct answer: 1 day, 3 days, then × ease', () => {
+    const intervals = [1, 2, 3, 4].map(n =>
+      answerAll(Array(n).fill(VERDICT.CORRECT)).q1.interval);
+    expect(intervals).toEqual([1, 3, 8, 20]);
+  });
+
+  it('schedules the next review that many days on', () => {
+    const entry = recordAnswer({}, 'q1', 'London', VERDICT.CORRECT, DAY).q1;
+    expect(entry).toMatchObject({ attempts: 1, correct: 1, reps: 1, ease: 2.5, due: '2026-03-02' });
+  });
+
+  it('starts over after a miss, due again the same day', () => {
+    const history = answerAll([VERDICT.CORRECT, VERDICT.CORRECT, VERDICT.WRONG]);
+    expect(history.q1).toMatchObject({ reps: 0, interval: 0, due: addDays(DAY, 2), attempts: 3, correct: 2 });
+  });
+
+  it('treats nearly as a miss, but lowers the ease less', () => {
+    const nearly = recordAnswer({}, 'q1', 'x', VERDICT.NEARLY, DAY).q1;
+    const wrong = recordAnswer({}, 'q1', 'x', VERDICT.WRONG, DAY).q1;
+    expect(nearly.interval).toBe(0);
+    expect(nearly.ease).toBeGreaterThan(wrong.ease);
+    expect(wrong.ease).toBe(1.7);
+  });
+
+  it('never lets the ease drop below 1.3', () => {
+    const history = answerAll(Array(5).fill(VERDICT.WRONG));
+    expect(history.q1.ease).toBe(1.3);
+    // and a correct run after that grows from the floor
+    const back = answerAll([VERDICT.CORRECT, VERDICT.CORRECT, VERDICT.CORRECT], history);
+    expect(back.q1.ease).toBe(1.3);
+    expect(back.q1.interval).toBe(4);
+  });
+
+  it('ignores answers to questions without an id', () => {
+    const history = {};
+    expect(recordAnswer(history, undefined, 'x', VERDICT.CORRECT, DAY)).toBe(history);
+  });
+});
+
+describe('dueQuestions', () => {
+  it('lists only answered questions that are due, most overdue first', () => {
+    const bank = { A: [{ id: 'q1' }, { id: 'q2' }], B: [{ id: 'q3' }] };
+    const history = {
+      q1: { due: '2026-03-03' },
+      q3: { due: '2026-02-20' },
+    };
+    expect(isDue(history.q1, '2026-03-02')).toBe(false);
+    expect(dueQuestions(bank, history, '2026-03-05')).toEqual([
+      { id: 'q3', category: 'B' },
+      { id: 'q1', category: 'A' },
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+import { basePoints } from '../scoring';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+// storage keeps the document in module state, so every test loads a fresh copy
+let storage;
+let AsyncStorage;
+beforeEach(() => {
+  jest.resetModules();
+  storage = require('../storage');
+  const mock = require('@react-native-async-storage/async-storage');
+  AsyncStorage = mock.default || mock;
+});
+
+const storedDoc = async () => JSON.parse(await AsyncStorage.getItem('app_state'));
+
+describe('loadAppState', () => {
+  it('starts a fresh install on defaults, with no profiles', async () => {
+    const state = await storage.loadAppState();
+    expect(state.schemaVersion).toBe(storage.SCHEMA_VERSION);
+    expect(state.profiles).toEqual({ list: [], lastUsedId: null });
+    expect((await storedDoc()).schemaVersion).toBe(storage.SCHEMA_VERSION);
+  });
+
+  it('imports the old keys into one starter profile and removes them', async () => {
+    await AsyncStorage.multiSet([
+      ['settings_timer_enabled', '0'],
+      ['stats_total_quizzes', '3'],
+      ['stats_total_answered', '12'],
+      ['highScore_UK Life_Easy', '4'],
+      ['custom_bank', JSON.stringify({ categories: ['Mine'] })],
+    ]);
+    const state = await storage.loadAppState();
+
+    expect(state.profiles.list.map(p => p.name)).toEqual(['Student']);
+    const data = state.profileData[state.profiles.lastUsedId];
+    expect(data.settings.timerEnabled).toBe(false);
+    expect(data.stats).toMatchObject({ totalQuizzes: 3, totalAnswered: 12 });
+    expect(data.highScores['UK Life'].Easy).toBe(4 * basePoints('Easy'));
+    expect(state.customBank).toEqual({ categories: ['Mine'] });
+    expect(await AsyncStorage.getAllKeys()).toEqual(['app_state']);
+  });
+
+  it('imports per-profile keys for every listed profile', async () => {
+    const profiles = { list: [{ id: 'a', name: 'Ana', createdAt: 'x' }, { id: 'b', name: 'Ben', createdAt: 'x' }], lastUsedId: 'b' };
+    await AsyncStorage.multiSet([
+      ['profiles', JSON.stringify(profiles)],
+      ['profile:a:stats_best_streak', '7'],
+      ['profile:b:highScore_British Slang_Hard', '2'],
+    ]);
+    const state = await storage.loadAppState();
+
+    expect(state.profiles).toEqual(profiles);
+    expect(state.profileData.a.stats.bestStreak).toBe(7);
+    expect(state.profileData.b.highScores['British Slang'].Hard).toBe(2 * basePoints('Hard'));
+  });
+
+  it('turns v1 high scores into points and drops the unfinished round', async () => {
+    await AsyncStorage.setItem('app_state', JSON.stringify({
+      schemaVersion: 1,
+      profiles: { list: [{ id: 'a', name: 'Ana', createdAt: 'x' }], lastUsedId: 'a' },
+      profileData: { a: { highScores: { 'UK Life': { Medium: 5 } }, session: { quiz: {} } } },
+    }));
+    const state = await storage.loadAppState();
+
+    expect(state.schemaVersion).toBe(2);
+    expect(state.profileData.a.highScores['UK Life'].Medium).toBe(5 * basePoints('Medium'));
+    expect(state.profileData.a.session).toBeNull();
+    expect((await storedDoc()).schemaVersion).toBe(2);
+  });
+
+  it('backs up a document it cannot parse and starts over', async () => {
+    await AsyncStorage.setItem('app_state', '{not json');
+    const state = await storage.loadAppState();
+
+    expect(state.profiles.list).toEqual([]);
+    const backups = (await AsyncStorage.getAllKeys()).filter(k => k.startsWith('app_state_corrupt_'));
+    expect(backups).toHaveLength(1);
+    expect(await AsyncStorage.getItem(backups[0])).toBe('{not json');
+  });
+
+  it('tries a failed read again before giving up', async () => {
+    const doc = { ...storage.defaultAppState(), profiles: { list: [{ id: 'a', name: 'Ana', createdAt: 'x' }], lastUsedId: 'a' } };
+    await AsyncStorage.setItem('app_state', JSON.stringify(doc));
+    AsyncStorage.getItem.mockRejectedValueOnce(new Error('disk busy'));
+
+    expect((await storage.loadAppState()).profiles).toEqual(doc.profiles);
+    expect(storage.storageFailed()).toBe(false);
+  });
+
+  it('keeps changes in memory but never writes them over a document it could not read', async () => {
+    const doc = { ...storage.defaultAppState(), profiles: { list: [{ id: 'a', name: 'Ana', createdAt: 'x' }], lastUsedId: 'a' } };
+    await AsyncStorage.setItem('app_state', JSON.stringify(doc));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    AsyncStorage.getItem
+      .mockRejectedValueOnce(new Error('disk busy'))
+      .mockRejectedValueOnce(new Error('disk busy'))
+      .mockRejectedValueOnce(new Error('disk busy'));
+
+    expect((await storage.loadAppState()).profiles.list).toEqual([]);
+    expect(storage.storageFailed()).toBe(true);
+    storage.updateAppState(state => ({ ...state, leaderboards: { x: {} } }));
+    await storage.flushAppState();
+    expect((await storedDoc()).profiles).toEqual(doc.profiles);
+
+    // a later call doesn't swap the document under the changes made since
+    await storage.loadAppState();
+    expect(storage.getAppState().leaderboards).toEqual({ x: {} });
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,58 @@
+/* ------------------------------------------------------------------------
+   Accessibility
+
+   - useAccessibilityPrefs(): screen reader / reduce motion, kept in sync
+     with the OS settings while the app runs
+   - announce(): speak a message through the screen reader (no-op when
+     none is running)
+   - countdown announcements are rate-limited: only at COUNTDOWN_MARKS
+     seconds left, and never closer together than MIN_ANNOUNCE_GAP_MS
+     (so they don't talk over the question or the feedback)
+   - EXTRA_TIME_OPTIONS: the per-question time bonus offered in Settings
+
+   Buttons are labelled by their title; every TouchableOpacity sets its
+   own role + label (and selected / disabled state where it has one).
+------------------------------------------------------------------------ */
+
+import { useEffect, useState } from 'react';
+import { AccessibilityInfo } from 'react-native';
+
+// seconds added to every question's time limit (Settings)
+export const EXTRA_TIME_OPTIONS = [0, 5, 10, 20];
+
+// seconds left at which the countdown is read out
+export const COUNTDOWN_MARKS = [10, 5];
+
+export const MIN_ANNOUNCE_GAP_MS = 3000;
+
+export function announce(message) {
+  if (message) AccessibilityInfo.announceForAccessibility(message);
+}
+
+// pure so it's easy to reason about: should "N seconds left" be read now?
+export const shouldAnnounceCountdown = (secondsLeft, lastAnnouncedAt, now) =>
+  COUNTDOWN_MARKS.includes(secondsLeft) && now - lastAnnouncedAt >= MIN_ANNOUNCE_GAP_MS;
+
+export function useAccessibilityPrefs() {
+  const [prefs, setPrefs] = useState({ screenReader: false, reduceMotion: false });
+
+  useEffect(() => {
+    let mounted = true;
+    const set = (key) => (value) => {
+      if (mounted) setPrefs(p => ({ ...p, [key]: value }));
+    };
+
+    AccessibilityInfo.isScreenReaderEnabled().then(set('screenReader'));
+    AccessibilityInfo.isReduceMotionEnabled().then(set('reduceMotion'));
+    const subs = [
+      AccessibilityInfo.addEventListener('screenReaderChanged', set('screenReader')),
+      AccessibilityInfo.addEventListener('reduceMotionChanged', set('reduceMotion')),
+    ];
+    return () => {
+      mounted = false;
+      subs.forEach(sub => sub.remove());
+    };
+  }, []);
+
+  return prefs;
+}
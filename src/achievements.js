@@ -0,0 +1,116 @@
+/* ------------------------------------------------------------------------
+   Achievements
+
+   Badges are declared in BADGES: an id, an icon, the event they're
+   checked on ('answer' after every answer, 'quiz' once a round is
+   finished) and a test on that event's context. Titles and
+   descriptions are i18n keys: badges.<id>.title / .description.
+
+   - newlyUnlocked(event, ctx, achievements): ids earned just now
+   - withUnlocked(achievements, ids, at): stores them with a timestamp
+   - the answer streak runs across rounds (a round can be shorter than
+     the streak badges), see trackAnswer()
+
+   Contexts
+   - answer: { quiz, answer, achievements }   quiz = engine state after the answer
+   - quiz:   { quiz, stats, daily, quizLog, categories, achievements }
+             with this round already counted in stats / daily / quizLog
+------------------------------------------------------------------------ */
+
+import { VERDICT } from './answerMatching';
+import { hintsFor } from './questionTypes';
+
+/** @returns {{ unlocked: Object<string, string>, answerStreak: number }} unlocked: id → ISO date */
+export const emptyAchievements = () => ({ unlocked: {}, answerStreak: 0 });
+
+const SPEEDY_MS = 3000;
+
+const everyAnswered = (quiz) => quiz.questions.every((_, i) => Boolean(quiz.answers[i]));
+
+export const BADGES = [
+  {
+    id: 'firstQuiz',
+    icon: '🎓',
+    on: 'quiz',
+    test: ({ stats }) => stats.totalQuizzes >= 1,
+  },
+  {
+    id: 'perfectHard',
+    icon: '💎',
+    on: 'quiz',
+    test: ({ quiz }) =>
+      quiz.mode === 'normal' && quiz.difficulty === 'Hard' && quiz.score === quiz.questions.length,
+  },
+  {
+    id: 'streak10',
+    icon: '🔥',
+    on: 'answer',
+    test: ({ achievements }) => achievements.answerStreak >= 10,
+  },
+  {
+    id: 'speedy',
+    icon: '⚡',
+    on: 'answer',
+    test: ({ quiz, answer }) =>
+      quiz.deadline != null && answer.verdict === VERDICT.CORRECT && answer.timeMs != null && answer.timeMs < SPEEDY_MS,
+  },
+  {
+    // only counts when there was a hint to resist
+    id: 'noHints',
+    icon: '🧠',
+    on: 'quiz',
+    test: ({ quiz }) =>
+      everyAnswered(quiz) && quiz.hintsAllowed && quiz.questions.some(q => hintsFor(q).length > 0) &&
+      !quiz.hintsUsed.some(Boolean),
+  },
+  {
+    id: 'allCategories',
+    icon: '🗺️',
+    on: 'quiz',
+    test: ({ quizLog, categories }) => {
+      const played = new Set(quizLog.filter(r => r.mode === 'normal').map(r => r.category));
+      return categories.length > 0 && categories.every(c => played.has(c));
+    },
+  },
+  {
+    id: 'daily7',
+    icon: '📅',
+    on: 'quiz',
+    test: ({ daily }) => Object.values(daily.results).filter(r => r && r.finished).length >= 7,
+  },
+  {
+    id: 'points1000',
+    icon: '🏆',
+    on: 'quiz',
+    test: ({ quiz }) => quiz.points >= 1000,
+  },
+  {
+    id: 'quizzes25',
+    icon: '📚',
+    on: 'quiz',
+    test: ({ stats }) => stats.totalQuizzes >= 25,
+  },
+];
+
+export const isUnlocked = (achievements, id) => Boolean(achievements.unlocked[id]);
+
+// correct answers in a row, across rounds
+export const trackAnswer = (achievements, verdict) => ({
+  ...achievements,
+  answerStreak: verdict === VERDICT.CORRECT ? achievements.answerStreak + 1 : 0,
+});
+
+export const newlyUnlocked = (event, ctx, achievements) =>
+  BADGES
+    .filter(b => b.on === event && !isUnlocked(achievements, b.id) && b.test({ ...ctx, achievements }))
+    .map(b => b.id);
+
+export const withUnlocked = (achievements, ids, at = new Date().toISOString()) => {
+  const unlocked = { ...achievements.unlocked };
+  ids.forEach(id => {
+    if (!unlocked[id]) unlocked[id] = at;
+  });
+  return { ...achievements, unlocked };
+};
+
+export const badgeById = (id) => BADGES.find(b => b.id === id) || null;
@@ -0,0 +1,75 @@
+/* ------------------------------------------------------------------------
+   Adaptive difficulty
+
+   An "Adaptive" round draws from all three difficulties of a category
+   and moves between them as it goes: STEP_UP_AFTER right answers in a
+   row take it one level up, STEP_DOWN_AFTER misses in a row one level
+   down. The quiz engine keeps the round's length fixed and re-plans the
+   questions still to come after every answer (see quizReducer).
+
+   adaptive = {
+     level,                          // level the next question comes from
+     runRight, runWrong,             // answers in a row since the last step
+     pools: { Easy: [q...], ... },   // unasked questions per level, in play order
+     limits: { Easy: s, ... },       // time limit per level (seconds)
+   }
+
+   Pure helpers, no i18n / storage: the engine imports this module.
+------------------------------------------------------------------------ */
+
+// the difficulty-screen choice (and the round's difficulty) for adaptive rounds
+export const ADAPTIVE = 'Adaptive';
+
+// easiest first; the same names as DIFFICULTIES in src/questionBank.js
+export const LEVELS = ['Easy', 'Medium', 'Hard'];
+
+export const START_LEVEL = 'Easy';
+export const ADAPTIVE_ROUND_SIZE = 10;
+export const STEP_UP_AFTER = 2;
+export const STEP_DOWN_AFTER = 2;
+
+// every level, nearest to `level` first (on a tie the easier one)
+const byDistance = (level) => {
+  const at = LEVELS.indexOf(level);
+  const gap = (l) => Math.abs(LEVELS.indexOf(l) - at);
+  return [...LEVELS].sort((a, b) => gap(a) - gap(b) || LEVELS.indexOf(a) - LEVELS.indexOf(b));
+};
+
+// the next `count` questions: from `level` while it lasts, then from the nearest levels
+export function planQuestions(pools, level, count) {
+  const planned = [];
+  for (const l of byDistance(level)) {
+    if (planned.length >= count) break;
+    planned.push(...(pools[l] || []).slice(0, count - planned.length));
+  }
+  return planned;
+}
+
+// a planned question is always the first of its level's pool, so asking it drops that one
+export const takeQuestion = (pools, q) =>
+  ({ ...pools, [q.difficulty]: (pools[q.difficulty] || []).slice(1) });
+
+// after an answer: maybe one level up or down (the runs start again after a step)
+export function stepLevel(adaptive, correct) {
+  const runRight = correct ? adaptive.runRight + 1 : 0;
+  const runWrong = correct ? 0 : adaptive.runWrong + 1;
+  const at = LEVELS.indexOf(adaptive.level);
+  if (runRight >= STEP_UP_AFTER && at < LEVELS.length - 1) {
+    return { ...adaptive, level: LEVELS[at + 1], runRight: 0, runWrong: 0 };
+  }
+  if (runWrong >= STEP_DOWN_AFTER && at > 0) {
+    return { ...adaptive, level: LEVELS[at - 1], runRight: 0, runWrong: 0 };
+  }
+  return { ...adaptive, runRight, runWrong };
+}
+
+// ['Easy', 'Easy', 'Medium'] → [{ level: 'Easy', count: 2 }, { level: 'Medium', count: 1 }]
+export function pathRuns(path) {
+  const runs = [];
+  path.forEach(level => {
+    const last = runs[runs.length - 1];
+    if (last && last.level === level) last.count += 1;
+    else runs.push({ level, count: 1 });
+  });
+  return runs;
+}
@@ -0,0 +1,141 @@
+/* ------------------------------------------------------------------------
+   Answer matching
+
+   Lenient free-text grading shared by the quiz screen and the review.
+   - question.answer is the canonical answer, question.accepted (optional)
+     lists alternates that also count
+   - ignores case, accents, punctuation, articles and extra whitespace
+   - tolerates small typos (about one per 7 letters; on short words only a
+     dropped, extra or swapped letter, since a changed one is usually
+     another word); slightly bigger misses come back as "nearly"
+   - numbers (years, amounts, …) must match exactly: no typo allowance
+   - choice / true-false questions need the exact option (as written), no "nearly"
+------------------------------------------------------------------------ */
+
+import { hasOptions } from './questionTypes';
+
+export const VERDICT = {
+  CORRECT: 'correct',
+  NEARLY: 'nearly',
+  WRONG: 'wrong',
+};
+
+// words dropped before comparing ("the Severn" → "severn")
+const ARTICLES = new Set(['the', 'a', 'an']);
+
+// ASCII, Latin-1, general and CJK punctuation — everything else (any script) is kept;
+// £ and $ / € stay because "£5" and "5" are different answers
+const PUNCTUATION = /[!-#%-\/:-@[-`{-~\u00a1\u00a2\u00a4-\u00bf\u2000-\u206f\u3000-\u303f\uff01-\uff0f\uff1a-\uff20]/g;
+
+// lower-case, strip accents/punctuation/articles, collapse whitespace
+export function normalizeAnswer(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(PUNCTUATION, ' ')
+    .split(/\s+/)
+    .filter(word => word && !ARTICLES.has(word))
+    .join(' ');
+}
+
+// canonical answer first, then any alternates
+export function acceptedAnswers(question) {
+  if (!question) return [];
+  return [question.answer, ...(question.accepted || [])].filter(Boolean);
+}
+
+// optimal string alignment distance (Levenshtein + adjacent swaps)
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  const d = [];
+  for (let i = 0; i <= a.length; i++) d[i] = [i];
+  for (let j = 0; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost,
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// the words that contain a digit, in order ("£5", "1999", "3rd")
+const numberWords = (normalized) =>
+  normalized.split(' ').filter(word => /\d/.test(word)).join(' ');
+
+// how many typos we forgive for an answer of this length: about one per 7 letters
+function typoAllowance(length) {
+  if (length <= 3) return 0;
+  return Math.max(1, Math.floor(length / 7));
+}
+
+// how far off still counts as "nearly"
+function nearMissAllowance(length) {
+  if (length <= 3) return 0;
+  return length <= 6 ? 3 : 4;
+}
+
+// below this length a changed letter usually makes another word ("Lift" for "Left"),
+// so only a dropped, extra or swapped letter is forgiven
+const SUBSTITUTION_MIN_LENGTH = 7;
+
+// a and b are one edit apart by swapping two neighbouring letters
+function isSwap(a, b) {
+  if (a.length !== b.length) return false;
+  const diff = Array.from({ length: a.length }, (_, i) => i).filter(i => a[i] !== b[i]);
+  return diff.length === 2 && diff[1] === diff[0] + 1 &&
+    a[diff[0]] === b[diff[1]] && a[diff[1]] === b[diff[0]];
+}
+
+// one letter changed for another (as opposed to dropped, added or swapped)
+const isSubstitution = (a, b, distance) =>
+  distance === 1 && a.length === b.length && !isSwap(a, b);
+
+// grade one typed answer → VERDICT.*
+export function gradeAnswer(input, question) {
+  // picked from a list → it either is the answer or it isn't; options are compared as
+  // written, since "A" or "The Who" / "Who" would not survive normalizing
+  if (hasOptions(question)) {
+    return input === question.answer ? VERDICT.CORRECT : VERDICT.WRONG;
+  }
+
+  const given = normalizeAnswer(input);
+  if (!given) return VERDICT.WRONG;
+
+  let verdict = VERDICT.WRONG;
+  for (const candidate of acceptedAnswers(question)) {
+    const target = normalizeAnswer(candidate);
+    if (!target) continue;
+    // "1998" is not a typo of "1999"
+    if (numberWords(given) !== numberWords(target)) continue;
+
+    const distance = editDistance(given, target);
+    const forgiven = distance <= typoAllowance(target.length) &&
+      (target.length >= SUBSTITUTION_MIN_LENGTH || !isSubstitution(given, target, distance));
+    if (forgiven) return VERDICT.CORRECT;
+
+    // a few more slips than we forgive, or one whole word of a longer answer
+    const nearMiss =
+      distance <= nearMissAllowance(target.length) ||
+      (target.includes(' ') && target.split(' ').includes(given) && given.length > 3);
+    if (nearMiss) verdict = VERDICT.NEARLY;
+  }
+  return verdict;
+}
+
+export const isCorrect = (input, question) =>
+  gradeAnswer(input, question) === VERDICT.CORRECT;
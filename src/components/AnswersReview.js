@@ -0,0 +1,99 @@
+/* ------------------------------------------------------------------------
+   Answers Review
+
+   The per-question list under "Answers Review:" — used by the results
+   screen and when reopening a past quiz from History. Verdicts come from
+   the same matcher as the quiz screen, so the two never disagree.
+   Each answer carries its verdict mark as well as its colour, and the
+   time it took, the points it earned and the hints it used when those
+   were recorded (older History records have none of them), and the
+   question's explanation when it has one.
+------------------------------------------------------------------------ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { gradeAnswer, VERDICT } from '../answerMatching';
+import { optionLabel, t } from '../i18n';
+import { formatDuration } from '../quizLog';
+import { VERDICT_MARK, useThemedStyles } from '../theme';
+
+// answer style in the review, per matcher verdict
+const REVIEW_STYLE = {
+  [VERDICT.CORRECT]: 'correct',
+  [VERDICT.NEARLY]: 'nearly',
+  [VERDICT.WRONG]: 'wrong',
+};
+
+// "+238 pts (base 200 · speed +38)" — only the parts that applied
+function pointsLine(p) {
+  const parts = [t('answers.base', { points: p.base })];
+  if (p.speed > 0) parts.push(t('answers.speed', { points: p.speed }));
+  if (p.hint < 0) parts.push(t('answers.hint', { points: -p.hint }));
+  if (p.streak > 0) parts.push(t('answers.streak', { points: p.streak }));
+  return p.total > 0
+    ? `${t('answers.points', { points: p.total })} (${parts.join(' · ')})`
+    : t('answers.points', { points: 0 });
+}
+
+export default function AnswersReview({ questions, userAnswers, times = [], points = [], hints = [] }) {
+  const styles = useThemedStyles(makeStyles);
+  return (
+    <>
+      <Text style={styles.sectionHeader}>{t('answers.title')}</Text>
+      {questions.map((q, i) => {
+        const ua = userAnswers[i] ?? '';
+        const verdict = gradeAnswer(ua, q);
+        const correct = verdict === VERDICT.CORRECT;
+        return (
+          <View key={i} style={styles.reviewItem}>
+            <Text style={styles.reviewQuestion}>
+              {i + 1}. {q.question}
+            </Text>
+            <Text style={styles.reviewLine}>
+              {t('answers.yours')}
+              <Text style={styles[REVIEW_STYLE[verdict]]}>
+                {VERDICT_MARK[verdict]} {ua ? optionLabel(q, ua) : '—'}
+              </Text>
+              {verdict === VERDICT.NEARLY ? t('answers.nearly') : ''}
+            </Text>
+            {!correct && (
+              <Text style={styles.correctAnswer}>
+                {t('answers.correct', { answer: optionLabel(q, q.answer) })}
+              </Text>
+            )}
+            {times[i] != null && (
+              <Text style={styles.detail}>{t('answers.time', { duration: formatDuration(times[i]) })}</Text>
+            )}
+            {points[i] && <Text style={styles.detail}>{pointsLine(points[i])}</Text>}
+            {hints[i] > 0 && <Text style={styles.detail}>{t('answers.hintsUsed', { count: hints[i] })}</Text>}
+            {q.explanation ? <Text style={styles.explanation}>{q.explanation}</Text> : null}
+          </View>
+        );
+      })}
+    </>
+  );
+}
+
+const makeStyles = (c) => StyleSheet.create({
+  sectionHeader: {
+    marginTop: 16,
+    fontSize: 20,
+    fontWeight: '700',
+    textAlign: 'center',
+    color: c.text,
+  },
+  reviewItem: {
+    marginBottom: 12,
+    padding: 12,
+    backgroundColor: c.surfaceAlt,
+    borderRadius: 8,
+  },
+  reviewQuestion: { fontWeight: '700', fontSize: 16, color: c.text },
+  reviewLine: { color: c.text },
+  correct: { color: c.correct },
+  nearly: { color: c.nearly },
+  wrong: { color: c.wrong },
+  correctAnswer: { color: c.answer },
+  detail: { color: c.textMuted, marginTop: 2 },
+  explanation: { color: c.text, fontStyle: 'italic', marginTop: 4 },
+});
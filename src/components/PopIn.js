@@ -0,0 +1,28 @@
+/* ------------------------------------------------------------------------
+   PopIn
+
+   Small scale + fade entrance for quiz feedback. Renders straight away,
+   without moving, when the user has "reduce motion" switched on.
+------------------------------------------------------------------------ */
+
+import React, { useEffect, useRef } from 'react';
+import { Animated } from 'react-native';
+
+export default function PopIn({ reduceMotion, children }) {
+  const progress = useRef(new Animated.Value(reduceMotion ? 1 : 0)).current;
+
+  useEffect(() => {
+    if (reduceMotion) {
+      progress.setValue(1);
+      return;
+    }
+    Animated.spring(progress, { toValue: 1, friction: 6, useNativeDriver: true }).start();
+  }, [reduceMotion]);
+
+  const scale = progress.interpolate({ inputRange: [0, 1], outputRange: [0.85, 1] });
+  return (
+    <Animated.View style={{ opacity: progress, transform: [{ scale }] }}>
+      {children}
+    </Animated.View>
+  );
+}
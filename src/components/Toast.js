@@ -0,0 +1,74 @@
+/* ------------------------------------------------------------------------
+   Toast
+
+   Short banner over the top of whatever screen is showing, e.g. "Badge
+   unlocked". ToastProvider sits at the app root; anything under it calls
+   useToast()(message). Toasts queue up and show one at a time for
+   TOAST_MS; screen readers hear each one as it appears.
+------------------------------------------------------------------------ */
+
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { announce, useAccessibilityPrefs } from '../accessibility';
+import { useThemedStyles } from '../theme';
+import PopIn from './PopIn';
+
+const TOAST_MS = 3000;
+
+const ToastContext = createContext(() => {});
+
+export function ToastProvider({ children }) {
+  const [queue, setQueue] = useState([]); // [{ id, message }]
+  const nextId = useRef(0);
+  const { reduceMotion } = useAccessibilityPrefs();
+  const styles = useThemedStyles(makeStyles);
+  const showToast = useCallback((message) => {
+    nextId.current += 1;
+    const toast = { id: nextId.current, message };
+    setQueue(q => [...q, toast]);
+  }, []);
+  const current = queue[0];
+
+  // one at a time: the timer restarts only when the front of the queue changes
+  useEffect(() => {
+    if (!current) return;
+    // announced here on both platforms, so the banner is no live region (TalkBack would read it twice)
+    announce(current.message);
+    const id = setTimeout(() => setQueue(q => q.slice(1)), TOAST_MS);
+    return () => clearTimeout(id);
+  }, [current]);
+
+  return (
+    <ToastContext.Provider value={showToast}>
+      <View style={styles.root}>
+        {children}
+        {current ? (
+          <View style={styles.overlay} pointerEvents="none">
+            <PopIn key={current.id} reduceMotion={reduceMotion}>
+              <View style={styles.toast}>
+                <Text style={styles.text}>{current.message}</Text>
+              </View>
+            </PopIn>
+          </View>
+        ) : null}
+      </View>
+    </ToastContext.Provider>
+  );
+}
+
+export const useToast = () => useContext(ToastContext);
+
+const makeStyles = (c, theme) => StyleSheet.create({
+  root: { flex: 1 },
+  overlay: { position: 'absolute', top: 48, left: 16, right: 16, alignItems: 'center' },
+  toast: {
+    backgroundColor: c.primary,
+    borderWidth: theme.borderWidth - 1,
+    borderColor: c.onPrimary,
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 18,
+    elevation: 4,
+  },
+  text: { color: c.onPrimary, fontSize: 16, fontWeight: '700', textAlign: 'center' },
+});
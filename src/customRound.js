@@ -0,0 +1,100 @@
+/* ------------------------------------------------------------------------
+   Custom rounds + presets
+
+   A custom round mixes any categories and difficulties, with its own
+   length, hints on or off, a time limit and an optional "only questions
+   I've missed before" filter. A setup can be saved under a name as a
+   preset (per profile); presets show on the category screen.
+
+   setup = {
+     categories: [name, ...],         // at least one
+     difficulties: [level, ...],      // at least one
+     count,                           // questions per round; null = every match
+     hints,                           // false = hints hidden for the round
+     timeLimit,                       // seconds per question; null = the usual
+                                      //   per-difficulty time, 0 = no timer
+     missedOnly,                      // only questions answered wrong before
+   }
+   preset = { id, name, setup }
+------------------------------------------------------------------------ */
+
+import { DIFFICULTIES } from './questionBank';
+import { getProfileData, loadAppState, updateProfileData } from './storage';
+
+export const CUSTOM_CATEGORY = 'Custom round';
+export const ROUND_LENGTHS = [5, 10, 20, null];
+export const TIME_LIMIT_OPTIONS = [null, 0, 10, 20, 30];
+export const MAX_PRESETS = 12;
+export const MAX_PRESET_NAME_LENGTH = 24;
+
+export const defaultSetup = (categories = []) => ({
+  categories,
+  difficulties: [...DIFFICULTIES],
+  count: 10,
+  hints: true,
+  timeLimit: null,
+  missedOnly: false,
+});
+
+// presets come from storage, so anything odd falls back to the defaults
+export function normalizeSetup(raw) {
+  const base = defaultSetup();
+  if (!raw || typeof raw !== 'object') return base;
+  const strings = (list) => (Array.isArray(list) ? list.filter(v => typeof v === 'string') : []);
+  const difficulties = strings(raw.difficulties).filter(d => DIFFICULTIES.includes(d));
+  return {
+    categories: strings(raw.categories),
+    difficulties: difficulties.length > 0 ? difficulties : base.difficulties,
+    count: ROUND_LENGTHS.includes(raw.count) ? raw.count : base.count,
+    hints: raw.hints !== false,
+    timeLimit: TIME_LIMIT_OPTIONS.includes(raw.timeLimit) ? raw.timeLimit : base.timeLimit,
+    missedOnly: raw.missedOnly === true,
+  };
+}
+
+export const isSetupComplete = (setup) => setup.categories.length > 0 && setup.difficulties.length > 0;
+
+// answered wrong (or nearly, or timed out) at least once — see spacedRepetition.js
+export const isMissed = (entry) => Boolean(entry && entry.attempts > entry.correct);
+
+// every question the setup allows → [{ ...question, category }], bank order
+export function matchingQuestions(bank, setup, history = {}) {
+  const found = [];
+  setup.categories.forEach(category => {
+    (bank[category] || []).forEach(q => {
+      if (!setup.difficulties.includes(q.difficulty)) return;
+      if (setup.missedOnly && !isMissed(history[q.id])) return;
+      found.push({ ...q, category });
+    });
+  });
+  return found;
+}
+
+/* --------------------------------- presets --------------------------------- */
+
+export const cleanPresetName = (name) =>
+  String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_PRESET_NAME_LENGTH);
+
+// saving under an existing name (any case) overwrites that preset; newest first
+export function addPreset(presets, name, setup) {
+  const clean = cleanPresetName(name);
+  if (!clean) return presets;
+  const existing = presets.find(p => p.name.toLowerCase() === clean.toLowerCase());
+  const id = existing ? existing.id : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  const preset = { id, name: clean, setup };
+  return [preset, ...presets.filter(p => p !== existing)].slice(0, MAX_PRESETS);
+}
+
+export const deletePreset = (presets, id) => presets.filter(p => p.id !== id);
+
+/* ------------------------------ storage (per profile) ------------------------------ */
+
+export async function loadPresets(profileId) {
+  await loadAppState();
+  return getProfileData(profileId).presets
+    .filter(p => typeof p.id === 'string' && cleanPresetName(p.name))
+    .map(p => ({ id: p.id, name: cleanPresetName(p.name), setup: normalizeSetup(p.setup) }));
+}
+
+export const savePresets = (profileId, presets) =>
+  updateProfileData(profileId, data => ({ ...data, presets }));
@@ -0,0 +1,118 @@
+/* ------------------------------------------------------------------------
+   Daily Challenge
+
+   One fixed round per calendar day, the same for everyone: the date is
+   hashed into a seed and the seed drives the shuffle, so every device
+   picks the same questions in the same order (choice options included).
+   - built from the built-in bank only (custom edits differ per device)
+   - all categories and difficulties mixed
+   - one scored attempt per day; replays are practice and don't touch
+     the day's result or the streak
+   - playing on consecutive days builds a daily streak
+------------------------------------------------------------------------ */
+
+import { localizeQuestion, quizBank } from './questionBank';
+import { prepareQuestion } from './questionTypes';
+import { addDays } from './spacedRepetition';
+
+export const DAILY_ROUND_SIZE = 10;
+
+// how many days of results are kept
+const MAX_DAILY_RESULTS = 60;
+
+/* daily (per profile, next to the lifetime stats — see storage.js) = {
+     results: { [YYYY-MM-DD]: { score, total, finished } },
+     lastDay,                // last day an attempt was started
+     streak, bestStreak,     // consecutive days played
+   } */
+
+/* --------------------------------- seeding --------------------------------- */
+
+// FNV-1a: string → 32-bit seed
+export function hashSeed(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: small, fast, same sequence on every JS engine
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher–Yates with any random() source (Math.random for normal rounds)
+export function shuffleWith(arr, random) {
+  const copy = [...arr];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/* ---------------------------------- round ---------------------------------- */
+
+// the day's questions, ready to play (same day → same round, whatever the language)
+export function dailyQuestions(day, language, size = DAILY_ROUND_SIZE) {
+  const random = seededRandom(hashSeed(`daily:${day}`));
+  const shuffle = (arr) => shuffleWith(arr, random);
+
+  // sorted by id so the starting order never depends on how the bank is written
+  const all = [];
+  Object.keys(quizBank).forEach(category => {
+    quizBank[category].forEach(q => all.push({ ...q, category }));
+  });
+  all.sort((a, b) => a.id.localeCompare(b.id));
+
+  return shuffle(all)
+    .slice(0, size)
+    .map(q => prepareQuestion(localizeQuestion(q, q.category, language), shuffle));
+}
+
+/* --------------------------------- results --------------------------------- */
+
+export const hasPlayedDaily = (daily, day) => Boolean(daily.results[day]);
+
+// streak as it stands today: it's broken once a whole day is missed
+export function currentDailyStreak(daily, today) {
+  if (!daily.lastDay) return 0;
+  return daily.lastDay === today || daily.lastDay === addDays(today, -1) ? daily.streak : 0;
+}
+
+// starting the day's attempt uses it up, so quitting halfway can't earn a retry
+export function startDailyAttempt(daily, day, total) {
+  if (hasPlayedDaily(daily, day)) return daily;
+  const streak = daily.lastDay === addDays(day, -1) ? daily.streak + 1 : 1;
+
+  const days = [...Object.keys(daily.results), day].sort().slice(-MAX_DAILY_RESULTS);
+  const results = {};
+  days.forEach(d => {
+    results[d] = d === day ? { score: 0, total, finished: false } : daily.results[d];
+  });
+
+  return {
+    results,
+    lastDay: day,
+    streak,
+    bestStreak: Math.max(daily.bestStreak, streak),
+  };
+}
+
+export function finishDailyAttempt(daily, day, score) {
+  const result = daily.results[day];
+  if (!result || result.finished) return daily;
+  return {
+    ...daily,
+    results: { ...daily.results, [day]: { ...result, score, finished: true } },
+  };
+}
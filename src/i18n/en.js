@@ -0,0 +1,471 @@
+/* ------------------------------------------------------------------------
+   English — the reference locale
+
+   Every key lives here; other locales may leave keys out and fall back
+   to these. {name} placeholders are filled in by t(); an object with
+   one / other picks its form from params.count (see src/i18n/index.js).
+------------------------------------------------------------------------ */
+
+export default {
+  languageName: 'English',
+  plural: (n) => (n === 1 ? 'one' : 'other'),
+
+  // built-in and special category names (custom ones are shown as typed)
+  categories: {},
+
+  difficulty: {
+    Easy: 'Easy',
+    Medium: 'Medium',
+    Hard: 'Hard',
+    Mixed: 'Mixed',
+    Adaptive: 'Adaptive',
+  },
+
+  common: {
+    back: 'Back',
+    cancel: 'Cancel',
+    delete: 'Delete',
+    add: 'Add',
+    restore: 'Restore',
+    done: 'Done',
+    settings: '⚙︎ Settings',
+    notSaving: 'Saved data couldn’t be read, so changes won’t be kept this time.',
+  },
+
+  home: {
+    title: 'Student Starter Quiz',
+    subtitle: 'Select a category to start!',
+    reviewDue: 'Review due',
+    editQuestions: '✎ Edit questions',
+    history: '🕘 History',
+    leaderboards: '🏆 Leaderboards',
+    badges: '🏅 Badges',
+    passAndPlay: '👥 Pass and play',
+    nothingDueTitle: 'Nothing due',
+    nothingDueBody: 'No questions are due for review today. Nice work!',
+    resumeTitle: 'Unfinished quiz',
+    resumeInfo: '{category} · {answered} of {total} answered',
+    resume: 'Resume quiz',
+    discard: 'Discard',
+  },
+
+  daily: {
+    title: 'Daily Challenge',
+    today: 'Today: {score} / {total}',
+    notPlayed: 'Not played today',
+    streak: { one: '🔥 {count} day streak', other: '🔥 {count} day streak' },
+    alreadyTitle: 'Already played today',
+    alreadyBody: 'Today’s score ({score} / {total}) is locked in. Play again for practice? It won’t count.',
+    practice: 'Practice',
+    confirmBody: 'You get one scored attempt per day — leaving halfway still uses it up. Ready?',
+    notYet: 'Not yet',
+    start: 'Start',
+    resultScored: 'Daily Challenge {day} · streak {streak}',
+    resultPractice: 'Practice run — today’s score was already counted',
+  },
+
+  difficultyPicker: {
+    subtitle: 'Choose difficulty',
+    start: 'Start Quiz',
+    study: 'Study (flashcards)',
+    noQuestionsTitle: 'No questions',
+    noQuestionsBody: 'No {difficulty} questions exist for {category} yet.',
+  },
+
+  adaptive: {
+    help: 'Questions from every difficulty: two right in a row steps up, two misses steps down.',
+    level: 'Level: {difficulty}',
+    pathTitle: 'Your difficulty path',
+    run: '{difficulty} ×{count}',
+    suggest: 'You finished at {difficulty}.',
+    tryNext: 'Try a {difficulty} round',
+  },
+
+  quiz: {
+    highScore: 'High Score: {points} pts',
+    score: 'Score: {score} / {total}',
+    points: '{points} pts',
+    timeLeft: 'Time Left: {seconds}s',
+    quizTimeLeft: 'Quiz time left: {time}',
+    placeholder: 'Type your answer',
+    showHint: 'Show hint',
+    hintShown: 'Hint: {hint}',
+    nextHint: 'Another hint ({n} of {total})',
+    letterHint: 'Starts with “{first}”, {count} letters: {mask}',
+    correct: 'Correct!',
+    nearly: 'Nearly!',
+    incorrect: 'Incorrect',
+    timesUp: 'Time’s up!',
+    correctAnswer: 'Correct answer: {answer}',
+    check: 'Check Answer',
+    next: 'Next Question',
+    finish: 'Finish Quiz',
+    backToCategories: 'Back to Categories',
+    loading: 'Loading question…',
+  },
+
+  // true / false option labels (the stored answer stays 'True' / 'False')
+  options: {
+    True: 'True',
+    False: 'False',
+  },
+
+  results: {
+    title: 'Quiz Finished!',
+    yourScore: 'Your Score: {score} / {total}',
+    points: 'Points: {points}',
+    highScore: 'High Score: {points} pts',
+    newHighScore: 'New high score: {points} pts!',
+    accuracy: 'This quiz accuracy: {percent}',
+    lifetime: 'Lifetime Stats',
+    quizzes: 'Quizzes taken: {count}',
+    answered: 'Questions answered: {count}',
+    overall: 'Overall accuracy: {percent}',
+    longestStreak: 'Longest streak: {count}',
+    abandoned: 'Quizzes abandoned: {count}',
+    studyPractice: 'Study practice: not counted in your stats or high scores.',
+    dailyStreak: 'Daily streak: {streak} (best {best})',
+    another: 'Try Another Category',
+  },
+
+  answers: {
+    title: 'Answers Review:',
+    yours: 'Your answer: ',
+    nearly: ' (nearly!)',
+    correct: 'Correct answer: {answer}',
+    time: 'Time: {duration}',
+    points: '+{points} pts',
+    base: 'base {points}',
+    speed: 'speed +{points}',
+    hint: 'hint −{points}',
+    hintsUsed: { one: '{count} hint used', other: '{count} hints used' },
+    streak: 'streak +{points}',
+  },
+
+  settings: {
+    title: 'Settings',
+    profile: 'Profile: {name}',
+    switch: 'Switch',
+    timer: 'Timer enabled',
+    timeMode: 'Time limit',
+    timeModes: {
+      question: 'Per question',
+      quiz: 'Whole quiz',
+    },
+    theme: 'Theme',
+    themes: {
+      system: 'System',
+      light: 'Light',
+      dark: 'Dark',
+      contrast: 'High contrast',
+    },
+    language: 'Language',
+    deviceLanguage: 'Device ({name})',
+    extraTime: 'Extra time per question',
+    extraTimeOff: 'Off',
+    extraTimeValue: '+{count}s',
+    sessionLimit: 'Keep unfinished quizzes for',
+    sessionHours: { one: '{count} hour', other: '{count} hours' },
+    sessionDays: { one: '{count} day', other: '{count} days' },
+    reset: 'Reset all stats',
+    resetTitle: 'Reset all data?',
+    resetBody: 'This will clear {name}’s high scores, lifetime stats, Daily Challenge streak, review history and past quizzes and badges.',
+    resetConfirm: 'Reset',
+    resetDone: 'All stats have been reset.',
+  },
+
+  profiles: {
+    title: 'Who’s playing?',
+    empty: 'Add a profile to get started.',
+    placeholder: 'New student name',
+    addFailed: 'Can’t add profile',
+    deleteTitle: 'Delete {name}?',
+    deleteBody: 'Their settings, stats, high scores and history will be removed from this device.',
+    nameRequired: 'Please enter a name.',
+    nameTooLong: 'Names can be at most {max} characters.',
+    nameTaken: '“{name}” is already taken.',
+  },
+
+  editor: {
+    title: 'Edit Questions',
+    questionCount: { one: '{count} question', other: '{count} questions' },
+    newCategory: 'New category name',
+    categoryName: 'Category name',
+    rename: 'Rename',
+    addFailed: 'Can’t add category',
+    renameFailed: 'Can’t rename category',
+    deleteCategoryTitle: 'Delete category?',
+    deleteCategoryBody: '“{category}” and all of its questions will be removed.',
+    deleteCategory: 'Delete Category',
+    restoreAllTitle: 'Restore built-in questions?',
+    restoreAllBody: 'Edits to built-in questions are undone and deleted ones come back. Your own questions are kept.',
+    restoreAll: 'Restore built-in questions',
+    packs: 'Import / export packs',
+    deleteQuestionTitle: 'Delete question?',
+    edit: 'Edit',
+    edited: ' · edited',
+    restoreDefault: 'Restore default',
+    deletedBuiltIns: 'Deleted built-in questions',
+    addQuestion: 'Add Question',
+    type: 'Question type',
+    types: {
+      text: 'Typed answer',
+      choice: 'Multiple choice',
+      truefalse: 'True / false',
+    },
+    options: 'Options (one per line)',
+    optionsHelp: 'The answer has to be written exactly as one of the options. They are shuffled in each round.',
+    question: 'Question',
+    answer: 'Answer',
+    hints: 'Hints (optional, one per line, shown in order)',
+    hintsHelp: 'A first-letter hint is added automatically for typed answers.',
+    explanation: 'Explanation (optional, shown after answering)',
+    difficulty: 'Difficulty',
+    save: 'Save Question',
+  },
+
+  validation: {
+    questionRequired: 'Question text is required.',
+    answerRequired: 'An answer is required.',
+    difficulty: 'Difficulty must be one of {list}.',
+    type: 'Type must be one of {list}.',
+    trueFalseAnswer: 'A true/false answer must be True or False.',
+    answerNotOption: 'The answer must be one of the options.',
+    tooFewOptions: 'A multiple-choice question needs at least two options.',
+    duplicateOptions: 'Each option can only be listed once.',
+    categoryRequired: 'Category name is required.',
+    categoryExists: '“{name}” already exists.',
+  },
+
+  packs: {
+    title: 'Question Packs',
+    exportHeader: 'Export current bank',
+    exportDialog: 'Export question pack',
+    exportFailed: 'Export failed',
+    importHeader: 'Import',
+    chooseFile: 'Choose JSON / CSV file',
+    pasteLabel: '…or paste a pack',
+    preview: 'Preview',
+    readFailed: 'Could not read file',
+    pastedSource: 'pasted text',
+    imported: 'Imported',
+    importedBody: { one: '{count} question imported.', other: '{count} questions imported.' },
+    replaceTitle: 'Replace the whole bank?',
+    replaceBody: {
+      one: 'Every current question (built-in and your own) is swapped for the {count} valid question in this pack. Built-ins can be brought back later from the editor.',
+      other: 'Every current question (built-in and your own) is swapped for the {count} valid questions in this pack. Built-ins can be brought back later from the editor.',
+    },
+    replace: 'Replace',
+    previewTitle: 'Import Preview',
+    from: 'From {source}',
+    rows: { one: '{count} row', other: '{count} rows' },
+    valid: '{count} valid',
+    withErrors: '{count} with errors',
+    alreadyInBank: '{count} already in bank',
+    row: 'Row {line}: {question}',
+    noQuestion: '(no question)',
+    skippedOnMerge: 'Already in the bank — skipped on merge.',
+    merge: 'Merge ({count} new)',
+    replaceBank: 'Replace bank ({count})',
+    // import errors
+    empty: 'The file is empty.',
+    missingColumns: 'Missing CSV column(s): {columns}.',
+    invalidJson: 'This is not valid JSON.',
+    notAPack: 'This JSON is not a question pack.',
+    badVersion: 'Pack version {version} is not supported (max {max}).',
+    noCategories: 'The pack has no categories.',
+    nothing: 'Nothing to import.',
+    categoryRequired: 'A category is required.',
+    duplicate: 'Duplicate of row {line}.',
+  },
+
+  sync: {
+    title: 'Question pack sync',
+    url: 'Question pack address',
+    save: 'Save and sync',
+    syncNow: 'Sync now',
+    syncing: 'Syncing…',
+    off: 'Off. Enter the address of a JSON question pack to keep the questions up to date.',
+    lastUpdate: {
+      one: 'Questions updated {date} ({count} question)',
+      other: 'Questions updated {date} ({count} questions)',
+    },
+    noUpdateYet: 'No questions downloaded yet.',
+    status: {
+      never: 'Not synced yet',
+      updated: 'Updated',
+      unchanged: 'Up to date',
+      offline: 'Offline, using the saved copy',
+      failed: 'Sync failed, using the saved copy',
+      invalid: 'Pack rejected, using the saved copy',
+    },
+    badUrlTitle: 'Invalid address',
+    badUrlBody: 'The address has to start with http:// or https://.',
+    changeTitle: 'Change the pack address?',
+    changeBody: 'The questions from the current pack are removed until the new one downloads.',
+    change: 'Change',
+    // sync errors
+    noAnswer: 'The server couldn’t be reached. Check the connection and the address.',
+    timedOut: 'The server took too long to answer.',
+    downloadCut: 'The download was cut off.',
+    httpStatus: 'The server answered {status}.',
+    rowError: 'Question {line}: {message}',
+    idRequired: 'an id is required.',
+    duplicateId: 'id “{id}” is already used by question {line}.',
+    idInOtherCategory: 'id “{id}” belongs to a question in {category}.',
+    moreErrors: { one: '…and {count} more problem.', other: '…and {count} more problems.' },
+  },
+
+  history: {
+    title: 'History',
+    category: 'Category',
+    difficulty: 'Difficulty',
+    score: 'Score: {score} / {total}',
+    points: 'Points: {points}',
+    accuracy: 'Accuracy: {percent}',
+    timeTaken: 'Time taken: {duration}',
+    empty: 'No quizzes finished yet.',
+    noMatches: 'No quizzes match these filters.',
+    back: 'Back to History',
+  },
+
+  leaderboard: {
+    title: 'Leaderboards',
+    empty: 'No scores on this board yet. Finish a round to get on it!',
+    points: '{points} pts',
+    qualified: 'You made the leaderboard at #{rank}!',
+    namePlaceholder: 'Name or initials',
+    save: 'Add to leaderboard',
+    clear: 'Clear this board',
+    clearTitle: 'Clear this board?',
+    clearBody: 'Every entry on {category} · {difficulty} will be removed, for all players on this device.',
+  },
+
+  badges: {
+    title: 'Badges',
+    progress: '{count} of {total} unlocked',
+    locked: 'Locked',
+    unlockedOn: 'Unlocked {date}',
+    toast: '{icon} Badge unlocked: {title}',
+    firstQuiz: { title: 'First steps', description: 'Finish your first quiz.' },
+    perfectHard: { title: 'Flawless', description: 'Get every question right in a Hard round.' },
+    streak10: { title: 'On fire', description: 'Answer 10 questions right in a row (across rounds).' },
+    speedy: { title: 'Quick draw', description: 'Answer a timed question correctly in under 3 seconds.' },
+    noHints: { title: 'No help needed', description: 'Answer every question in a round that has hints without using one.' },
+    allCategories: { title: 'Explorer', description: 'Finish a round in every category.' },
+    daily7: { title: 'Regular', description: 'Finish 7 Daily Challenges.' },
+    points1000: { title: 'Big scorer', description: 'Score 1,000 points in one round.' },
+    quizzes25: { title: 'Dedicated', description: 'Finish 25 quizzes.' },
+  },
+
+  multiplayer: {
+    title: 'Pass and play',
+    subtitle: '{min}–{max} players take turns on this device. Everyone answers the same questions.',
+    playerPlaceholder: 'Player {n}',
+    addPlayer: 'Add a player',
+    namesHelp: 'Enter at least two different names.',
+    start: 'Start match',
+    passTo: 'Pass to {name}',
+    turnOf: 'Player {n} of {total}',
+    lastTurn: '{name} scored {points} pts',
+    noPeeking: 'Everyone else: no peeking!',
+    ready: 'I’m {name}, start',
+    endMatch: 'End match',
+    turn: '{name}’s turn',
+    leaveTitle: 'End this match?',
+    leaveBody: 'Every player’s score in this match will be lost.',
+    standings: 'Standings',
+    tie: 'It’s a tie!',
+    correct: '{score} / {total} correct',
+    streak: { one: 'best streak {count}', other: 'best streak {count}' },
+    rematch: 'Rematch',
+  },
+
+  study: {
+    title: 'Study',
+    progress: 'Card {n} of {total}',
+    questionSide: 'Question',
+    answerSide: 'Answer',
+    hint: 'Hint: {hint}',
+    answerIs: 'Answer: {answer}',
+    tapHelp: 'Tap the card to see the answer.',
+    swipeHelp: 'Swipe right if you knew it, left if you didn’t.',
+    knewIt: 'Knew it',
+    didntKnow: 'Didn’t know',
+    stop: 'Stop studying',
+    doneTitle: 'Deck finished',
+    summary: 'You knew {known} of {total}',
+    allKnown: 'You knew every card. Ready for the real quiz?',
+    quizMissed: { one: 'Quiz me on the {count} I didn’t know', other: 'Quiz me on the {count} I didn’t know' },
+    again: 'Study the deck again',
+  },
+
+  custom: {
+    title: 'Custom round',
+    categories: 'Categories',
+    difficulties: 'Difficulties',
+    length: 'Questions per round',
+    allQuestions: 'All',
+    timeLimit: 'Time per question',
+    usualTime: 'Usual',
+    noTimer: 'No timer',
+    seconds: '{s}s',
+    hints: 'Hints available',
+    missedOnly: 'Only questions I’ve missed before',
+    matches: { one: '{count} matching question · round of {size}', other: '{count} matching questions · round of {size}' },
+    pickSome: 'Pick at least one category and one difficulty.',
+    start: 'Start custom round',
+    presetName: 'Save as a preset',
+    presetPlaceholder: 'Preset name',
+    savePreset: 'Save',
+    saved: 'Preset saved: {name}',
+    presetsTitle: 'Custom rounds',
+    noPresets: 'Build a round from several categories and save it here.',
+    new: '＋ New custom round',
+    edit: 'Edit',
+    noneTitle: 'No questions',
+    noneBody: 'No questions match this setup. Try more categories or difficulties, or turn off “missed before”.',
+  },
+
+  nav: {
+    leaveTitle: 'Leave this quiz?',
+    leaveBody: 'Your answers in this round will be lost.',
+    leaveDailyBody: 'Your answers will be lost and today’s scored attempt is already used.',
+    stay: 'Keep playing',
+    leave: 'Leave',
+    badLinkTitle: 'Link not recognised',
+    badLinkBody: 'There is no quiz for {link}.',
+  },
+
+  a11y: {
+    question: 'Question {n} of {total}: {question}',
+    secondsLeft: { one: '{count} second left', other: '{count} seconds left' },
+    dueCount: { one: '{count} question due', other: '{count} questions due' },
+    settings: 'Settings',
+    editQuestions: 'Edit questions',
+    history: 'History',
+    answerInput: 'Your answer',
+    switchProfile: 'Switch profile',
+    deleteProfile: 'Delete {name}',
+    editQuestion: 'Edit: {question}',
+    deleteQuestion: 'Delete: {question}',
+    restoreQuestion: 'Restore: {question}',
+    exportAs: 'Export as {format}',
+    historyItem: '{category}, {difficulty}, {date}, score {score} of {total}',
+    leaderboards: 'Leaderboards',
+    badges: 'Badges',
+    leaderboardEntry: 'Place {rank}: {name}, {points} points',
+    entryName: 'Name for the leaderboard',
+    passAndPlay: 'Pass and play',
+    removePlayer: 'Remove player {n}',
+    standing: 'Place {place}: {name}, {points} points',
+    cardFlip: 'Shows the answer',
+    cardFlipBack: 'Shows the question again',
+    presetHint: 'Starts this round. Long press to edit or delete it.',
+  },
+
+  duration: {
+    minutes: '{m}m {s}s',
+    seconds: '{s}s',
+  },
+};
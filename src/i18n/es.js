@@ -0,0 +1,471 @@
+/* ------------------------------------------------------------------------
+   Español
+------------------------------------------------------------------------ */
+
+export default {
+  languageName: 'Español',
+  plural: (n) => (n === 1 ? 'one' : 'other'),
+
+  categories: {
+    'UK Life': 'Vida en el Reino Unido',
+    'UAL Tips': 'Consejos UAL',
+    'British Slang': 'Jerga británica',
+    'Review due': 'Repaso pendiente',
+    'Daily Challenge': 'Reto diario',
+    'Custom round': 'Ronda personalizada',
+  },
+
+  difficulty: {
+    Easy: 'Fácil',
+    Medium: 'Media',
+    Hard: 'Difícil',
+    Mixed: 'Mixta',
+    Adaptive: 'Adaptativo',
+  },
+
+  common: {
+    back: 'Atrás',
+    cancel: 'Cancelar',
+    delete: 'Eliminar',
+    add: 'Añadir',
+    restore: 'Restaurar',
+    done: 'Hecho',
+    settings: '⚙︎ Ajustes',
+    notSaving: 'No se pudieron leer los datos guardados, así que esta vez los cambios no se guardarán.',
+  },
+
+  home: {
+    title: 'Quiz de bienvenida',
+    subtitle: '¡Elige una categoría para empezar!',
+    reviewDue: 'Repaso pendiente',
+    editQuestions: '✎ Editar preguntas',
+    history: '🕘 Historial',
+    leaderboards: '🏆 Clasificaciones',
+    badges: '🏅 Insignias',
+    passAndPlay: '👥 Pasar y jugar',
+    nothingDueTitle: 'Nada pendiente',
+    nothingDueBody: 'Hoy no tienes preguntas que repasar. ¡Buen trabajo!',
+    resumeTitle: 'Quiz sin terminar',
+    resumeInfo: '{category} · {answered} de {total} respondidas',
+    resume: 'Continuar quiz',
+    discard: 'Descartar',
+  },
+
+  daily: {
+    title: 'Reto diario',
+    today: 'Hoy: {score} / {total}',
+    notPlayed: 'Aún no has jugado hoy',
+    streak: { one: '🔥 racha de {count} día', other: '🔥 racha de {count} días' },
+    alreadyTitle: 'Ya has jugado hoy',
+    alreadyBody: 'La puntuación de hoy ({score} / {total}) ya está guardada. ¿Jugar otra vez para practicar? No contará.',
+    practice: 'Practicar',
+    confirmBody: 'Tienes un intento puntuado al día; si lo dejas a medias, también cuenta. ¿Listo?',
+    notYet: 'Todavía no',
+    start: 'Empezar',
+    resultScored: 'Reto diario {day} · racha {streak}',
+    resultPractice: 'Partida de práctica: la puntuación de hoy ya se contó',
+  },
+
+  difficultyPicker: {
+    subtitle: 'Elige la dificultad',
+    start: 'Empezar quiz',
+    study: 'Estudiar (tarjetas)',
+    noQuestionsTitle: 'Sin preguntas',
+    noQuestionsBody: 'Todavía no hay preguntas de nivel {difficulty} en {category}.',
+  },
+
+  adaptive: {
+    help: 'Preguntas de todas las dificultades: dos aciertos seguidos suben de nivel y dos fallos lo bajan.',
+    level: 'Nivel: {difficulty}',
+    pathTitle: 'Tu recorrido de dificultad',
+    run: '{difficulty} ×{count}',
+    suggest: 'Terminaste en {difficulty}.',
+    tryNext: 'Prueba una ronda {difficulty}',
+  },
+
+  quiz: {
+    highScore: 'Récord: {points} pts',
+    score: 'Puntos: {score} / {total}',
+    points: '{points} pts',
+    timeLeft: 'Tiempo: {seconds} s',
+    quizTimeLeft: 'Tiempo del quiz: {time}',
+    placeholder: 'Escribe tu respuesta',
+    showHint: 'Ver pista',
+    hintShown: 'Pista: {hint}',
+    nextHint: 'Otra pista ({n} de {total})',
+    letterHint: 'Empieza por «{first}», {count} letras: {mask}',
+    correct: '¡Correcto!',
+    nearly: '¡Casi!',
+    incorrect: 'Incorrecto',
+    timesUp: '¡Se acabó el tiempo!',
+    correctAnswer: 'Respuesta correcta: {answer}',
+    check: 'Comprobar',
+    next: 'Siguiente pregunta',
+    finish: 'Terminar quiz',
+    backToCategories: 'Volver a categorías',
+    loading: 'Cargando pregunta…',
+  },
+
+  options: {
+    True: 'Verdadero',
+    False: 'Falso',
+  },
+
+  results: {
+    title: '¡Quiz terminado!',
+    yourScore: 'Tu puntuación: {score} / {total}',
+    points: 'Puntos: {points}',
+    highScore: 'Récord: {points} pts',
+    newHighScore: '¡Nuevo récord: {points} pts!',
+    accuracy: 'Acierto en este quiz: {percent}',
+    lifetime: 'Estadísticas totales',
+    quizzes: 'Quizzes jugados: {count}',
+    answered: 'Preguntas respondidas: {count}',
+    overall: 'Acierto total: {percent}',
+    longestStreak: 'Mejor racha: {count}',
+    abandoned: 'Quizzes abandonados: {count}',
+    studyPractice: 'Práctica de estudio: no cuenta para tus estadísticas ni récords.',
+    dailyStreak: 'Racha diaria: {streak} (mejor {best})',
+    another: 'Probar otra categoría',
+  },
+
+  answers: {
+    title: 'Repaso de respuestas:',
+    yours: 'Tu respuesta: ',
+    nearly: ' (¡casi!)',
+    correct: 'Respuesta correcta: {answer}',
+    time: 'Tiempo: {duration}',
+    points: '+{points} pts',
+    base: 'base {points}',
+    speed: 'rapidez +{points}',
+    hint: 'pista −{points}',
+    hintsUsed: { one: '{count} pista usada', other: '{count} pistas usadas' },
+    streak: 'racha +{points}',
+  },
+
+  settings: {
+    title: 'Ajustes',
+    profile: 'Perfil: {name}',
+    switch: 'Cambiar',
+    timer: 'Temporizador',
+    timeMode: 'Límite de tiempo',
+    timeModes: {
+      question: 'Por pregunta',
+      quiz: 'Todo el quiz',
+    },
+    theme: 'Tema',
+    themes: {
+      system: 'Sistema',
+      light: 'Claro',
+      dark: 'Oscuro',
+      contrast: 'Alto contraste',
+    },
+    language: 'Idioma',
+    deviceLanguage: 'Dispositivo ({name})',
+    extraTime: 'Tiempo extra por pregunta',
+    extraTimeOff: 'No',
+    extraTimeValue: '+{count} s',
+    sessionLimit: 'Guardar quizzes sin terminar durante',
+    sessionHours: { one: '{count} hora', other: '{count} horas' },
+    sessionDays: { one: '{count} día', other: '{count} días' },
+    reset: 'Borrar estadísticas',
+    resetTitle: '¿Borrar todos los datos?',
+    resetBody: 'Se borrarán los récords, estadísticas, racha del reto diario, historial de repaso y quizzes anteriores e insignias de {name}.',
+    resetConfirm: 'Borrar',
+    resetDone: 'Se han borrado todas las estadísticas.',
+  },
+
+  profiles: {
+    title: '¿Quién juega?',
+    empty: 'Añade un perfil para empezar.',
+    placeholder: 'Nombre del estudiante',
+    addFailed: 'No se puede añadir el perfil',
+    deleteTitle: '¿Eliminar a {name}?',
+    deleteBody: 'Sus ajustes, estadísticas, récords e historial se borrarán de este dispositivo.',
+    nameRequired: 'Escribe un nombre.',
+    nameTooLong: 'El nombre puede tener como máximo {max} caracteres.',
+    nameTaken: '«{name}» ya existe.',
+  },
+
+  editor: {
+    title: 'Editar preguntas',
+    questionCount: { one: '{count} pregunta', other: '{count} preguntas' },
+    newCategory: 'Nueva categoría',
+    categoryName: 'Nombre de la categoría',
+    rename: 'Renombrar',
+    addFailed: 'No se puede añadir la categoría',
+    renameFailed: 'No se puede renombrar la categoría',
+    deleteCategoryTitle: '¿Eliminar la categoría?',
+    deleteCategoryBody: 'Se eliminarán «{category}» y todas sus preguntas.',
+    deleteCategory: 'Eliminar categoría',
+    restoreAllTitle: '¿Restaurar las preguntas incluidas?',
+    restoreAllBody: 'Se deshacen los cambios en las preguntas incluidas y vuelven las eliminadas. Tus propias preguntas se mantienen.',
+    restoreAll: 'Restaurar preguntas incluidas',
+    packs: 'Importar / exportar paquetes',
+    deleteQuestionTitle: '¿Eliminar la pregunta?',
+    edit: 'Editar',
+    edited: ' · editada',
+    restoreDefault: 'Restaurar original',
+    deletedBuiltIns: 'Preguntas incluidas eliminadas',
+    addQuestion: 'Añadir pregunta',
+    type: 'Tipo de pregunta',
+    types: {
+      text: 'Respuesta escrita',
+      choice: 'Opción múltiple',
+      truefalse: 'Verdadero / falso',
+    },
+    options: 'Opciones (una por línea)',
+    optionsHelp: 'La respuesta tiene que escribirse igual que una de las opciones. Se barajan en cada ronda.',
+    question: 'Pregunta',
+    answer: 'Respuesta',
+    hints: 'Pistas (opcional, una por línea, se muestran en orden)',
+    hintsHelp: 'En las respuestas escritas se añade sola una pista con la primera letra.',
+    explanation: 'Explicación (opcional, se muestra tras responder)',
+    difficulty: 'Dificultad',
+    save: 'Guardar pregunta',
+  },
+
+  validation: {
+    questionRequired: 'Falta el texto de la pregunta.',
+    answerRequired: 'Falta la respuesta.',
+    difficulty: 'La dificultad debe ser una de: {list}.',
+    type: 'El tipo debe ser uno de {list}.',
+    trueFalseAnswer: 'La respuesta de verdadero/falso debe ser True o False.',
+    answerNotOption: 'La respuesta debe ser una de las opciones.',
+    tooFewOptions: 'Una pregunta de opción múltiple necesita al menos dos opciones.',
+    duplicateOptions: 'Cada opción solo puede aparecer una vez.',
+    categoryRequired: 'Falta el nombre de la categoría.',
+    categoryExists: '«{name}» ya existe.',
+  },
+
+  packs: {
+    title: 'Paquetes de preguntas',
+    exportHeader: 'Exportar el banco actual',
+    exportDialog: 'Exportar paquete de preguntas',
+    exportFailed: 'No se pudo exportar',
+    importHeader: 'Importar',
+    chooseFile: 'Elegir archivo JSON / CSV',
+    pasteLabel: '…o pega un paquete',
+    preview: 'Vista previa',
+    readFailed: 'No se pudo leer el archivo',
+    pastedSource: 'texto pegado',
+    imported: 'Importado',
+    importedBody: { one: 'Se importó {count} pregunta.', other: 'Se importaron {count} preguntas.' },
+    replaceTitle: '¿Reemplazar todo el banco?',
+    replaceBody: {
+      one: 'Todas las preguntas actuales (incluidas y tuyas) se cambian por la {count} pregunta válida de este paquete. Las incluidas se pueden recuperar desde el editor.',
+      other: 'Todas las preguntas actuales (incluidas y tuyas) se cambian por las {count} preguntas válidas de este paquete. Las incluidas se pueden recuperar desde el editor.',
+    },
+    replace: 'Reemplazar',
+    previewTitle: 'Vista previa de la importación',
+    from: 'Desde {source}',
+    rows: { one: '{count} fila', other: '{count} filas' },
+    valid: '{count} válidas',
+    withErrors: '{count} con errores',
+    alreadyInBank: '{count} ya en el banco',
+    row: 'Fila {line}: {question}',
+    noQuestion: '(sin pregunta)',
+    skippedOnMerge: 'Ya está en el banco: se omite al combinar.',
+    merge: 'Combinar ({count} nuevas)',
+    replaceBank: 'Reemplazar banco ({count})',
+    empty: 'El archivo está vacío.',
+    missingColumns: 'Faltan columnas CSV: {columns}.',
+    invalidJson: 'Esto no es JSON válido.',
+    notAPack: 'Este JSON no es un paquete de preguntas.',
+    badVersion: 'La versión {version} del paquete no es compatible (máx. {max}).',
+    noCategories: 'El paquete no tiene categorías.',
+    nothing: 'No hay nada que importar.',
+    categoryRequired: 'Falta la categoría.',
+    duplicate: 'Repite la fila {line}.',
+  },
+
+  sync: {
+    title: 'Sincronizar preguntas',
+    url: 'Dirección del paquete de preguntas',
+    save: 'Guardar y sincronizar',
+    syncNow: 'Sincronizar ahora',
+    syncing: 'Sincronizando…',
+    off: 'Desactivado. Escribe la dirección de un paquete de preguntas JSON para mantener las preguntas al día.',
+    lastUpdate: {
+      one: 'Preguntas actualizadas el {date} ({count} pregunta)',
+      other: 'Preguntas actualizadas el {date} ({count} preguntas)',
+    },
+    noUpdateYet: 'Aún no se ha descargado ninguna pregunta.',
+    status: {
+      never: 'Aún sin sincronizar',
+      updated: 'Actualizado',
+      unchanged: 'Al día',
+      offline: 'Sin conexión, se usa la copia guardada',
+      failed: 'Error al sincronizar, se usa la copia guardada',
+      invalid: 'Paquete rechazado, se usa la copia guardada',
+    },
+    badUrlTitle: 'Dirección no válida',
+    badUrlBody: 'La dirección tiene que empezar por http:// o https://.',
+    changeTitle: '¿Cambiar la dirección del paquete?',
+    changeBody: 'Las preguntas del paquete actual se quitan hasta que se descargue el nuevo.',
+    change: 'Cambiar',
+    // errores de sincronización
+    noAnswer: 'No se pudo contactar con el servidor. Revisa la conexión y la dirección.',
+    timedOut: 'El servidor tardó demasiado en responder.',
+    downloadCut: 'La descarga se cortó.',
+    httpStatus: 'El servidor respondió {status}.',
+    rowError: 'Pregunta {line}: {message}',
+    idRequired: 'falta el id.',
+    duplicateId: 'el id «{id}» ya lo usa la pregunta {line}.',
+    idInOtherCategory: 'el id «{id}» es de una pregunta de {category}.',
+    moreErrors: { one: '…y {count} problema más.', other: '…y {count} problemas más.' },
+  },
+
+  history: {
+    title: 'Historial',
+    category: 'Categoría',
+    difficulty: 'Dificultad',
+    score: 'Puntos: {score} / {total}',
+    points: 'Puntos: {points}',
+    accuracy: 'Acierto: {percent}',
+    timeTaken: 'Tiempo: {duration}',
+    empty: 'Aún no has terminado ningún quiz.',
+    noMatches: 'Ningún quiz coincide con estos filtros.',
+    back: 'Volver al historial',
+  },
+
+  leaderboard: {
+    title: 'Clasificaciones',
+    empty: 'Todavía no hay puntuaciones aquí. ¡Termina una ronda para entrar!',
+    points: '{points} pts',
+    qualified: '¡Entras en la clasificación en el puesto {rank}!',
+    namePlaceholder: 'Nombre o iniciales',
+    save: 'Añadir a la clasificación',
+    clear: 'Vaciar esta clasificación',
+    clearTitle: '¿Vaciar esta clasificación?',
+    clearBody: 'Se borrarán todas las entradas de {category} · {difficulty}, para todos los jugadores de este dispositivo.',
+  },
+
+  badges: {
+    title: 'Insignias',
+    progress: '{count} de {total} conseguidas',
+    locked: 'Bloqueada',
+    unlockedOn: 'Conseguida el {date}',
+    toast: '{icon} Insignia conseguida: {title}',
+    firstQuiz: { title: 'Primeros pasos', description: 'Termina tu primer quiz.' },
+    perfectHard: { title: 'Impecable', description: 'Acierta todas las preguntas de una ronda Difícil.' },
+    streak10: { title: 'Imparable', description: 'Acierta 10 preguntas seguidas (entre rondas).' },
+    speedy: { title: 'Rapidísimo', description: 'Acierta una pregunta con tiempo en menos de 3 segundos.' },
+    noHints: { title: 'Sin ayuda', description: 'Responde todas las preguntas de una ronda con pistas sin usar ninguna.' },
+    allCategories: { title: 'Explorador', description: 'Termina una ronda en cada categoría.' },
+    daily7: { title: 'Constante', description: 'Termina 7 retos diarios.' },
+    points1000: { title: 'Gran puntuación', description: 'Consigue 1.000 puntos en una ronda.' },
+    quizzes25: { title: 'Dedicación', description: 'Termina 25 quizzes.' },
+  },
+
+  multiplayer: {
+    title: 'Pasar y jugar',
+    subtitle: 'De {min} a {max} jugadores por turnos en este dispositivo. Todos responden las mismas preguntas.',
+    playerPlaceholder: 'Jugador {n}',
+    addPlayer: 'Añadir jugador',
+    namesHelp: 'Escribe al menos dos nombres distintos.',
+    start: 'Empezar partida',
+    passTo: 'Pásale el dispositivo a {name}',
+    turnOf: 'Jugador {n} de {total}',
+    lastTurn: '{name} ha sumado {points} pts',
+    noPeeking: 'Los demás: ¡no miréis!',
+    ready: 'Soy {name}, empezar',
+    endMatch: 'Terminar partida',
+    turn: 'Turno de {name}',
+    leaveTitle: '¿Terminar esta partida?',
+    leaveBody: 'Se perderán las puntuaciones de todos los jugadores de esta partida.',
+    standings: 'Clasificación final',
+    tie: '¡Empate!',
+    correct: '{score} / {total} correctas',
+    streak: { one: 'mejor racha {count}', other: 'mejor racha {count}' },
+    rematch: 'Revancha',
+  },
+
+  study: {
+    title: 'Estudiar',
+    progress: 'Tarjeta {n} de {total}',
+    questionSide: 'Pregunta',
+    answerSide: 'Respuesta',
+    hint: 'Pista: {hint}',
+    answerIs: 'Respuesta: {answer}',
+    tapHelp: 'Toca la tarjeta para ver la respuesta.',
+    swipeHelp: 'Desliza a la derecha si la sabías y a la izquierda si no.',
+    knewIt: 'La sabía',
+    didntKnow: 'No la sabía',
+    stop: 'Dejar de estudiar',
+    doneTitle: 'Mazo terminado',
+    summary: 'Sabías {known} de {total}',
+    allKnown: 'Te sabías todas. ¿Listo para el quiz de verdad?',
+    quizMissed: { one: 'Pregúntame la que no sabía', other: 'Pregúntame las {count} que no sabía' },
+    again: 'Repasar el mazo otra vez',
+  },
+
+  custom: {
+    title: 'Ronda personalizada',
+    categories: 'Categorías',
+    difficulties: 'Dificultades',
+    length: 'Preguntas por ronda',
+    allQuestions: 'Todas',
+    timeLimit: 'Tiempo por pregunta',
+    usualTime: 'El habitual',
+    noTimer: 'Sin temporizador',
+    seconds: '{s} s',
+    hints: 'Pistas disponibles',
+    missedOnly: 'Solo preguntas que he fallado antes',
+    matches: { one: '{count} pregunta coincide · ronda de {size}', other: '{count} preguntas coinciden · ronda de {size}' },
+    pickSome: 'Elige al menos una categoría y una dificultad.',
+    start: 'Empezar ronda personalizada',
+    presetName: 'Guardar como ajuste',
+    presetPlaceholder: 'Nombre del ajuste',
+    savePreset: 'Guardar',
+    saved: 'Ajuste guardado: {name}',
+    presetsTitle: 'Rondas personalizadas',
+    noPresets: 'Crea una ronda con varias categorías y guárdala aquí.',
+    new: '＋ Nueva ronda personalizada',
+    edit: 'Editar',
+    noneTitle: 'Sin preguntas',
+    noneBody: 'Ninguna pregunta encaja con estos ajustes. Prueba con más categorías o dificultades, o desactiva «fallado antes».',
+  },
+
+  nav: {
+    leaveTitle: '¿Salir del quiz?',
+    leaveBody: 'Se perderán tus respuestas de esta ronda.',
+    leaveDailyBody: 'Se perderán tus respuestas y el intento puntuado de hoy ya cuenta como usado.',
+    stay: 'Seguir jugando',
+    leave: 'Salir',
+    badLinkTitle: 'Enlace no reconocido',
+    badLinkBody: 'No hay ningún quiz para {link}.',
+  },
+
+  a11y: {
+    question: 'Pregunta {n} de {total}: {question}',
+    secondsLeft: { one: 'Queda {count} segundo', other: 'Quedan {count} segundos' },
+    dueCount: { one: '{count} pregunta pendiente', other: '{count} preguntas pendientes' },
+    settings: 'Ajustes',
+    editQuestions: 'Editar preguntas',
+    history: 'Historial',
+    answerInput: 'Tu respuesta',
+    switchProfile: 'Cambiar de perfil',
+    deleteProfile: 'Eliminar a {name}',
+    editQuestion: 'Editar: {question}',
+    deleteQuestion: 'Eliminar: {question}',
+    restoreQuestion: 'Restaurar: {question}',
+    exportAs: 'Exportar como {format}',
+    historyItem: '{category}, {difficulty}, {date}, {score} de {total} puntos',
+    leaderboards: 'Clasificaciones',
+    badges: 'Insignias',
+    leaderboardEntry: 'Puesto {rank}: {name}, {points} puntos',
+    entryName: 'Nombre para la clasificación',
+    passAndPlay: 'Pasar y jugar',
+    removePlayer: 'Quitar jugador {n}',
+    standing: 'Puesto {place}: {name}, {points} puntos',
+    cardFlip: 'Muestra la respuesta',
+    cardFlipBack: 'Vuelve a mostrar la pregunta',
+    presetHint: 'Empieza esta ronda. Mantén pulsado para editarla o borrarla.',
+  },
+
+  duration: {
+    minutes: '{m} min {s} s',
+    seconds: '{s} s',
+  },
+};
@@ -0,0 +1,123 @@
+/* ------------------------------------------------------------------------
+   i18n
+
+   UI strings live in one file per language (src/i18n/en.js is the
+   reference; others fall back to it key by key). The active language
+   is module state: App calls setLanguage() when the profile's setting
+   or the device locale changes and re-renders, so screens just call t().
+
+   - t('quiz.score', { score, total })   → "Score: 3 / 10"
+   - { one, other } entries pick a plural form from params.count
+   - numbers in params are formatted for the language (formatNumber)
+   - question content is translated separately, see localizeQuestion()
+     in src/questionBank.js
+------------------------------------------------------------------------ */
+
+import { getLocales } from 'expo-localization';
+import { QUESTION_TYPES, questionType } from '../questionTypes';
+import en from './en';
+import es from './es';
+import zh from './zh';
+
+const LOCALES = { en, es, zh };
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// for the Settings picker, in display order
+export const LANGUAGES = Object.keys(LOCALES).map(code => ({
+  code,
+  name: LOCALES[code].languageName,
+}));
+
+export const isSupportedLanguage = (code) =>
+  Object.prototype.hasOwnProperty.call(LOCALES, code);
+
+// first device language we have strings for (zh-Hant etc. get Simplified)
+export function deviceLanguage() {
+  try {
+    const match = getLocales()
+      .map(l => l.languageCode)
+      .find(code => code && isSupportedLanguage(code));
+    return match || DEFAULT_LANGUAGE;
+  } catch (e) {
+    return DEFAULT_LANGUAGE;
+  }
+}
+
+let language = deviceLanguage();
+
+export const getLanguage = () => language;
+
+// null / unknown code = follow the device
+export function setLanguage(code) {
+  language = code && isSupportedLanguage(code) ? code : deviceLanguage();
+  return language;
+}
+
+/* -------------------------------- formatting -------------------------------- */
+
+export function formatNumber(n) {
+  try {
+    return new Intl.NumberFormat(language).format(n);
+  } catch (e) {
+    return String(n);
+  }
+}
+
+// pct is a whole number 0–100
+export function formatPercent(pct) {
+  try {
+    return new Intl.NumberFormat(language, { style: 'percent', maximumFractionDigits: 0 }).format(pct / 100);
+  } catch (e) {
+    return `${pct}%`;
+  }
+}
+
+// iso is a date string; time adds hours and minutes
+export function formatDate(iso, { time = false } = {}) {
+  const d = new Date(iso);
+  try {
+    const date = d.toLocaleDateString(language);
+    return time ? `${date} ${d.toLocaleTimeString(language, { hour: '2-digit', minute: '2-digit' })}` : date;
+  } catch (e) {
+    return String(iso);
+  }
+}
+
+/* -------------------------------- lookup -------------------------------- */
+
+const lookup = (table, key) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), table);
+
+const fill = (text, params) =>
+  text.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+
+export function t(key, params = {}) {
+  const locale = LOCALES[language];
+  let entry = lookup(locale, key);
+  if (entry === undefined) entry = lookup(en, key);
+  if (entry === undefined) return key;
+
+  if (typeof entry === 'object') {
+    const form = locale.plural(Number(params.count) || 0);
+    entry = entry[form] ?? entry.other;
+  }
+  return fill(entry, params);
+}
+
+// category names: built-ins and the special rounds are translated, custom ones shown as typed
+export const categoryLabel = (name) =>
+  (LOCALES[language].categories && LOCALES[language].categories[name]) || name;
+
+export const difficultyLabel = (difficulty) =>
+  lookup(LOCALES[language], `difficulty.${difficulty}`) || difficulty;
+
+export const languageName = (code) => LOCALES[code].languageName;
+
+// what an option button shows; true/false values stay 'True' / 'False' underneath
+export const optionLabel = (question, option) =>
+  questionType(question) === QUESTION_TYPES.TRUE_FALSE ? t(`options.${option}`) : option;
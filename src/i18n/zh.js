@@ -0,0 +1,467 @@
+/* ------------------------------------------------------------------------
+   简体中文 (no plural forms: every entry uses "other")
+------------------------------------------------------------------------ */
+
+export default {
+  languageName: '简体中文',
+  plural: () => 'other',
+
+  categories: {
+    'UK Life': '英国生活',
+    'UAL Tips': 'UAL 小贴士',
+    'British Slang': '英式俚语',
+    'Review due': '待复习',
+    'Daily Challenge': '每日挑战',
+    'Custom round': '自定义测验',
+  },
+
+  difficulty: {
+    Easy: '简单',
+    Medium: '中等',
+    Hard: '困难',
+    Mixed: '混合',
+    Adaptive: '自适应',
+  },
+
+  common: {
+    back: '返回',
+    cancel: '取消',
+    delete: '删除',
+    add: '添加',
+    restore: '恢复',
+    done: '完成',
+    settings: '⚙︎ 设置',
+    notSaving: '无法读取已保存的数据，这次的更改不会被保存。',
+  },
+
+  home: {
+    title: '新生入门测验',
+    subtitle: '选择一个类别开始吧！',
+    reviewDue: '待复习',
+    editQuestions: '✎ 编辑题目',
+    history: '🕘 历史记录',
+    leaderboards: '🏆 排行榜',
+    badges: '🏅 徽章',
+    passAndPlay: '👥 轮流对战',
+    nothingDueTitle: '没有待复习的题目',
+    nothingDueBody: '今天没有需要复习的题目，做得好！',
+    resumeTitle: '未完成的测验',
+    resumeInfo: '{category} · 已答 {answered} / {total} 题',
+    resume: '继续测验',
+    discard: '放弃',
+  },
+
+  daily: {
+    title: '每日挑战',
+    today: '今天：{score} / {total}',
+    notPlayed: '今天还没玩',
+    streak: { other: '🔥 连续 {count} 天' },
+    alreadyTitle: '今天已经玩过了',
+    alreadyBody: '今天的成绩（{score} / {total}）已经记录。要再玩一次练习吗？不会计分。',
+    practice: '练习',
+    confirmBody: '每天只有一次计分机会——中途退出也算用掉。准备好了吗？',
+    notYet: '再等等',
+    start: '开始',
+    resultScored: '每日挑战 {day} · 连续 {streak} 天',
+    resultPractice: '练习局——今天的成绩已经记录过了',
+  },
+
+  difficultyPicker: {
+    subtitle: '选择难度',
+    start: '开始测验',
+    study: '学习（闪卡）',
+    noQuestionsTitle: '没有题目',
+    noQuestionsBody: '{category} 还没有{difficulty}难度的题目。',
+  },
+
+  adaptive: {
+    help: '题目来自所有难度：连对两题升一级，连错两题降一级。',
+    level: '当前难度：{difficulty}',
+    pathTitle: '你的难度路线',
+    run: '{difficulty} ×{count}',
+    suggest: '你最后停在{difficulty}难度。',
+    tryNext: '试试{difficulty}难度',
+  },
+
+  quiz: {
+    highScore: '最高分：{points} 分',
+    score: '得分：{score} / {total}',
+    points: '{points} 分',
+    timeLeft: '剩余时间：{seconds} 秒',
+    quizTimeLeft: '测验剩余时间：{time}',
+    placeholder: '输入你的答案',
+    showHint: '查看提示',
+    hintShown: '提示：{hint}',
+    nextHint: '再给一个提示（第 {n} 个，共 {total} 个）',
+    letterHint: '以“{first}”开头，共 {count} 个字：{mask}',
+    correct: '正确！',
+    nearly: '差一点！',
+    incorrect: '错误',
+    timesUp: '时间到！',
+    correctAnswer: '正确答案：{answer}',
+    check: '提交答案',
+    next: '下一题',
+    finish: '完成测验',
+    backToCategories: '返回类别',
+    loading: '正在加载题目…',
+  },
+
+  options: {
+    True: '对',
+    False: '错',
+  },
+
+  results: {
+    title: '测验结束！',
+    yourScore: '你的得分：{score} / {total}',
+    points: '积分：{points}',
+    highScore: '最高分：{points} 分',
+    newHighScore: '新纪录：{points} 分！',
+    accuracy: '本次正确率：{percent}',
+    lifetime: '累计统计',
+    quizzes: '完成测验：{count}',
+    answered: '已答题数：{count}',
+    overall: '总正确率：{percent}',
+    longestStreak: '最长连对：{count}',
+    abandoned: '中途放弃：{count}',
+    studyPractice: '学习练习：不计入统计和最高分。',
+    dailyStreak: '每日连续：{streak}（最佳 {best}）',
+    another: '换个类别',
+  },
+
+  answers: {
+    title: '答案回顾：',
+    yours: '你的答案：',
+    nearly: '（差一点！）',
+    correct: '正确答案：{answer}',
+    time: '用时：{duration}',
+    points: '+{points} 分',
+    base: '基础 {points}',
+    speed: '速度 +{points}',
+    hint: '提示 −{points}',
+    hintsUsed: { other: '用了 {count} 个提示' },
+    streak: '连对 +{points}',
+  },
+
+  settings: {
+    title: '设置',
+    profile: '档案：{name}',
+    switch: '切换',
+    timer: '开启计时',
+    timeMode: '时间限制',
+    timeModes: {
+      question: '每题计时',
+      quiz: '整场计时',
+    },
+    theme: '主题',
+    themes: {
+      system: '跟随系统',
+      light: '浅色',
+      dark: '深色',
+      contrast: '高对比度',
+    },
+    language: '语言',
+    deviceLanguage: '跟随设备（{name}）',
+    extraTime: '每题额外时间',
+    extraTimeOff: '关闭',
+    extraTimeValue: '+{count} 秒',
+    sessionLimit: '未完成的测验保留',
+    sessionHours: { other: '{count} 小时' },
+    sessionDays: { other: '{count} 天' },
+    reset: '重置所有统计',
+    resetTitle: '重置所有数据？',
+    resetBody: '将清除 {name} 的最高分、累计统计、每日挑战连续记录、复习记录、历史测验和徽章。',
+    resetConfirm: '重置',
+    resetDone: '所有统计已重置。',
+  },
+
+  profiles: {
+    title: '谁来玩？',
+    empty: '添加一个档案开始吧。',
+    placeholder: '新同学的名字',
+    addFailed: '无法添加档案',
+    deleteTitle: '删除 {name}？',
+    deleteBody: '该同学的设置、统计、最高分和历史记录将从这台设备上删除。',
+    nameRequired: '请输入名字。',
+    nameTooLong: '名字最多 {max} 个字符。',
+    nameTaken: '“{name}”已被使用。',
+  },
+
+  editor: {
+    title: '编辑题目',
+    questionCount: { other: '{count} 道题' },
+    newCategory: '新类别名称',
+    categoryName: '类别名称',
+    rename: '重命名',
+    addFailed: '无法添加类别',
+    renameFailed: '无法重命名类别',
+    deleteCategoryTitle: '删除类别？',
+    deleteCategoryBody: '“{category}”及其所有题目都将被删除。',
+    deleteCategory: '删除类别',
+    restoreAllTitle: '恢复内置题目？',
+    restoreAllBody: '对内置题目的修改将被撤销，已删除的会恢复。你自己的题目会保留。',
+    restoreAll: '恢复内置题目',
+    packs: '导入 / 导出题包',
+    deleteQuestionTitle: '删除题目？',
+    edit: '编辑',
+    edited: ' · 已修改',
+    restoreDefault: '恢复默认',
+    deletedBuiltIns: '已删除的内置题目',
+    addQuestion: '添加题目',
+    type: '题型',
+    types: {
+      text: '填写答案',
+      choice: '选择题',
+      truefalse: '判断题',
+    },
+    options: '选项（每行一个）',
+    optionsHelp: '答案必须与其中一个选项完全一致。每轮的选项顺序会打乱。',
+    question: '题目',
+    answer: '答案',
+    hints: '提示（可选，每行一个，按顺序显示）',
+    hintsHelp: '需要输入答案的题目会自动加上首字提示。',
+    explanation: '解析（可选，作答后显示）',
+    difficulty: '难度',
+    save: '保存题目',
+  },
+
+  validation: {
+    questionRequired: '请填写题目内容。',
+    answerRequired: '请填写答案。',
+    difficulty: '难度必须是以下之一：{list}。',
+    type: '题型必须是以下之一：{list}。',
+    trueFalseAnswer: '判断题的答案必须是 True 或 False。',
+    answerNotOption: '答案必须是选项之一。',
+    tooFewOptions: '选择题至少需要两个选项。',
+    duplicateOptions: '每个选项只能出现一次。',
+    categoryRequired: '请填写类别名称。',
+    categoryExists: '“{name}”已存在。',
+  },
+
+  packs: {
+    title: '题包',
+    exportHeader: '导出当前题库',
+    exportDialog: '导出题包',
+    exportFailed: '导出失败',
+    importHeader: '导入',
+    chooseFile: '选择 JSON / CSV 文件',
+    pasteLabel: '…或粘贴题包',
+    preview: '预览',
+    readFailed: '无法读取文件',
+    pastedSource: '粘贴的文本',
+    imported: '已导入',
+    importedBody: { other: '已导入 {count} 道题。' },
+    replaceTitle: '替换整个题库？',
+    replaceBody: {
+      other: '当前所有题目（内置的和你自己的）都将被替换为此题包中的 {count} 道有效题目。内置题目之后可以在编辑器中恢复。',
+    },
+    replace: '替换',
+    previewTitle: '导入预览',
+    from: '来源：{source}',
+    rows: { other: '{count} 行' },
+    valid: '{count} 行有效',
+    withErrors: '{count} 行有错误',
+    alreadyInBank: '{count} 行已在题库中',
+    row: '第 {line} 行：{question}',
+    noQuestion: '（无题目）',
+    skippedOnMerge: '已在题库中——合并时跳过。',
+    merge: '合并（{count} 道新题）',
+    replaceBank: '替换题库（{count}）',
+    empty: '文件是空的。',
+    missingColumns: '缺少 CSV 列：{columns}。',
+    invalidJson: '这不是有效的 JSON。',
+    notAPack: '这个 JSON 不是题包。',
+    badVersion: '不支持题包版本 {version}（最高 {max}）。',
+    noCategories: '题包里没有类别。',
+    nothing: '没有可导入的内容。',
+    categoryRequired: '需要填写类别。',
+    duplicate: '与第 {line} 行重复。',
+  },
+
+  sync: {
+    title: '题库同步',
+    url: '题库包地址',
+    save: '保存并同步',
+    syncNow: '立即同步',
+    syncing: '正在同步…',
+    off: '未开启。输入 JSON 题库包的地址即可让题目保持最新。',
+    lastUpdate: { other: '题目更新于 {date}（{count} 道题）' },
+    noUpdateYet: '还没有下载任何题目。',
+    status: {
+      never: '尚未同步',
+      updated: '已更新',
+      unchanged: '已是最新',
+      offline: '离线，正在使用已保存的副本',
+      failed: '同步失败，正在使用已保存的副本',
+      invalid: '题库包未通过检查，正在使用已保存的副本',
+    },
+    badUrlTitle: '地址无效',
+    badUrlBody: '地址必须以 http:// 或 https:// 开头。',
+    changeTitle: '更改题库包地址？',
+    changeBody: '在新的题库包下载完成之前，当前题库包的题目会被移除。',
+    change: '更改',
+    // 同步错误
+    noAnswer: '无法连接服务器，请检查网络和地址。',
+    timedOut: '服务器响应超时。',
+    downloadCut: '下载中断了。',
+    httpStatus: '服务器返回了 {status}。',
+    rowError: '第 {line} 题：{message}',
+    idRequired: '缺少 id。',
+    duplicateId: 'id “{id}” 已被第 {line} 题使用。',
+    idInOtherCategory: 'id “{id}” 属于“{category}”中的题目。',
+    moreErrors: { other: '……还有 {count} 个问题。' },
+  },
+
+  history: {
+    title: '历史记录',
+    category: '类别',
+    difficulty: '难度',
+    score: '得分：{score} / {total}',
+    points: '积分：{points}',
+    accuracy: '正确率：{percent}',
+    timeTaken: '用时：{duration}',
+    empty: '还没有完成过测验。',
+    noMatches: '没有符合筛选条件的测验。',
+    back: '返回历史记录',
+  },
+
+  leaderboard: {
+    title: '排行榜',
+    empty: '这个排行榜还没有成绩。完成一轮就能上榜！',
+    points: '{points} 分',
+    qualified: '你上榜了，排名第 {rank}！',
+    namePlaceholder: '名字或缩写',
+    save: '加入排行榜',
+    clear: '清空此排行榜',
+    clearTitle: '清空此排行榜？',
+    clearBody: '{category} · {difficulty} 的所有记录都将被删除（这台设备上的所有玩家）。',
+  },
+
+  badges: {
+    title: '徽章',
+    progress: '已解锁 {count} / {total}',
+    locked: '未解锁',
+    unlockedOn: '{date} 解锁',
+    toast: '{icon} 解锁徽章：{title}',
+    firstQuiz: { title: '第一步', description: '完成你的第一个测验。' },
+    perfectHard: { title: '完美无缺', description: '在一轮困难测验中答对所有题目。' },
+    streak10: { title: '势不可挡', description: '连续答对 10 道题（可跨轮）。' },
+    speedy: { title: '快如闪电', description: '在 3 秒内答对一道计时题。' },
+    noHints: { title: '无需帮助', description: '在有提示的一轮中不看提示答完所有题目。' },
+    allCategories: { title: '探索者', description: '每个类别都完成一轮。' },
+    daily7: { title: '坚持不懈', description: '完成 7 次每日挑战。' },
+    points1000: { title: '高分达人', description: '一轮获得 1,000 分。' },
+    quizzes25: { title: '勤奋好学', description: '完成 25 个测验。' },
+  },
+
+  multiplayer: {
+    title: '轮流对战',
+    subtitle: '{min}–{max} 名玩家在这台设备上轮流作答，大家的题目都一样。',
+    playerPlaceholder: '玩家 {n}',
+    addPlayer: '添加玩家',
+    namesHelp: '请至少输入两个不同的名字。',
+    start: '开始对战',
+    passTo: '请把设备交给 {name}',
+    turnOf: '第 {n} 位玩家，共 {total} 位',
+    lastTurn: '{name} 得了 {points} 分',
+    noPeeking: '其他人请不要偷看！',
+    ready: '我是 {name}，开始',
+    endMatch: '结束对战',
+    turn: '轮到 {name}',
+    leaveTitle: '结束这场对战？',
+    leaveBody: '这场对战中所有玩家的分数都会丢失。',
+    standings: '最终排名',
+    tie: '平局！',
+    correct: '答对 {score} / {total}',
+    streak: { other: '最长连对 {count}' },
+    rematch: '再来一局',
+  },
+
+  study: {
+    title: '学习',
+    progress: '第 {n} 张，共 {total} 张',
+    questionSide: '题目',
+    answerSide: '答案',
+    hint: '提示：{hint}',
+    answerIs: '答案：{answer}',
+    tapHelp: '点击卡片查看答案。',
+    swipeHelp: '会就向右滑，不会就向左滑。',
+    knewIt: '会',
+    didntKnow: '不会',
+    stop: '停止学习',
+    doneTitle: '卡组完成',
+    summary: '{total} 张中你会 {known} 张',
+    allKnown: '每张都会！准备好正式测验了吗？',
+    quizMissed: { other: '用不会的 {count} 张出题考我' },
+    again: '再学一遍',
+  },
+
+  custom: {
+    title: '自定义测验',
+    categories: '类别',
+    difficulties: '难度',
+    length: '每轮题数',
+    allQuestions: '全部',
+    timeLimit: '每题时间',
+    usualTime: '默认',
+    noTimer: '不计时',
+    seconds: '{s} 秒',
+    hints: '允许使用提示',
+    missedOnly: '只出我以前答错的题',
+    matches: { other: '符合条件的题目 {count} 道 · 本轮 {size} 道' },
+    pickSome: '请至少选择一个类别和一个难度。',
+    start: '开始自定义测验',
+    presetName: '保存为预设',
+    presetPlaceholder: '预设名称',
+    savePreset: '保存',
+    saved: '预设已保存：{name}',
+    presetsTitle: '自定义测验',
+    noPresets: '组合多个类别出一轮题，并保存在这里。',
+    new: '＋ 新建自定义测验',
+    edit: '编辑',
+    noneTitle: '没有题目',
+    noneBody: '没有符合这些设置的题目。试试多选几个类别或难度，或关闭“以前答错的题”。',
+  },
+
+  nav: {
+    leaveTitle: '退出测验？',
+    leaveBody: '本轮的答案将会丢失。',
+    leaveDailyBody: '答案将会丢失，而且今天的计分机会已经用掉了。',
+    stay: '继续答题',
+    leave: '退出',
+    badLinkTitle: '无法识别的链接',
+    badLinkBody: '没有与 {link} 对应的测验。',
+  },
+
+  a11y: {
+    question: '第 {n} 题，共 {total} 题：{question}',
+    secondsLeft: { other: '剩余 {count} 秒' },
+    dueCount: { other: '{count} 道题待复习' },
+    settings: '设置',
+    editQuestions: '编辑题目',
+    history: '历史记录',
+    answerInput: '你的答案',
+    switchProfile: '切换档案',
+    deleteProfile: '删除 {name}',
+    editQuestion: '编辑：{question}',
+    deleteQuestion: '删除：{question}',
+    restoreQuestion: '恢复：{question}',
+    exportAs: '导出为 {format}',
+    historyItem: '{category}，{difficulty}，{date}，得分 {score} / {total}',
+    leaderboards: '排行榜',
+    badges: '徽章',
+    leaderboardEntry: '第 {rank} 名：{name}，{points} 分',
+    entryName: '排行榜上显示的名字',
+    passAndPlay: '轮流对战',
+    removePlayer: '移除玩家 {n}',
+    standing: '第 {place} 名：{name}，{points} 分',
+    cardFlip: '显示答案',
+    cardFlipBack: '重新显示题目',
+    presetHint: '开始这一轮。长按可编辑或删除。',
+  },
+
+  duration: {
+    minutes: '{m} 分 {s} 秒',
+    seconds: '{s} 秒',
+  },
+};
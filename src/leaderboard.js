@@ -0,0 +1,101 @@
+/* ------------------------------------------------------------------------
+   Leaderboards
+
+   A top-10 board per category + difficulty, shared by everyone on the
+   device (induction-week kiosks), ranked by points. A finished normal
+   round that would make the board can be entered from the results
+   screen under a name or initials.
+
+   - boards live in the app document: leaderboards[category][difficulty]
+     = [entry], best first
+   - ties keep the earlier entry ahead
+   - entries made from a profile go when that profile is deleted
+------------------------------------------------------------------------ */
+
+import { loadAppState, updateAppState } from './storage';
+
+export const LEADERBOARD_SIZE = 10;
+export const MAX_ENTRY_NAME_LENGTH = 12;
+
+/* entry = {
+     id, name, profileId,
+     points, score, total,             // score = correct answers
+     durationMs, date (ISO),
+   } */
+
+const isEntry = (e) => e && typeof e.name === 'string' && Number.isFinite(e.points);
+
+export const getBoard = (boards, category, difficulty) =>
+  ((boards[category] && boards[category][difficulty]) || []).filter(isEntry);
+
+// 1-based place a run with these points would take, or null if it wouldn't make the board
+export function qualifyingRank(board, points) {
+  if (!(points > 0)) return null;
+  const rank = board.filter(e => e.points >= points).length + 1;
+  return rank <= LEADERBOARD_SIZE ? rank : null;
+}
+
+export const cleanEntryName = (name) =>
+  String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_ENTRY_NAME_LENGTH);
+
+export function buildEntry({ name, profileId, points, score, total, durationMs, finishedAt = Date.now() }) {
+  return {
+    id: `${finishedAt.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: cleanEntryName(name),
+    profileId: profileId || null,
+    points,
+    score,
+    total,
+    durationMs: durationMs ?? null,
+    date: new Date(finishedAt).toISOString(),
+  };
+}
+
+// new board with the entry in its place (it may fall off the end)
+export function addEntry(board, entry) {
+  const rank = qualifyingRank(board, entry.points);
+  if (!rank) return board;
+  return [...board.slice(0, rank - 1), entry, ...board.slice(rank - 1)].slice(0, LEADERBOARD_SIZE);
+}
+
+// every board without the entries made from this profile
+export function withoutProfile(boards, profileId) {
+  const next = {};
+  Object.keys(boards).forEach(category => {
+    next[category] = {};
+    Object.keys(boards[category] || {}).forEach(difficulty => {
+      next[category][difficulty] = getBoard(boards, category, difficulty).filter(e => e.profileId !== profileId);
+    });
+  });
+  return next;
+}
+
+export const entryAccuracy = (entry) =>
+  (entry.total > 0 ? Math.round((entry.score / entry.total) * 100) : 0);
+
+/* ------------------------------ storage (shared) ------------------------------ */
+
+export async function loadLeaderboards() {
+  return (await loadAppState()).leaderboards;
+}
+
+// adds the entry and returns every board (for the screen to show)
+export function saveLeaderboardEntry(category, difficulty, entry) {
+  return updateAppState(state => {
+    const boards = state.leaderboards;
+    const board = addEntry(getBoard(boards, category, difficulty), entry);
+    return {
+      ...state,
+      leaderboards: { ...boards, [category]: { ...boards[category], [difficulty]: board } },
+    };
+  }).leaderboards;
+}
+
+export function clearLeaderboard(category, difficulty) {
+  return updateAppState(state => {
+    const boards = state.leaderboards;
+    const rest = { ...boards[category] };
+    delete rest[difficulty];
+    return { ...state, leaderboards: { ...boards, [category]: rest } };
+  }).leaderboards;
+}
@@ -0,0 +1,81 @@
+/* ------------------------------------------------------------------------
+   Pass and play
+
+   2–6 named players share one device. Everyone gets the same shuffled
+   question set (same order, same option order); players take the whole
+   round in turn, handing the device over in between, so nobody sees the
+   answers before their go. Pure helpers — the screens live in App.js.
+
+   match = {
+     category, difficulty, questions,
+     players: [{ name, result: null | turn result }],
+     turn,                              // index of the player up next
+   }
+   turn result = { points, score, total, bestStreak, timeMs }
+
+   Standings: most points first; a tie goes to the lower total answer
+   time; players level on both share the place.
+------------------------------------------------------------------------ */
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+export const MAX_PLAYER_NAME_LENGTH = 16;
+
+export const cleanPlayerName = (name) =>
+  String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_PLAYER_NAME_LENGTH);
+
+// names for a new match: trimmed, no blanks; null when there aren't 2–6 distinct ones
+export function playerList(names) {
+  const list = names.map(cleanPlayerName).filter(Boolean);
+  const distinct = new Set(list.map(n => n.toLowerCase()));
+  if (distinct.size !== list.length) return null;
+  return list.length >= MIN_PLAYERS && list.length <= MAX_PLAYERS ? list : null;
+}
+
+export const createMatch = ({ players, questions, category, difficulty }) => ({
+  category,
+  difficulty,
+  questions,
+  players: players.map(name => ({ name, result: null })),
+  turn: 0,
+});
+
+export const currentPlayer = (match) => match.players[match.turn] || null;
+
+export const isMatchOver = (match) => match.turn >= match.players.length;
+
+// a finished engine round → the current player's result, and on to the next player
+export function recordTurn(match, quiz) {
+  const result = {
+    points: quiz.points,
+    score: quiz.score,
+    total: quiz.questions.length,
+    bestStreak: quiz.bestStreak,
+    timeMs: quiz.answers.reduce((sum, a) => sum + ((a && a.timeMs) || 0), 0),
+  };
+  const players = match.players.map((p, i) => (i === match.turn ? { ...p, result } : p));
+  return { ...match, players, turn: match.turn + 1 };
+}
+
+// same players, fresh questions
+export const rematch = (match, questions) =>
+  createMatch({
+    players: match.players.map(p => p.name),
+    questions,
+    category: match.category,
+    difficulty: match.difficulty,
+  });
+
+/** @returns {Array<{ name: string, result: Object, place: number }>} best first */
+export function standings(match) {
+  const sorted = match.players
+    .filter(p => p.result)
+    .sort((a, b) => b.result.points - a.result.points || a.result.timeMs - b.result.timeMs);
+  let place = 0;
+  return sorted.map((p, i) => {
+    const prev = sorted[i - 1];
+    const tied = prev && prev.result.points === p.result.points && prev.result.timeMs === p.result.timeMs;
+    if (!tied) place = i + 1;
+    return { ...p, place };
+  });
+}
@@ -0,0 +1,132 @@
+/* ------------------------------------------------------------------------
+   Navigation
+
+   A small stack router: the app keeps a stack of routes, the top one is
+   on screen. push() opens a screen, pop() goes back one, reset() starts
+   over (e.g. after picking a profile). Route names are fixed (ROUTES);
+   screen state such as the picked category stays in App.
+
+   - useNavigation(): the stack + push / pop / replace / reset
+   - useBackHandler(handler, enabled): Android hardware back; return true
+     from the handler when it was dealt with. Handlers registered later
+     run first, so a screen with its own sub-views can step back inside
+     itself before App pops the whole screen.
+   - parseDeepLink(url): simple-qa-app://quiz/<category>[/<difficulty>]
+     → { name: 'quiz', category, difficulty } (or null)
+------------------------------------------------------------------------ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { BackHandler } from 'react-native';
+
+export const LINK_SCHEME = 'simple-qa-app';
+
+/**
+ * @typedef {'profiles' | 'category' | 'difficulty' | 'quiz' | 'results'
+ *   | 'settings' | 'editor' | 'packs' | 'history' | 'leaderboards'
+ *   | 'badges' | 'players' | 'handover' | 'standings' | 'study'
+ *   | 'custom'} RouteName
+ * @typedef {{ name: RouteName }} Route
+ */
+export const ROUTES = [
+  'profiles',
+  'category',
+  'difficulty',
+  'quiz',
+  'results',
+  'settings',
+  'editor',
+  'packs',
+  'history',
+  'leaderboards',
+  'badges',
+  'players',
+  'handover',
+  'standings',
+  'study',
+  'custom',
+];
+
+const route = (name) => {
+  if (!ROUTES.includes(name)) throw new Error(`Unknown route "${name}"`);
+  return { name };
+};
+
+/* -------------------------------- reducer -------------------------------- */
+
+/**
+ * @param {Route[]} stack
+ * @param {{ type: 'push' | 'replace' | 'pop' | 'reset', name?: RouteName, names?: RouteName[] }} action
+ * @returns {Route[]}
+ */
+export function navReducer(stack, action) {
+  switch (action.type) {
+    case 'push':
+      // opening the screen that's already on top is a no-op (double taps)
+      if (stack[stack.length - 1].name === action.name) return stack;
+      return [...stack, route(action.name)];
+    case 'replace':
+      return [...stack.slice(0, -1), route(action.name)];
+    case 'pop':
+      return stack.length > 1 ? stack.slice(0, -1) : stack;
+    case 'reset':
+      return action.names.map(route);
+    default:
+      return stack;
+  }
+}
+
+export function useNavigation(initial = 'profiles') {
+  const [stack, setStack] = useState(() => [route(initial)]);
+  const send = (action) => setStack(s => navReducer(s, action));
+
+  return {
+    stack,
+    route: stack[stack.length - 1],
+    canGoBack: stack.length > 1,
+    push: (name) => send({ type: 'push', name }),
+    replace: (name) => send({ type: 'replace', name }),
+    pop: () => send({ type: 'pop' }),
+    reset: (...names) => send({ type: 'reset', names }),
+  };
+}
+
+/* ------------------------------ hardware back ------------------------------ */
+
+export function useBackHandler(handler, enabled = true) {
+  // latest handler without re-subscribing (which would change the call order)
+  const ref = useRef(handler);
+  ref.current = handler;
+  const onBack = useCallback(() => ref.current(), []);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const sub = BackHandler.addEventListener('hardwareBackPress', onBack);
+    return () => sub.remove();
+  }, [enabled, onBack]);
+}
+
+/* ------------------------------- deep links ------------------------------- */
+
+// the path after the scheme, e.g. 'quiz/British%20Slang/Hard'
+const linkPath = (url) => {
+  const match = /^([a-z][a-z0-9+.-]*):\/\/(.*)$/i.exec(String(url || '').trim());
+  if (!match || match[1].toLowerCase() !== LINK_SCHEME) return null;
+  return match[2].split(/[?#]/)[0];
+};
+
+const decode = (part) => {
+  try {
+    return decodeURIComponent(part.replace(/\+/g, ' ')).trim();
+  } catch (e) {
+    return null;
+  }
+};
+
+// category / difficulty come back as typed; App matches them against the bank
+export function parseDeepLink(url) {
+  const path = linkPath(url);
+  if (path == null) return null;
+  const [name, category, difficulty] = path.split('/').filter(Boolean).map(decode);
+  if (name !== 'quiz' || !category) return null;
+  return { name, category, difficulty: difficulty || null };
+}
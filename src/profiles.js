@@ -0,0 +1,59 @@
+/* ------------------------------------------------------------------------
+   Student profiles
+
+   Several students can share one device. Each profile gets its own
+   section of the app state document (settings, stats, high scores,
+   history — see src/storage.js); the question bank stays shared.
+------------------------------------------------------------------------ */
+
+import { t } from './i18n';
+import { withoutProfile } from './leaderboard';
+import {
+  defaultProfileData,
+  loadAppState,
+  newProfileId,
+  updateAppState,
+} from './storage';
+
+/* profiles = { list: [{ id, name, createdAt }], lastUsedId } */
+
+export const MAX_NAME_LENGTH = 24;
+
+export async function loadProfiles() {
+  return (await loadAppState()).profiles;
+}
+
+export const saveProfiles = (profiles) =>
+  updateAppState(state => ({ ...state, profiles }));
+
+// → message, or null when the name is fine
+export function validateProfileName(name, list) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return t('profiles.nameRequired');
+  if (trimmed.length > MAX_NAME_LENGTH) return t('profiles.nameTooLong', { max: MAX_NAME_LENGTH });
+  if (list.some(p => p.name.toLowerCase() === trimmed.toLowerCase())) {
+    return t('profiles.nameTaken', { name: trimmed });
+  }
+  return null;
+}
+
+export function addProfile(doc, name) {
+  const profile = { id: newProfileId(), name: name.trim(), createdAt: new Date().toISOString() };
+  updateAppState(state => ({
+    ...state,
+    profileData: { ...state.profileData, [profile.id]: defaultProfileData() },
+  }));
+  return { doc: { ...doc, list: [...doc.list, profile] }, profile };
+}
+
+// removes the profile, everything stored under it and its leaderboard entries
+export function deleteProfile(doc, profileId) {
+  updateAppState(state => {
+    const { [profileId]: _dropped, ...profileData } = state.profileData;
+    return { ...state, profileData, leaderboards: withoutProfile(state.leaderboards, profileId) };
+  });
+  return {
+    list: doc.list.filter(p => p.id !== profileId),
+    lastUsedId: doc.lastUsedId === profileId ? null : doc.lastUsedId,
+  };
+}
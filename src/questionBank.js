@@ -0,0 +1,456 @@
+/* ------------------------------------------------------------------------
+   Question bank
+
+   Built-in questions plus the user's own edits from the in-app editor.
+   - synced questions (src/remotePacks.js) are laid over the built-ins
+     and treated as built-ins from then on; shippedBank() gives both
+   - custom content is the `customBank` section of the app state (src/storage.js)
+   - built-ins are never changed in place: edits go to `overrides`,
+     deletions to `hidden`, so "restore defaults" just drops those
+   - mergeBanks() gives the category → questions map the quiz uses
+------------------------------------------------------------------------ */
+
+import { t } from './i18n';
+import { QUESTION_TYPES, TRUE_FALSE_OPTIONS, questionHints, questionType } from './questionTypes';
+import { loadAppState, updateAppState } from './storage';
+
+export const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+/* ----------------------------- Built-in bank ----------------------------- */
+/* each item: {id, question, answer, accepted?, hint?, hints?, explanation?, difficulty, type?, options?, translations?}
+   id           = stable key for overrides/history; never reuse or renumber
+   accepted     = extra answers that also count (see src/answerMatching.js)
+   hints        = hints in the order they're revealed; a single hint also works
+                  (see hintsFor in src/questionTypes.js)
+   explanation  = shown once the question is answered, and in the Answers Review
+   type         = 'text' (default) | 'choice' | 'truefalse' (see src/questionTypes.js)
+   translations = { [language]: { question, hint?, hints?, explanation?, answer?, accepted?, options? } }
+                  (see localizeQuestion below) */
+
+export const quizBank = {
+  'UK Life': [
+    {
+      id: 'uk-01', difficulty: 'Easy', question: 'What is the capital of the UK?', answer: 'London', hint: 'Big Ben lives here.',
+      translations: {
+        es: { question: '¿Cuál es la capital del Reino Unido?', answer: 'Londres', hint: 'Aquí vive el Big Ben.' },
+        zh: { question: '英国的首都是哪里？', answer: '伦敦', hint: '大本钟就在这里。' },
+      },
+    },
+    {
+      id: 'uk-02', difficulty: 'Easy', question: 'What side of the road do people drive on in the UK?', answer: 'Left',
+      translations: {
+        es: { question: '¿Por qué lado de la carretera se conduce en el Reino Unido?', answer: 'Izquierda', accepted: ['La izquierda', 'Por la izquierda'] },
+        zh: { question: '在英国，车辆靠道路的哪一边行驶？', answer: '左边', accepted: ['左', '靠左'] },
+      },
+    },
+    {
+      id: 'uk-03', difficulty: 'Easy', type: 'truefalse', question: 'True or false: tap water in the UK is safe to drink.', answer: 'True',
+      explanation: 'UK tap water is treated and tested to strict standards, so you can drink it straight from the tap.',
+      translations: {
+        es: { question: 'Verdadero o falso: en el Reino Unido el agua del grifo es potable.', explanation: 'El agua del grifo británica se trata y se analiza con normas estrictas, así que se puede beber directamente.' },
+        zh: { question: '判断对错：英国的自来水可以安全饮用。', explanation: '英国的自来水经过处理并按严格标准检测，可以直接饮用。' },
+      },
+    },
+    {
+      id: 'uk-04', difficulty: 'Easy', type: 'choice', question: 'Which number do you call in a UK emergency?', answer: '999', options: ['999', '911', '112 only', '000'],
+      explanation: '999 reaches police, fire and ambulance. 112 also works in the UK, but 999 is the number everyone knows.',
+      translations: {
+        es: { question: '¿A qué número llamas en una emergencia en el Reino Unido?', answer: '999', options: ['999', '911', 'Solo el 112', '000'], explanation: 'El 999 te pone con policía, bomberos y ambulancia. El 112 también funciona en el Reino Unido, pero el 999 es el que todos conocen.' },
+        zh: { question: '在英国遇到紧急情况应拨打哪个号码？', answer: '999', options: ['999', '911', '只能拨 112', '000'], explanation: '拨打 999 可以联系警察、消防和救护车。112 在英国也能用，但 999 是大家都知道的号码。' },
+      },
+    },
+    {
+      id: 'uk-05', difficulty: 'Medium', question: 'What is the UK currency called?', answer: 'Pound', accepted: ['Pound sterling', 'Pounds', 'GBP'], hint: 'Also a gym move.',
+      translations: {
+        es: { question: '¿Cómo se llama la moneda del Reino Unido?', answer: 'Libra', accepted: ['Libra esterlina', 'Libras'], hint: 'También es una unidad de peso.' },
+        zh: { question: '英国的货币叫什么？', answer: '英镑', hint: '也是一个重量单位。' },
+      },
+    },
+    {
+      id: 'uk-06', difficulty: 'Medium', question: 'Name the UK’s longest river.', answer: 'Severn', accepted: ['River Severn'],
+      hints: ['Not Thames!', 'It rises in the Welsh hills.'],
+      explanation: 'The Severn runs about 354 km from mid Wales to the Bristol Channel, just beating the Thames at about 346 km.',
+      translations: {
+        es: { question: '¿Cuál es el río más largo del Reino Unido?', answer: 'Severn', accepted: ['Río Severn'], hints: ['¡No es el Támesis!', 'Nace en las colinas de Gales.'], explanation: 'El Severn recorre unos 354 km desde el centro de Gales hasta el canal de Bristol; el Támesis se queda en unos 346 km.' },
+        zh: { question: '英国最长的河流是哪条？', answer: '塞文河', accepted: ['塞文'], hints: ['不是泰晤士河！', '它发源于威尔士的山区。'], explanation: '塞文河从威尔士中部流到布里斯托尔海峡，全长约 354 公里，略长于约 346 公里的泰晤士河。' },
+      },
+    },
+    {
+      id: 'uk-07', difficulty: 'Hard', question: 'Which country shares a land border with England?', answer: 'Scotland', accepted: ['Wales'],
+      explanation: 'England borders Scotland to the north and Wales to the west, so either answer counts.',
+      translations: {
+        es: { question: '¿Qué país tiene frontera terrestre con Inglaterra?', answer: 'Escocia', accepted: ['Gales'], explanation: 'Inglaterra limita con Escocia al norte y con Gales al oeste, así que vale cualquiera de las dos.' },
+        zh: { question: '哪个国家与英格兰有陆地边界？', answer: '苏格兰', accepted: ['威尔士'], explanation: '英格兰北面与苏格兰接壤，西面与威尔士接壤，所以两个答案都算对。' },
+      },
+    },
+    {
+      id: 'uk-08', difficulty: 'Hard', question: 'What is the upper house of the UK Parliament called?', answer: 'House of Lords', accepted: ['Lords'],
+      translations: {
+        es: { question: '¿Cómo se llama la cámara alta del Parlamento británico?', answer: 'Cámara de los Lores', accepted: ['Los Lores'] },
+        zh: { question: '英国议会的上院叫什么？', answer: '上议院', accepted: ['贵族院'] },
+      },
+    },
+  ],
+  // proper names stay in English, only the questions are translated
+  'UAL Tips': [
+    {
+      id: 'ual-01', difficulty: 'Easy', question: 'What does UAL stand for?', answer: 'University of the Arts London', accepted: ['University of Arts London'],
+      translations: {
+        es: { question: '¿Qué significa UAL? (en inglés)' },
+        zh: { question: 'UAL 是什么的缩写？（用英文回答）' },
+      },
+    },
+    {
+      id: 'ual-02', difficulty: 'Easy', question: 'Name one UAL library.', answer: 'LCC Library',
+      translations: {
+        es: { question: 'Nombra una biblioteca de UAL.' },
+        zh: { question: '说出一个 UAL 的图书馆。' },
+      },
+    },
+    {
+      id: 'ual-03', difficulty: 'Easy', type: 'choice', question: 'How many colleges make up UAL?', answer: 'Six', options: ['Three', 'Four', 'Six', 'Ten'],
+      translations: {
+        es: { question: '¿Cuántos colleges forman UAL?', answer: 'Seis', options: ['Tres', 'Cuatro', 'Seis', 'Diez'] },
+        zh: { question: 'UAL 由几所学院组成？', answer: '六所', options: ['三所', '四所', '六所', '十所'] },
+      },
+    },
+    {
+      id: 'ual-04', difficulty: 'Medium', type: 'truefalse', question: 'True or false: you need your UAL ID card to get into college buildings.', answer: 'True',
+      translations: {
+        es: { question: 'Verdadero o falso: necesitas tu carné de UAL para entrar en los edificios.' },
+        zh: { question: '判断对错：进入学院大楼需要 UAL 学生证。' },
+      },
+    },
+    {
+      id: 'ual-05', difficulty: 'Medium', question: 'Where can you find academic support at UAL?', answer: 'Academic Support Centre',
+      translations: {
+        es: { question: '¿Dónde encuentras apoyo académico en UAL?' },
+        zh: { question: '在 UAL 哪里可以获得学业支持？' },
+      },
+    },
+    {
+      id: 'ual-06', difficulty: 'Medium', question: 'UAL ID cards are also known as?', answer: 'Passes', accepted: ['Pass', 'Access pass', 'Access passes'], hint: 'Access…',
+      translations: {
+        es: { question: '¿Cómo se llaman también los carnés de UAL?', hint: 'Access… (en inglés)' },
+        zh: { question: 'UAL 学生证还被称为什么？', hint: 'Access…（英文）' },
+      },
+    },
+    {
+      id: 'ual-07', difficulty: 'Hard', question: 'Which UAL service helps with careers and internships?', answer: 'Arts Temps',
+      translations: {
+        es: { question: '¿Qué servicio de UAL ayuda con empleo y prácticas?' },
+        zh: { question: 'UAL 的哪个服务帮助学生找工作和实习？' },
+      },
+    },
+    {
+      id: 'ual-08', difficulty: 'Hard', question: 'Name the UAL virtual learning environment.', answer: 'Moodle',
+      translations: {
+        es: { question: '¿Cómo se llama el campus virtual de UAL?' },
+        zh: { question: 'UAL 的在线学习平台叫什么？' },
+      },
+    },
+  ],
+  // the point is learning the English words, so answers are never translated here
+  'British Slang': [
+    {
+      id: 'slang-01', difficulty: 'Easy', question: 'What does "cheers" mean (most commonly)?', answer: 'Thanks', accepted: ['Thank you', 'Thank u', 'Ta'],
+      translations: {
+        es: { question: '¿Qué significa normalmente "cheers"? (responde en inglés)' },
+        zh: { question: '"cheers" 最常见的意思是什么？（用英文回答）' },
+      },
+    },
+    {
+      id: 'slang-02', difficulty: 'Easy', question: 'What is a "loo"?', answer: 'Toilet', accepted: ['Bathroom', 'Restroom', 'WC', 'Lavatory'],
+      translations: {
+        es: { question: '¿Qué es un "loo"? (responde en inglés)' },
+        zh: { question: '"loo" 是什么？（用英文回答）' },
+      },
+    },
+    {
+      id: 'slang-03', difficulty: 'Easy', type: 'choice', question: 'A "cuppa" is a cup of…', answer: 'Tea', options: ['Tea', 'Coffee', 'Soup', 'Water'],
+      translations: {
+        es: { question: 'Una "cuppa" es una taza de…' },
+        zh: { question: '"cuppa" 指的是一杯…' },
+      },
+    },
+    {
+      id: 'slang-04', difficulty: 'Easy', type: 'truefalse', question: 'True or false: "mate" usually means "friend".', answer: 'True',
+      translations: {
+        es: { question: 'Verdadero o falso: "mate" suele significar "amigo".' },
+        zh: { question: '判断对错："mate" 通常是 "朋友" 的意思。' },
+      },
+    },
+    {
+      id: 'slang-05', difficulty: 'Medium', question: 'If something is "brilliant", it is…', answer: 'Very good', accepted: ['Great', 'Excellent', 'Amazing', 'Fantastic'],
+      translations: {
+        es: { question: 'Si algo es "brilliant", es… (en inglés)' },
+        zh: { question: '如果某样东西 "brilliant"，它是…（用英文回答）' },
+      },
+    },
+    {
+      id: 'slang-06', difficulty: 'Medium', question: '"Knackered" means…', answer: 'Tired', accepted: ['Exhausted', 'Very tired', 'Worn out'], hint: 'Sleepy vibes.',
+      translations: {
+        es: { question: '"Knackered" significa… (en inglés)', hint: 'Te entra sueño.' },
+        zh: { question: '"Knackered" 的意思是…（用英文回答）', hint: '想睡觉的感觉。' },
+      },
+    },
+    {
+      id: 'slang-07', difficulty: 'Hard', question: '"Chuffed" means…', answer: 'Pleased', accepted: ['Happy', 'Very pleased', 'Delighted'],
+      translations: {
+        es: { question: '"Chuffed" significa… (en inglés)' },
+        zh: { question: '"Chuffed" 的意思是…（用英文回答）' },
+      },
+    },
+    {
+      id: 'slang-08', difficulty: 'Hard', question: 'A "quid" is one…', answer: 'Pound', accepted: ['£1', 'One pound', 'Pound sterling'],
+      translations: {
+        es: { question: 'Un "quid" es una… (en inglés)' },
+        zh: { question: '一 "quid" 等于一…（用英文回答）' },
+      },
+    },
+  ],
+};
+
+/* ------------------------------ Translations ------------------------------ */
+
+// categories that teach English words: the question is translated, the answer never
+export const ENGLISH_ANSWER_CATEGORIES = ['British Slang'];
+
+/* copy of the question in the given language (unchanged when there's no
+   translation). A translated answer still accepts the English one, and
+   choice questions only switch answer + options together. */
+export function localizeQuestion(question, category, language) {
+  const tr = question.translations && question.translations[language];
+  if (!tr) return question;
+
+  const localized = { ...question, question: tr.question || question.question };
+  if (tr.hint && question.hint) localized.hint = tr.hint;
+  if (tr.hints && questionHints(question).length > 0) localized.hints = tr.hints;
+  if (tr.explanation && question.explanation) localized.explanation = tr.explanation;
+
+  const canTranslateAnswer =
+    tr.answer &&
+    !ENGLISH_ANSWER_CATEGORIES.includes(category) &&
+    (questionType(question) !== QUESTION_TYPES.CHOICE || tr.options);
+  if (canTranslateAnswer) {
+    localized.answer = tr.answer;
+    localized.accepted = [...(tr.accepted || []), question.answer, ...(question.accepted || [])];
+    if (tr.options) localized.options = tr.options;
+  }
+  return localized;
+}
+
+const builtInIds = new Set(
+  Object.values(quizBank).flat().map(q => q.id),
+);
+
+/* ----------------------------- Synced questions ----------------------------- */
+/* The remote pack's questions, set by src/remotePacks.js. One with a
+   built-in's id is the newer copy of that built-in; the rest are added
+   to their category (new categories go after the built-in ones). */
+
+let synced = {};
+let syncedIds = new Set();
+
+export function setSyncedQuestions(categories) {
+  synced = {};
+  Object.keys(categories || {}).forEach(cat => {
+    const list = Array.isArray(categories[cat])
+      ? categories[cat].filter(q => q && typeof q.id === 'string')
+      : [];
+    if (list.length) synced[cat] = list;
+  });
+  syncedIds = new Set(Object.values(synced).flat().map(q => q.id));
+}
+
+// built-ins with the synced questions applied: what mergeBanks() starts from
+export function shippedBank() {
+  const bank = {};
+  Object.keys(quizBank).forEach(cat => {
+    const updates = new Map((synced[cat] || []).map(q => [q.id, q]));
+    bank[cat] = [
+      ...quizBank[cat].map(q => updates.get(q.id) || q),
+      ...(synced[cat] || []).filter(q => !builtInIds.has(q.id)),
+    ];
+  });
+  Object.keys(synced).forEach(cat => {
+    if (!bank[cat]) bank[cat] = synced[cat];
+  });
+  return bank;
+}
+
+export const isBuiltInCategory = (name) =>
+  Object.prototype.hasOwnProperty.call(quizBank, name) ||
+  Object.prototype.hasOwnProperty.call(synced, name);
+
+export const isBuiltInQuestion = (id) => builtInIds.has(id) || syncedIds.has(id);
+
+/* ------------------------------ Custom content ------------------------------ */
+/* {
+     categories: ['My category', …],         // user-made categories (may be empty)
+     questions:  { [category]: [question] },  // user-made questions, any category
+     overrides:  { [builtInId]: question },   // edited built-ins
+     hidden:     [builtInId, …],              // deleted built-ins
+   } */
+
+export const emptyCustomBank = () => ({
+  categories: [],
+  questions: {},
+  overrides: {},
+  hidden: [],
+});
+
+// missing sections just mean "no custom content yet"
+export async function loadCustomBank() {
+  return { ...emptyCustomBank(), ...(await loadAppState()).customBank };
+}
+
+export const saveCustomBank = (customBank) =>
+  updateAppState(state => ({ ...state, customBank }));
+
+// built-in categories first (in their usual order), then custom ones;
+// a built-in category with every question deleted disappears
+export function mergeBanks(builtIn, custom) {
+  const hidden = new Set(custom.hidden);
+  const merged = {};
+
+  Object.keys(builtIn).forEach(cat => {
+    const visible = builtIn[cat]
+      .filter(q => !hidden.has(q.id))
+      .map(q => custom.overrides[q.id] || q);
+    if (visible.length || custom.questions[cat]) merged[cat] = visible;
+  });
+  custom.categories.forEach(cat => {
+    if (!merged[cat]) merged[cat] = [];
+  });
+  Object.keys(custom.questions).forEach(cat => {
+    merged[cat] = [...(merged[cat] || []), ...custom.questions[cat]];
+  });
+  return merged;
+}
+
+// counter keeps ids unique even when a whole pack is imported in one tick
+let idCounter = 0;
+export const newQuestionId = () =>
+  `custom-${Date.now().toString(36)}-${(idCounter++).toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/* -------------------------------- Validation -------------------------------- */
+
+// → { field: message } (empty object when the question is fine)
+export function validateQuestion(q) {
+  const errors = {};
+  if (!q.question || !q.question.trim()) errors.question = t('validation.questionRequired');
+  if (!q.answer || !q.answer.trim()) errors.answer = t('validation.answerRequired');
+  if (!DIFFICULTIES.includes(q.difficulty)) {
+    errors.difficulty = t('validation.difficulty', { list: DIFFICULTIES.join(', ') });
+  }
+  // an unknown type would show neither options nor a text box
+  const type = questionType(q);
+  if (!Object.values(QUESTION_TYPES).includes(type)) {
+    errors.type = t('validation.type', { list: Object.values(QUESTION_TYPES).join(', ') });
+  } else if (type === QUESTION_TYPES.TRUE_FALSE && !errors.answer && !TRUE_FALSE_OPTIONS.includes(q.answer)) {
+    errors.answer = t('validation.trueFalseAnswer');
+  }
+  if (type === QUESTION_TYPES.CHOICE) {
+    if ((q.options || []).length < 2) errors.options = t('validation.tooFewOptions');
+    else if (new Set(q.options).size < q.options.length) errors.options = t('validation.duplicateOptions');
+    if (!errors.answer && !(q.options || []).includes(q.answer)) {
+      errors.answer = t('validation.answerNotOption');
+    }
+  }
+  return errors;
+}
+
+// → message, or null when the name is fine
+export function validateCategoryName(name, existing, currentName = null) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return t('validation.categoryRequired');
+  const clash = existing.some(
+    cat => cat !== currentName && cat.toLowerCase() === trimmed.toLowerCase(),
+  );
+  return clash ? t('validation.categoryExists', { name: trimmed }) : null;
+}
+
+/* ----------------------- Edits (pure: return a new copy) ----------------------- */
+
+export function upsertQuestion(custom, category, question) {
+  if (isBuiltInQuestion(question.id)) {
+    return {
+      ...custom,
+      overrides: { ...custom.overrides, [question.id]: question },
+      hidden: custom.hidden.filter(id => id !== question.id),
+    };
+  }
+  const list = custom.questions[category] || [];
+  const exists = list.some(q => q.id === question.id);
+  return {
+    ...custom,
+    questions: {
+      ...custom.questions,
+      [category]: exists
+        ? list.map(q => (q.id === question.id ? question : q))
+        : [...list, question],
+    },
+  };
+}
+
+export function deleteQuestion(custom, category, id) {
+  if (isBuiltInQuestion(id)) {
+    const { [id]: _dropped, ...overrides } = custom.overrides;
+    return {
+      ...custom,
+      overrides,
+      hidden: custom.hidden.includes(id) ? custom.hidden : [...custom.hidden, id],
+    };
+  }
+  return {
+    ...custom,
+    questions: {
+      ...custom.questions,
+      [category]: (custom.questions[category] || []).filter(q => q.id !== id),
+    },
+  };
+}
+
+export const addCategory = (custom, name) => ({
+  ...custom,
+  categories: [...custom.categories, name.trim()],
+});
+
+// custom categories only; built-in names are fixed
+export function renameCategory(custom, oldName, newName) {
+  const name = newName.trim();
+  const { [oldName]: moved = [], ...questions } = custom.questions;
+  return {
+    ...custom,
+    categories: custom.categories.map(cat => (cat === oldName ? name : cat)),
+    questions: { ...questions, [name]: moved },
+  };
+}
+
+export function deleteCategory(custom, name) {
+  const { [name]: _dropped, ...questions } = custom.questions;
+  return {
+    ...custom,
+    categories: custom.categories.filter(cat => cat !== name),
+    questions,
+  };
+}
+
+export const isModifiedBuiltIn = (custom, id) =>
+  Boolean(custom.overrides[id]) || custom.hidden.includes(id);
+
+export function restoreQuestion(custom, id) {
+  const { [id]: _dropped, ...overrides } = custom.overrides;
+  return { ...custom, overrides, hidden: custom.hidden.filter(h => h !== id) };
+}
+
+export const restoreAllBuiltIns = (custom) => ({
+  ...custom,
+  overrides: {},
+  hidden: [],
+});
+
+// built-in questions of a category that were deleted (so they can be brought back)
+export const hiddenBuiltIns = (custom, category) =>
+  (shippedBank()[category] || []).filter(q => custom.hidden.includes(q.id));
@@ -0,0 +1,301 @@
+/* ------------------------------------------------------------------------
+   Question packs (import / export)
+
+   JSON pack (versioned):
+     { format: 'student-quiz-pack', version: 1, exportedAt,
+       categories: { [category]: [question, …] } }
+
+   CSV pack (one question per row, header row required):
+     category,question,answer,hint,difficulty[,accepted,type,options,id,hints,explanation]
+     accepted/options/hints are '|'-separated lists
+
+   previewPack() parses either format into rows with per-row errors;
+   mergePack()/replaceWithPack() turn the valid rows into a new custom bank.
+------------------------------------------------------------------------ */
+
+import { normalizeAnswer } from './answerMatching';
+import { t } from './i18n';
+import {
+  addCategory,
+  emptyCustomBank,
+  isBuiltInCategory,
+  isBuiltInQuestion,
+  newQuestionId,
+  shippedBank,
+  upsertQuestion,
+  validateQuestion,
+} from './questionBank';
+
+export const PACK_FORMAT = 'student-quiz-pack';
+export const PACK_VERSION = 1;
+
+export const CSV_COLUMNS = [
+  'category',
+  'question',
+  'answer',
+  'hint',
+  'difficulty',
+  'accepted',
+  'type',
+  'options',
+  'id',
+  'hints',
+  'explanation',
+];
+const REQUIRED_CSV_COLUMNS = ['category', 'question', 'answer', 'difficulty'];
+const LIST_SEPARATOR = '|';
+
+// only the fields a pack is allowed to carry
+const QUESTION_FIELDS = [
+  'id', 'difficulty', 'type', 'question', 'answer', 'accepted', 'options', 'hint', 'hints', 'explanation',
+];
+
+function cleanQuestion(raw) {
+  const q = {};
+  QUESTION_FIELDS.forEach(field => {
+    const value = raw[field];
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value)) {
+      const list = value.map(v => String(v).trim()).filter(Boolean);
+      if (list.length) q[field] = list;
+    } else {
+      q[field] = String(value).trim();
+    }
+  });
+  return q;
+}
+
+/* --------------------------------- Export --------------------------------- */
+
+export function exportPackJson(bank) {
+  const categories = {};
+  Object.keys(bank).forEach(cat => {
+    categories[cat] = bank[cat].map(cleanQuestion);
+  });
+  return JSON.stringify(
+    {
+      format: PACK_FORMAT,
+      version: PACK_VERSION,
+      exportedAt: new Date().toISOString(),
+      categories,
+    },
+    null,
+    2,
+  );
+}
+
+function csvCell(value) {
+  const text = Array.isArray(value) ? value.join(LIST_SEPARATOR) : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function exportPackCsv(bank) {
+  const lines = [CSV_COLUMNS.join(',')];
+  Object.keys(bank).forEach(cat => {
+    bank[cat].forEach(q => {
+      const row = { ...cleanQuestion(q), category: cat };
+      lines.push(CSV_COLUMNS.map(col => csvCell(row[col])).join(','));
+    });
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/* --------------------------------- Parsing --------------------------------- */
+
+// RFC 4180-ish: quoted cells, doubled quotes, newlines inside quotes
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // drop blank lines (spreadsheets love trailing ones)
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+const splitList = (text) =>
+  text ? text.split(LIST_SEPARATOR).map(s => s.trim()).filter(Boolean) : undefined;
+
+// → { entries: [{ line, category, question }], error? }
+function readCsvPack(text) {
+  const [header, ...body] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return { entries: [], error: t('packs.empty') };
+
+  const columns = header.map(h => h.trim().toLowerCase());
+  const missing = REQUIRED_CSV_COLUMNS.filter(col => !columns.includes(col));
+  if (missing.length) {
+    return { entries: [], error: t('packs.missingColumns', { columns: missing.join(', ') }) };
+  }
+
+  const entries = body.map((cells, i) => {
+    const raw = {};
+    columns.forEach((col, c) => {
+      raw[col] = (cells[c] || '').trim();
+    });
+    return {
+      line: i + 2, // 1-based, after the header
+      category: raw.category,
+      question: cleanQuestion({
+        ...raw,
+        accepted: splitList(raw.accepted),
+        options: splitList(raw.options),
+        hints: splitList(raw.hints),
+      }),
+    };
+  });
+  return { entries };
+}
+
+function readJsonPack(text) {
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch (e) {
+    return { entries: [], error: t('packs.invalidJson') };
+  }
+  if (!pack || pack.format !== PACK_FORMAT) {
+    return { entries: [], error: t('packs.notAPack') };
+  }
+  if (typeof pack.version !== 'number' || pack.version > PACK_VERSION) {
+    return {
+      entries: [],
+      error: t('packs.badVersion', { version: String(pack.version), max: PACK_VERSION }),
+    };
+  }
+  if (!pack.categories || typeof pack.categories !== 'object') {
+    return { entries: [], error: t('packs.noCategories') };
+  }
+
+  const entries = [];
+  Object.keys(pack.categories).forEach(cat => {
+    const list = Array.isArray(pack.categories[cat]) ? pack.categories[cat] : [];
+    list.forEach(raw => {
+      entries.push({
+        line: entries.length + 1,
+        category: cat.trim(),
+        question: cleanQuestion(raw || {}),
+      });
+    });
+  });
+  return { entries };
+}
+
+/* --------------------------------- Preview --------------------------------- */
+
+const dupKey = (category, question) =>
+  `${category.toLowerCase()}|${normalizeAnswer(question)}`;
+
+/* → { rows, error? }
+   row = { line, category, question, errors: [string], existing: bool }
+   existing = already in the current bank (skipped on merge) */
+export function previewPack(text, bank) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return { rows: [], error: t('packs.nothing') };
+
+  const { entries, error } = trimmed.startsWith('{')
+    ? readJsonPack(trimmed)
+    : readCsvPack(trimmed);
+  if (error) return { rows: [], error };
+
+  const inBank = new Set();
+  const bankIds = new Set();
+  Object.keys(bank).forEach(cat => {
+    bank[cat].forEach(q => {
+      inBank.add(dupKey(cat, q.question));
+      bankIds.add(q.id);
+    });
+  });
+
+  const seen = new Map(); // dupKey → first line
+  const rows = entries.map(({ line, category, question }) => {
+    const errors = Object.values(validateQuestion(question));
+    if (!category) errors.unshift(t('packs.categoryRequired'));
+
+    let existing = false;
+    if (category && question.question) {
+      const key = dupKey(category, question.question);
+      if (seen.has(key)) errors.push(t('packs.duplicate', { line: seen.get(key) }));
+      else seen.set(key, line);
+      existing = inBank.has(key) || (question.id && bankIds.has(question.id));
+    }
+    return { line, category, question, errors, existing: Boolean(existing) };
+  });
+
+  return { rows };
+}
+
+export const importableRows = (rows, mode) =>
+  rows.filter(r => r.errors.length === 0 && (mode === 'replace' || !r.existing));
+
+/* --------------------------------- Apply --------------------------------- */
+
+// pack ids are kept only when they can't clash with something else
+function addRow(custom, row, usedIds) {
+  const { category } = row;
+  let { question } = row;
+
+  const keepsBuiltIn = (shippedBank()[category] || []).some(q => q.id === question.id);
+  const clashes = isBuiltInQuestion(question.id) && !keepsBuiltIn;
+  if (!question.id || clashes || usedIds.has(question.id)) {
+    question = { ...question, id: newQuestionId() };
+  }
+  usedIds.add(question.id);
+
+  let next = custom;
+  if (!isBuiltInCategory(category) && !next.categories.includes(category)) {
+    next = addCategory(next, category);
+  }
+  return upsertQuestion(next, category, question);
+}
+
+// add new questions next to the current bank
+export function mergePack(custom, rows, bank) {
+  const usedIds = new Set(Object.values(bank).flat().map(q => q.id));
+  return importableRows(rows, 'merge').reduce(
+    (next, row) => addRow(next, row, usedIds),
+    custom,
+  );
+}
+
+// the pack becomes the whole bank: built-ins it doesn't mention are hidden
+export function replaceWithPack(rows) {
+  const usedIds = new Set();
+  const start = {
+    ...emptyCustomBank(),
+    hidden: Object.values(shippedBank()).flat().map(q => q.id),
+  };
+  return importableRows(rows, 'replace').reduce(
+    (next, row) => addRow(next, row, usedIds),
+    start,
+  );
+}
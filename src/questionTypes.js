@@ -0,0 +1,67 @@
+/* ------------------------------------------------------------------------
+   Question types
+
+   - text:      free text, graded leniently (src/answerMatching.js)
+   - choice:    multiple choice, question.options holds every option
+                (including the answer); shown shuffled each round
+   - truefalse: answer is 'True' or 'False'
+   Items without a type are free text, so older banks keep working.
+
+   Hints are revealed one at a time, in order: the question's own
+   (hints: [...], or the older single hint) and then, for free text, an
+   automatic letters hint — { type: 'letters', first, count, mask } —
+   that the app words in the current language.
+------------------------------------------------------------------------ */
+
+export const QUESTION_TYPES = {
+  TEXT: 'text',
+  CHOICE: 'choice',
+  TRUE_FALSE: 'truefalse',
+};
+
+export const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+export const questionType = (question) =>
+  (question && question.type) || QUESTION_TYPES.TEXT;
+
+// options to render as buttons (empty for free text)
+export function optionsFor(question) {
+  switch (questionType(question)) {
+    case QUESTION_TYPES.CHOICE:
+      return question.options || [];
+    case QUESTION_TYPES.TRUE_FALSE:
+      return TRUE_FALSE_OPTIONS;
+    default:
+      return [];
+  }
+}
+
+export const hasOptions = (question) =>
+  questionType(question) !== QUESTION_TYPES.TEXT;
+
+// copy of the question ready for a round: choice options get shuffled
+export function prepareQuestion(question, shuffle) {
+  if (questionType(question) !== QUESTION_TYPES.CHOICE) return question;
+  return { ...question, options: shuffle(optionsFor(question)) };
+}
+
+// the question's own hints (edited / translated as a list)
+export const questionHints = (question) =>
+  (Array.isArray(question.hints) && question.hints.length > 0
+    ? question.hints
+    : question.hint ? [question.hint] : []);
+
+// "L _ _ _ _ _": the first character, then a blank per letter (spaces kept)
+export function letterHint(answer) {
+  const chars = [...String(answer || '').trim()];
+  const count = chars.filter(ch => ch.trim()).length;
+  if (count < 2) return null;
+  const mask = chars.map((ch, i) => (i === 0 ? ch : ch.trim() ? '_' : ' ')).join(' ');
+  return { type: 'letters', first: chars[0], count, mask };
+}
+
+// every hint the question can reveal, in order
+export function hintsFor(question) {
+  const auto = questionType(question) === QUESTION_TYPES.TEXT ? letterHint(question.answer) : null;
+  return auto ? [...questionHints(question), auto] : questionHints(question);
+}
@@ -0,0 +1,349 @@
+/* ------------------------------------------------------------------------
+   Quiz engine
+
+   The whole quiz lifecycle as a pure reducer — no React, no storage,
+   no timers — so it can be unit tested (src/__tests__/quizEngine.test.js).
+   src/useQuiz.js wraps it for the app.
+
+   Events
+   - { type: 'start', questions, mode?, category?, difficulty?, highScore?,
+       timeMode?, timeLimits?, hints?, now? }  hints: false = no hints this round
+   - { type: 'start', adaptive: { pools, limits, size, level? }, ... }
+                                        adaptive round: the engine picks the
+                                        questions (see src/adaptive.js)
+   - { type: 'answer', answer, now? }   typed text or tapped option
+   - { type: 'timeout', now? }          clock ran out → blank, wrong
+   - { type: 'hint' }                   next hint shown for the current question
+   - { type: 'next', now? }             next question, or finish after the last
+   - { type: 'finish', now? }           end the round right away
+   - { type: 'resume', state }          carry on with a saved round (answering / answered)
+   - { type: 'reset' }
+
+   Status flow: idle → answering ⇄ answered → finished
+
+   Time is kept as a wall-clock deadline, not a countdown, so it can't
+   drift and keeps running while the app is in the background, or closed
+   (a resumed round keeps its deadline, so one that passed meanwhile times
+   out as soon as it's back on screen):
+   - 'question': every question gets its own limit (timeLimits[i], seconds)
+   - 'quiz': one budget for the whole round (the sum of timeLimits); when
+     it runs out the round ends
+   - 'off': no clock (a 'timeout' still counts as a blank answer)
+   Every answer records how long it took (timeMs) and the points it
+   earned (see src/scoring.js). score counts correct answers; points is
+   the round's total, and high scores are kept in points.
+
+   Adaptive rounds keep a fixed length, but the questions after the
+   current one are only a plan: every answer may change the level, and
+   the rest of the round (and its time limits, and so a whole-quiz
+   budget) is re-planned from it.
+------------------------------------------------------------------------ */
+
+import {
+  START_LEVEL,
+  planQuestions,
+  stepLevel,
+  takeQuestion,
+} from './adaptive';
+import { gradeAnswer, VERDICT } from './answerMatching';
+import { hintsFor } from './questionTypes';
+import { scoreAnswer } from './scoring';
+
+export const STATUS = {
+  IDLE: 'idle',
+  ANSWERING: 'answering',
+  ANSWERED: 'answered',
+  FINISHED: 'finished',
+};
+
+export const TIME_MODE = {
+  OFF: 'off',
+  QUESTION: 'question',
+  QUIZ: 'quiz',
+};
+
+export const initialQuizState = {
+  status: STATUS.IDLE,
+  mode: 'normal',        // normal | review | daily | multiplayer | study | adaptive | custom (only normal rounds touch high scores)
+  category: null,
+  difficulty: null,
+  questions: [],
+  current: 0,
+  answers: [],           // per question: { answer, verdict, timedOut, hintUsed, hintsUsed, timeMs, points }
+  hintsUsed: [],         // per question: how many of its hints have been shown
+  hintsAllowed: true,
+  score: 0,              // correct answers
+  points: 0,             // sum of every answer's points.total
+  streak: 0,             // correct answers in a row, this round
+  bestStreak: 0,         // best streak this round
+  highScore: 0,          // best points for category+difficulty (updated on finish)
+  isNewHighScore: false,
+  timeMode: TIME_MODE.OFF,
+  timeLimits: [],        // per question, seconds
+  deadline: null,        // when the clock runs out (ms timestamp); null = untimed
+  adaptive: null,        // adaptive rounds only: level, runs and unasked questions (src/adaptive.js)
+  questionStartedAt: null,
+  startedAt: null,
+  finishedAt: null,
+};
+
+/* -------------------------------- internals -------------------------------- */
+
+const SECOND_MS = 1000;
+
+// deadline for question i in 'question' mode (null if it has no limit)
+function questionDeadline(state, i, now) {
+  const limit = state.timeLimits[i];
+  return limit > 0 ? now + limit * SECOND_MS : null;
+}
+
+function roundDeadline(state, now) {
+  if (state.timeMode === TIME_MODE.QUESTION) return questionDeadline(state, 0, now);
+  if (state.timeMode === TIME_MODE.QUIZ) {
+    const budget = state.timeLimits.reduce((sum, limit) => sum + (limit > 0 ? limit : 0), 0);
+    return budget > 0 ? now + budget * SECOND_MS : null;
+  }
+  return null;
+}
+
+// adaptive rounds: the questions after the current one follow the (new) level;
+// a whole-quiz budget stays the sum of the new time limits, counted from the start
+function replan(state) {
+  const { adaptive, current } = state;
+  const asked = state.questions.slice(0, current + 1);
+  const questions = [...asked, ...planQuestions(adaptive.pools, adaptive.level, state.questions.length - asked.length)];
+  const timeLimits = questions.map((q, i) =>
+    (i <= current ? state.timeLimits[i] : adaptive.limits[q.difficulty] || 0));
+  const replanned = { ...state, questions, timeLimits };
+  return state.timeMode === TIME_MODE.QUIZ
+    ? { ...replanned, deadline: roundDeadline(replanned, state.startedAt) }
+    : replanned;
+}
+
+function recordAnswer(state, answer, verdict, timedOut, now) {
+  const correct = verdict === VERDICT.CORRECT;
+  const streak = correct ? state.streak + 1 : 0;
+  const q = state.questions[state.current];
+  const hintsUsed = hintsShown(state, state.current);
+  const hintUsed = hintsUsed > 0;
+  const timeMs = state.questionStartedAt != null ? Math.max(0, now - state.questionStartedAt) : null;
+  // speed is measured against the question's own limit, in either timed mode
+  const limit = state.timeMode === TIME_MODE.OFF ? 0 : state.timeLimits[state.current];
+  const points = scoreAnswer({
+    verdict,
+    difficulty: q.difficulty || state.difficulty,
+    hintUsed,
+    timeMs,
+    limitMs: limit > 0 ? limit * SECOND_MS : null,
+    streak,
+  });
+  const answers = [...state.answers];
+  answers[state.current] = { answer, verdict, timedOut, hintUsed, hintsUsed, timeMs, points };
+  const answered = {
+    ...state,
+    status: STATUS.ANSWERED,
+    answers,
+    score: correct ? state.score + 1 : state.score,
+    points: state.points + points.total,
+    streak,
+    bestStreak: Math.max(state.bestStreak, streak),
+  };
+  return state.adaptive ? replan({ ...answered, adaptive: stepLevel(state.adaptive, correct) }) : answered;
+}
+
+// an adaptive round's opening plan, all from its starting level
+function startAdaptive({ pools, limits = {}, size, level = START_LEVEL }) {
+  const questions = planQuestions(pools, level, size);
+  if (questions.length === 0) return null;
+  return {
+    questions,
+    timeLimits: questions.map(q => limits[q.difficulty] || 0),
+    adaptive: { level, runRight: 0, runWrong: 0, limits, pools: takeQuestion(pools, questions[0]) },
+  };
+}
+
+function finish(state, now) {
+  const isNewHighScore = state.mode === 'normal' && state.points > state.highScore;
+  return {
+    ...state,
+    status: STATUS.FINISHED,
+    highScore: isNewHighScore ? state.points : state.highScore,
+    isNewHighScore,
+    finishedAt: now ?? Date.now(),
+  };
+}
+
+/* --------------------------------- reducer --------------------------------- */
+
+export function quizReducer(state, event) {
+  switch (event.type) {
+    case 'start': {
+      const round = event.adaptive
+        ? startAdaptive(event.adaptive)
+        : { questions: event.questions, timeLimits: event.timeLimits, adaptive: null };
+      if (!round || !round.questions || round.questions.length === 0) return state;
+      const now = event.now ?? Date.now();
+      const started = {
+        ...initialQuizState,
+        status: STATUS.ANSWERING,
+        mode: event.mode || 'normal',
+        category: event.category ?? null,
+        difficulty: event.difficulty ?? null,
+        questions: round.questions,
+        highScore: event.highScore || 0,
+        timeMode: Object.values(TIME_MODE).includes(event.timeMode) ? event.timeMode : TIME_MODE.OFF,
+        timeLimits: round.timeLimits || [],
+        hintsAllowed: event.hints !== false,
+        adaptive: round.adaptive,
+        questionStartedAt: now,
+        startedAt: now,
+      };
+      return { ...started, deadline: roundDeadline(started, now) };
+    }
+
+    case 'answer': {
+      if (state.status !== STATUS.ANSWERING) return state; // no double taps
+      const q = state.questions[state.current];
+      return recordAnswer(state, event.answer, gradeAnswer(event.answer, q), false, event.now ?? Date.now());
+    }
+
+    case 'timeout': {
+      // noticed late (app asleep or closed): the clock ran out at the deadline, not now
+      const now = Math.min(event.now ?? Date.now(), state.deadline ?? Infinity);
+      if (state.timeMode === TIME_MODE.QUIZ) {
+        // the round's budget is spent: the question on screen counts as blank, the rest stay unanswered
+        if (state.status === STATUS.ANSWERING) return finish(recordAnswer(state, '', VERDICT.WRONG, true, now), now);
+        if (state.status === STATUS.ANSWERED) return finish(state, now);
+        return state;
+      }
+      if (state.status !== STATUS.ANSWERING) return state;
+      return recordAnswer(state, '', VERDICT.WRONG, true, now);
+    }
+
+    case 'hint': {
+      const q = state.questions[state.current];
+      if (state.status !== STATUS.ANSWERING || !q || !state.hintsAllowed) return state;
+      const shown = hintsShown(state, state.current);
+      if (shown >= hintsFor(q).length) return state;
+      const hintsUsed = [...state.hintsUsed];
+      hintsUsed[state.current] = shown + 1;
+      return { ...state, hintsUsed };
+    }
+
+    case 'next': {
+      if (state.status !== STATUS.ANSWERED) return state;
+      if (state.current + 1 >= state.questions.length) return finish(state, event.now);
+      const now = event.now ?? Date.now();
+      const current = state.current + 1;
+      return {
+        ...state,
+        status: STATUS.ANSWERING,
+        current,
+        adaptive: state.adaptive && {
+          ...state.adaptive,
+          pools: takeQuestion(state.adaptive.pools, state.questions[current]),
+        },
+        questionStartedAt: now,
+        // a whole-quiz budget keeps its deadline
+        deadline: state.timeMode === TIME_MODE.QUESTION ? questionDeadline(state, current, now) : state.deadline,
+      };
+    }
+
+    case 'finish': {
+      if (state.status === STATUS.IDLE || state.status === STATUS.FINISHED) return state;
+      return finish(state, event.now);
+    }
+
+    case 'resume': {
+      // saved rounds come from storage, so only take ones that still make sense;
+      // the deadline is wall-clock time, so time spent away still counts
+      const saved = event.state;
+      if (!isResumable(saved)) return state;
+      return { ...initialQuizState, ...saved };
+    }
+
+    case 'reset':
+      return initialQuizState;
+
+    default:
+      return state;
+  }
+}
+
+/* -------------------------------- selectors -------------------------------- */
+
+// a round that was left part-way (what 'resume' accepts)
+export const isResumable = (state) =>
+  Boolean(state) &&
+  (state.status === STATUS.ANSWERING || state.status === STATUS.ANSWERED) &&
+  Array.isArray(state.questions) &&
+  state.questions.length > 0 &&
+  Number.isInteger(state.current) &&
+  state.current >= 0 &&
+  state.current < state.questions.length &&
+  Array.isArray(state.answers) &&
+  Array.isArray(state.hintsUsed) &&
+  (state.status === STATUS.ANSWERING || Boolean(state.answers[state.current]));
+
+// the clock only runs while a question is open (a whole-quiz budget runs throughout)
+export const isClockRunning = (state) =>
+  state.deadline != null &&
+  (state.status === STATUS.ANSWERING ||
+    (state.timeMode === TIME_MODE.QUIZ && state.status === STATUS.ANSWERED));
+
+// whole seconds left on the clock (null when the round isn't timed)
+export const timeLeft = (state, now) =>
+  (state.deadline == null ? null : Math.max(0, Math.ceil((state.deadline - now) / SECOND_MS)));
+
+export const currentQuestion = (state) => state.questions[state.current] || null;
+
+// how many hints question i has revealed (rounds saved before hint lists stored true)
+export const hintsShown = (state, i = state.current) => Number(state.hintsUsed[i]) || 0;
+
+// whether the current question has another hint to show
+export const canShowHint = (state) => {
+  const q = currentQuestion(state);
+  return Boolean(q) && state.status === STATUS.ANSWERING && state.hintsAllowed &&
+    hintsShown(state) < hintsFor(q).length;
+};
+
+export const currentAnswer = (state) => state.answers[state.current] || null;
+
+export const isLastQuestion = (state) => state.current + 1 >= state.questions.length;
+
+// plain strings for the Answers Review / history ('' = blank or unanswered)
+export const userAnswers = (state) =>
+  state.questions.map((_, i) => (state.answers[i] ? state.answers[i].answer : ''));
+
+// how long each question took, in ms (null = unanswered)
+export const answerTimes = (state) =>
+  state.questions.map((_, i) => (state.answers[i] ? state.answers[i].timeMs ?? null : null));
+
+// hints revealed per question (null = unanswered)
+export const answerHints = (state) =>
+  state.questions.map((_, i) => (state.answers[i] ? state.answers[i].hintsUsed ?? null : null));
+
+// per-question points breakdown for the results screen (null = unanswered)
+export const answerPoints = (state) =>
+  state.questions.map((_, i) => (state.answers[i] ? state.answers[i].points ?? null : null));
+
+// adaptive rounds: the level of every question answered so far, in order
+export const difficultyPath = (state) =>
+  state.questions.filter((_, i) => state.answers[i]).map(q => q.difficulty);
+
+// adaptive rounds: the fixed difficulty to try next — the level the round ended on
+export const suggestedDifficulty = (state) => (state.adaptive ? state.adaptive.level : null);
+
+// what lifetime stats need once the round is over
+export function quizSummary(state) {
+  const answered = state.answers.filter(Boolean);
+  return {
+    total: state.questions.length,
+    answered: answered.length,
+    correct: state.score,
+    points: state.points,
+    bestStreak: state.bestStreak,
+    hintsUsed: state.hintsUsed.filter(Boolean).length,
+    durationMs: state.startedAt && state.finishedAt ? state.finishedAt - state.startedAt : null,
+  };
+}
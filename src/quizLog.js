@@ -0,0 +1,101 @@
+/* ------------------------------------------------------------------------
+   Quiz log
+
+   One record per finished quiz, newest first, so History can reopen the
+   full Answers Review later. Questions are snapshotted into the record,
+   so edits to the bank don't rewrite the past.
+------------------------------------------------------------------------ */
+
+import { t } from './i18n';
+import { getProfileData, loadAppState, updateProfileData } from './storage';
+
+// oldest records fall off past this many
+export const MAX_LOG_RECORDS = 200;
+
+/* record = {
+     id, finishedAt (ISO), mode,       // mode: normal | review | daily | adaptive | custom
+     category, difficulty,             // review + daily rounds: 'Review due' / 'Daily Challenge', 'Mixed'; adaptive: 'Adaptive';
+                                       // custom: the one category / difficulty, else 'Custom round' / 'Mixed'
+     score, total, points, durationMs, // points: null on records from before points
+     questions: [question snapshot], userAnswers: [string],
+     answerTimes: [ms | null],         // time taken per question
+     answerPoints: [breakdown | null], // see src/scoring.js
+     answerHints: [count | null],      // hints revealed per question
+   } */
+
+// only what the Answers Review needs to re-grade and show a question
+const SNAPSHOT_FIELDS = [
+  'id', 'question', 'answer', 'accepted', 'type', 'options', 'difficulty', 'category', 'explanation',
+];
+
+function snapshotQuestion(q) {
+  const snap = {};
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (q[field] !== undefined) snap[field] = q[field];
+  });
+  return snap;
+}
+
+export function buildQuizRecord({
+  mode,
+  category,
+  difficulty,
+  score,
+  points = null,
+  questions,
+  userAnswers,
+  answerTimes = [],
+  answerPoints = [],
+  answerHints = [],
+  startedAt,
+  finishedAt = Date.now(),
+}) {
+  return {
+    id: `${finishedAt.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    finishedAt: new Date(finishedAt).toISOString(),
+    mode,
+    category,
+    difficulty,
+    score,
+    total: questions.length,
+    points,
+    durationMs: startedAt ? Math.max(0, finishedAt - startedAt) : null,
+    questions: questions.map(snapshotQuestion),
+    userAnswers: questions.map((_, i) => userAnswers[i] ?? ''),
+    answerTimes: questions.map((_, i) => answerTimes[i] ?? null),
+    answerPoints: questions.map((_, i) => answerPoints[i] ?? null),
+    answerHints: questions.map((_, i) => answerHints[i] ?? null),
+  };
+}
+
+export const addQuizRecord = (log, record) =>
+  [record, ...log].slice(0, MAX_LOG_RECORDS);
+
+// filters: { category?, difficulty? } — null/undefined means "any"
+export const filterQuizLog = (log, { category, difficulty } = {}) =>
+  log.filter(
+    r => (!category || r.category === category) && (!difficulty || r.difficulty === difficulty),
+  );
+
+// "1m 05s" / "42s" (in the current language)
+export function formatDuration(ms) {
+  if (ms == null) return '—';
+  const totalSeconds = Math.round(ms / 1000);
+  const m = Math.floor(totalSeconds / 60);
+  const s = totalSeconds % 60;
+  return m > 0
+    ? t('duration.minutes', { m, s: String(s).padStart(2, '0') })
+    : t('duration.seconds', { s });
+}
+
+/* ------------------------------ storage (per profile) ------------------------------ */
+
+export async function loadQuizLog(profileId) {
+  await loadAppState();
+  return getProfileData(profileId).quizLog;
+}
+
+export const saveQuizLog = (profileId, quizLog) =>
+  updateProfileData(profileId, data => ({ ...data, quizLog }));
+
+export const clearQuizLog = (profileId) => saveQuizLog(profileId, []);
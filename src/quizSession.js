@@ -0,0 +1,45 @@
+/* ------------------------------------------------------------------------
+   Quiz session
+
+   The round on screen is saved to the profile while it runs (after every
+   answer), so a quiz survives the app being killed or backgrounded. On
+   the next launch the category screen offers to resume it.
+
+   - a session is { savedAt, quiz: <engine state>, dailyRun }
+   - the quiz keeps its wall-clock deadline, so the time the app was
+     closed comes off the clock (see 'resume' in src/quizEngine.js)
+   - sessions older than the profile's limit (Settings) are dropped and
+     counted as abandoned; so is a quiz the student leaves or discards
+------------------------------------------------------------------------ */
+
+import { isResumable } from './quizEngine';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Settings choices for how long an unfinished quiz is kept (hours)
+export const SESSION_LIMIT_OPTIONS = [1, 24, 168];
+export const DEFAULT_SESSION_LIMIT_HOURS = 24;
+
+export const buildSession = (quiz, dailyRun, now = Date.now()) => ({
+  savedAt: now,
+  quiz,
+  dailyRun: dailyRun || null,
+});
+
+export const isSessionValid = (session) =>
+  Boolean(session) && Number.isFinite(session.savedAt) && isResumable(session.quiz);
+
+export const isSessionExpired = (session, limitHours, now = Date.now()) =>
+  now - session.savedAt > limitHours * HOUR_MS;
+
+// what the "Resume quiz" card shows
+export const sessionProgress = (session) => ({
+  answered: session.quiz.answers.filter(Boolean).length,
+  total: session.quiz.questions.length,
+});
+
+// stats after a round was left unfinished
+export const withAbandonedQuiz = (stats) => ({
+  ...stats,
+  abandonedQuizzes: (stats.abandonedQuizzes || 0) + 1,
+});
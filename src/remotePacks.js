@@ -0,0 +1,201 @@
+/* ------------------------------------------------------------------------
+   Remote question packs (sync + offline cache)
+
+   New questions without a new app release: Settings takes the address
+   of a JSON question pack (the format the packs screen exports, see
+   src/questionPacks.js) and the app fetches it on launch and on "Sync
+   now".
+
+   - requests are conditional: the cached pack's ETag goes out as
+     If-None-Match, and a 304 (or a pack with the same `revision`)
+     changes nothing
+   - a pack is all or nothing: one bad question, or one without its own
+     id, and the last good copy stays
+   - the last good copy is cached in the app document, so its questions
+     are there offline
+   - synced questions count as built-ins (src/questionBank.js) and keep
+     their ids across updates, so answer history and edits carry over
+
+   remotePacks = {
+     url,                     // '' = sync off
+     etag, revision,          // of the cached pack (either may be null)
+     categories,              // { [category]: [question] } from the last good pack
+     updatedAt,               // ISO; when the cached questions last changed
+     checkedAt,               // ISO; last sync attempt
+     status,                  // SYNC_STATUS of the last sync
+     detail,                  // what went wrong, for the failed statuses
+   }
+------------------------------------------------------------------------ */
+
+import { t } from './i18n';
+import { quizBank, setSyncedQuestions } from './questionBank';
+import { previewPack } from './questionPacks';
+import { getAppState, loadAppState, updateAppState } from './storage';
+
+export const SYNC_STATUS = {
+  NEVER: 'never',
+  UPDATED: 'updated',
+  UNCHANGED: 'unchanged',
+  OFFLINE: 'offline',   // no answer (no network, timeout, bad address)
+  FAILED: 'failed',     // the server answered with an error
+  INVALID: 'invalid',   // the pack didn't pass validation
+};
+
+const FETCH_TIMEOUT_MS = 15000;
+
+// errors listed in `detail`; the rest are only counted
+const MAX_LISTED_ERRORS = 3;
+
+export const isPackUrl = (url) => /^https?:\/\/\S+$/i.test(String(url || '').trim());
+
+/* -------------------------------- validation -------------------------------- */
+
+const builtInCategoryOf = (id) =>
+  Object.keys(quizBank).find(cat => quizBank[cat].some(q => q.id === id));
+
+/* → { categories, revision, errors: [message] }; any error rejects the pack.
+   On top of the import checks every question needs an id of its own, and
+   a built-in's id can only be used (to update it) in the built-in's category. */
+export function readRemotePack(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed.startsWith('{')) return { categories: {}, revision: null, errors: [t('packs.notAPack')] };
+  const { rows, error } = previewPack(trimmed, {});
+  if (error) return { categories: {}, revision: null, errors: [error] };
+  if (rows.length === 0) return { categories: {}, revision: null, errors: [t('packs.nothing')] };
+
+  const errors = [];
+  const firstLine = new Map(); // id → line
+  const categories = {};
+  rows.forEach(({ line, category, question, errors: rowErrors }) => {
+    rowErrors.forEach(message => errors.push(t('sync.rowError', { line, message })));
+    const { id } = question;
+    if (!id) {
+      errors.push(t('sync.rowError', { line, message: t('sync.idRequired') }));
+    } else if (firstLine.has(id)) {
+      errors.push(t('sync.rowError', { line, message: t('sync.duplicateId', { id, line: firstLine.get(id) }) }));
+    } else if (builtInCategoryOf(id) && builtInCategoryOf(id) !== category) {
+      errors.push(t('sync.rowError', {
+        line,
+        message: t('sync.idInOtherCategory', { id, category: builtInCategoryOf(id) }),
+      }));
+    }
+    if (id && !firstLine.has(id)) firstLine.set(id, line);
+    if (category) categories[category] = [...(categories[category] || []), question];
+  });
+
+  const { revision } = JSON.parse(trimmed);
+  return {
+    categories,
+    revision: revision == null ? null : String(revision),
+    errors,
+  };
+}
+
+const errorDetail = (errors) =>
+  [
+    ...errors.slice(0, MAX_LISTED_ERRORS),
+    ...(errors.length > MAX_LISTED_ERRORS
+      ? [t('sync.moreErrors', { count: errors.length - MAX_LISTED_ERRORS })]
+      : []),
+  ].join('\n');
+
+/* ---------------------------------- sync ---------------------------------- */
+
+async function fetchPack(url, etag) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    return await fetch(url, {
+      headers: { Accept: 'application/json', ...(etag ? { 'If-None-Match': etag } : {}) },
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// what one sync attempt changes in remotePacks
+async function syncOnce(remote) {
+  let response;
+  try {
+    response = await fetchPack(remote.url, remote.etag);
+  } catch (e) {
+    // fetch's own messages are English and vary by platform
+    return { status: SYNC_STATUS.OFFLINE, detail: t(e && e.name === 'AbortError' ? 'sync.timedOut' : 'sync.noAnswer') };
+  }
+
+  if (response.status === 304) return { status: SYNC_STATUS.UNCHANGED, detail: null };
+  if (!response.ok) return { status: SYNC_STATUS.FAILED, detail: t('sync.httpStatus', { status: response.status }) };
+
+  let text;
+  try {
+    text = await response.text();
+  } catch (e) {
+    return { status: SYNC_STATUS.OFFLINE, detail: t('sync.downloadCut') };
+  }
+  const { categories, revision, errors } = readRemotePack(text);
+  if (errors.length > 0) return { status: SYNC_STATUS.INVALID, detail: errorDetail(errors) };
+
+  const etag = response.headers.get('ETag');
+  if (revision !== null && revision === remote.revision && remote.updatedAt) {
+    return { status: SYNC_STATUS.UNCHANGED, etag, detail: null };
+  }
+  return { status: SYNC_STATUS.UPDATED, etag, revision, categories, updatedAt: new Date().toISOString(), detail: null };
+}
+
+let syncing = null; // { url, promise } while a request is out
+
+/** Fetches the pack (if an address is set) and returns the new remotePacks. */
+export async function syncRemotePacks() {
+  await loadAppState();
+  const remote = getAppState().remotePacks;
+  if (!isPackUrl(remote.url)) return remote;
+  if (syncing && syncing.url === remote.url) return syncing.promise;
+
+  const promise = syncOnce(remote).then(changes => {
+    const next = updateAppState(state => {
+      // the address was changed mid-sync: this answer belongs to the old one
+      if (state.remotePacks.url !== remote.url) return state;
+      return {
+        ...state,
+        remotePacks: { ...state.remotePacks, ...changes, checkedAt: new Date().toISOString() },
+      };
+    }).remotePacks;
+    // the bank follows whatever is cached now (unchanged if the answer was dropped)
+    setSyncedQuestions(next.categories);
+    return next;
+  });
+  syncing = { url: remote.url, promise };
+  promise.finally(() => {
+    if (syncing && syncing.promise === promise) syncing = null;
+  });
+  return promise;
+}
+
+/* --------------------------------- storage --------------------------------- */
+
+// the cached questions go into the bank straight away, before any sync
+export async function loadRemotePacks() {
+  const remote = (await loadAppState()).remotePacks;
+  setSyncedQuestions(remote.categories);
+  return remote;
+}
+
+// a new address starts from scratch: the old pack's questions are dropped
+export function setPackUrl(url) {
+  const clean = String(url || '').trim();
+  setSyncedQuestions({});
+  return updateAppState(state => ({
+    ...state,
+    remotePacks: {
+      url: clean,
+      etag: null,
+      revision: null,
+      categories: {},
+      updatedAt: null,
+      checkedAt: null,
+      status: SYNC_STATUS.NEVER,
+      detail: null,
+    },
+  })).remotePacks;
+}
@@ -0,0 +1,58 @@
+/* ------------------------------------------------------------------------
+   Scoring
+
+   Points for one answer. Pure, so the quiz engine can use it and the
+   unit tests can check it (src/__tests__/quizEngine.test.js).
+
+   Only correct answers earn points ("nearly!" and wrong ones get 0):
+   - base: BASE_POINTS × the difficulty multiplier (Easy 1, Medium 1.5, Hard 2)
+   - speed: up to MAX_SPEED_BONUS for answering early, in proportion to
+     the time left on that question's limit (untimed rounds get none)
+   - hint: using the hint takes HINT_PENALTY of the base away
+   - streak: every correct answer in a row adds STREAK_STEP to the
+     multiplier on the lot, up to MAX_STREAK_MULTIPLIER
+
+   The score (correct answers) is still kept alongside for accuracy and
+   lifetime stats; high scores are points.
+------------------------------------------------------------------------ */
+
+import { VERDICT } from './answerMatching';
+
+export const BASE_POINTS = 100;
+export const DIFFICULTY_MULTIPLIER = { Easy: 1, Medium: 1.5, Hard: 2 };
+export const MAX_SPEED_BONUS = 50;
+export const HINT_PENALTY = 0.5;
+export const STREAK_STEP = 0.1;
+export const MAX_STREAK_MULTIPLIER = 1.5;
+
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+
+// what a correct answer is worth before bonuses (unknown difficulties count as Easy)
+export const basePoints = (difficulty) =>
+  Math.round(BASE_POINTS * (DIFFICULTY_MULTIPLIER[difficulty] || 1));
+
+export const streakMultiplier = (streak) =>
+  Math.min(MAX_STREAK_MULTIPLIER, 1 + STREAK_STEP * Math.max(0, streak - 1));
+
+/**
+ * @param {{ verdict: string, difficulty: ?string, hintUsed?: boolean,
+ *   timeMs?: ?number, limitMs?: ?number, streak?: number }} answer
+ *   streak counts this answer; limitMs null = untimed
+ * @returns {{ base: number, speed: number, hint: number, streak: number, total: number }}
+ *   each part in points (hint ≤ 0); total = their sum
+ */
+export function scoreAnswer({ verdict, difficulty, hintUsed = false, timeMs = null, limitMs = null, streak = 1 }) {
+  if (verdict !== VERDICT.CORRECT) return { base: 0, speed: 0, hint: 0, streak: 0, total: 0 };
+
+  const base = basePoints(difficulty);
+  const speed = limitMs > 0 && timeMs != null
+    ? Math.round(MAX_SPEED_BONUS * clamp01(1 - timeMs / limitMs))
+    : 0;
+  const hint = hintUsed ? -Math.round(base * HINT_PENALTY) : 0;
+  const subtotal = base + speed + hint;
+  const total = Math.round(subtotal * streakMultiplier(streak));
+  return { base, speed, hint, streak: total - subtotal, total };
+}
+
+// best scores saved before points existed were counts of correct answers
+export const pointsFromCorrectCount = (count, difficulty) => count * basePoints(difficulty);
@@ -0,0 +1,87 @@
+/* ------------------------------------------------------------------------
+   Badges screen
+
+   Every badge in src/achievements.js: unlocked ones with the date they
+   were earned, locked ones greyed out with what it takes to earn them.
+------------------------------------------------------------------------ */
+
+import React from 'react';
+import { View, Text, Button, StyleSheet, ScrollView } from 'react-native';
+import { BADGES, isUnlocked } from '../achievements';
+import { formatDate, t } from '../i18n';
+import { useThemedStyles } from '../theme';
+
+export default function BadgesScreen({ achievements, onBack }) {
+  const styles = useThemedStyles(makeStyles);
+  const count = BADGES.filter(b => isUnlocked(achievements, b.id)).length;
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.title} accessibilityRole="header">{t('badges.title')}</Text>
+      <Text style={styles.subtitle}>{t('badges.progress', { count, total: BADGES.length })}</Text>
+
+      {BADGES.map(b => {
+        const unlocked = isUnlocked(achievements, b.id);
+        const title = t(`badges.${b.id}.title`);
+        const state = unlocked
+          ? t('badges.unlockedOn', { date: formatDate(achievements.unlocked[b.id]) })
+          : t('badges.locked');
+        return (
+          <View
+            key={b.id}
+            style={[styles.item, !unlocked && styles.itemLocked]}
+            accessible
+            accessibilityLabel={`${title}, ${state}. ${t(`badges.${b.id}.description`)}`}
+          >
+            {/* locked badges keep their shape but lose the colour (and say so in words) */}
+            <Text style={[styles.icon, !unlocked && styles.iconLocked]}>{unlocked ? b.icon : '🔒'}</Text>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.itemTitle}>{title}</Text>
+              <Text style={styles.itemBody}>{t(`badges.${b.id}.description`)}</Text>
+              <Text style={unlocked ? styles.unlocked : styles.itemBody}>{state}</Text>
+            </View>
+          </View>
+        );
+      })}
+
+      <View style={{ height: 12 }} />
+      <Button title={t('common.back')} onPress={onBack} />
+    </ScrollView>
+  );
+}
+
+/* --------------------------------- Styles -------------------------------- */
+
+const makeStyles = (c, theme) => StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: c.background,
+    padding: 22,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 28,
+    textAlign: 'center',
+    marginVertical: 24,
+    fontWeight: 'bold',
+    color: c.primary,
+  },
+  subtitle: { fontSize: 16, textAlign: 'center', marginBottom: 12, color: c.text },
+
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+    padding: 12,
+    backgroundColor: c.surfaceAlt,
+    borderWidth: theme.borderWidth,
+    borderColor: c.primary,
+    borderRadius: 8,
+  },
+  itemLocked: { borderColor: c.border, opacity: 0.7 },
+  icon: { fontSize: 32, marginRight: 12 },
+  iconLocked: { opacity: 0.6 },
+  itemTitle: { fontWeight: '700', fontSize: 16, color: c.text },
+  itemBody: { color: c.textMuted },
+  unlocked: { color: c.correct, fontWeight: '600' },
+});
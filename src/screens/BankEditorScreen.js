@@ -0,0 +1,517 @@
+/* ------------------------------------------------------------------------
+   Question bank editor
+
+   Three views in one screen:
+   categories → one category's questions → add/edit a single question
+   (free text, multiple choice with its options, or true/false).
+   Every change goes straight through onChange(nextCustomBank); App
+   persists it and re-merges the bank shown on the category screen.
+------------------------------------------------------------------------ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  Button,
+  StyleSheet,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import {
+  DIFFICULTIES,
+  addCategory,
+  deleteCategory,
+  deleteQuestion,
+  hiddenBuiltIns,
+  isBuiltInCategory,
+  isBuiltInQuestion,
+  isModifiedBuiltIn,
+  newQuestionId,
+  renameCategory,
+  restoreAllBuiltIns,
+  restoreQuestion,
+  upsertQuestion,
+  validateCategoryName,
+  validateQuestion,
+} from '../questionBank';
+import { categoryLabel, difficultyLabel, optionLabel, t } from '../i18n';
+import { useBackHandler } from '../navigation';
+import {
+  QUESTION_TYPES,
+  TRUE_FALSE_OPTIONS,
+  questionHints,
+  questionType,
+} from '../questionTypes';
+import { useTheme, useThemedStyles } from '../theme';
+
+const blankQuestion = () => ({
+  id: newQuestionId(),
+  question: '',
+  answer: '',
+  type: QUESTION_TYPES.TEXT,
+  optionsText: '',
+  hintsText: '',
+  explanation: '',
+  difficulty: 'Easy',
+});
+
+// what the form edits as text, per question: options and hints are one per line
+const editableText = (q) => ({
+  question: q.question || '',
+  answer: q.answer || '',
+  type: questionType(q),
+  options: questionType(q) === QUESTION_TYPES.CHOICE ? (q.options || []).join('\n') : '',
+  hints: questionHints(q).join('\n'),
+  explanation: q.explanation || '',
+});
+
+// a saved question keeps its hints as a list, so a translation's single hint moves into one too
+const withHintLists = (translations) =>
+  Object.fromEntries(Object.entries(translations).map(([language, { hint, ...tr }]) => [
+    language,
+    hint && !tr.hints ? { ...tr, hints: [hint] } : tr,
+  ]));
+
+const lines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+export default function BankEditorScreen({ bank, custom, onChange, onOpenPacks, onBack }) {
+  const [view, setView] = useState('categories'); // categories | category | question
+  const [category, setCategory] = useState(null);
+  const [categoryName, setCategoryName] = useState(''); // new / renamed category
+  const [draft, setDraft] = useState(null);           // question being edited
+  const [errors, setErrors] = useState({});
+  const { colors } = useTheme();
+  const styles = useThemedStyles(makeStyles);
+
+  const categories = Object.keys(bank);
+
+  /* ------------------------------ categories ------------------------------ */
+
+  const createCategory = () => {
+    const error = validateCategoryName(categoryName, categories);
+    if (error) return Alert.alert(t('editor.addFailed'), error);
+    onChange(addCategory(custom, categoryName));
+    setCategoryName('');
+  };
+
+  const openCategory = (cat) => {
+    setCategory(cat);
+    setCategoryName(cat);
+    setView('category');
+  };
+
+  const closeCategory = () => {
+    setCategoryName('');
+    setView('categories');
+  };
+
+  // Android back steps out of a question / category before leaving the editor
+  useBackHandler(() => {
+    if (view === 'question') setView('category');
+    else closeCategory();
+    return true;
+  }, view !== 'categories');
+
+  const saveCategoryName = () => {
+    const error = validateCategoryName(categoryName, categories, category);
+    if (error) return Alert.alert(t('editor.renameFailed'), error);
+    onChange(renameCategory(custom, category, categoryName));
+    setCategory(categoryName.trim());
+  };
+
+  const confirmDeleteCategory = () => {
+    Alert.alert(
+      t('editor.deleteCategoryTitle'),
+      t('editor.deleteCategoryBody', { category: categoryLabel(category) }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: () => {
+            onChange(deleteCategory(custom, category));
+            closeCategory();
+          },
+        },
+      ],
+    );
+  };
+
+  const confirmRestoreAll = () => {
+    Alert.alert(
+      t('editor.restoreAllTitle'),
+      t('editor.restoreAllBody'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('common.restore'), onPress: () => onChange(restoreAllBuiltIns(custom)) },
+      ],
+    );
+  };
+
+  /* ------------------------------- questions ------------------------------- */
+
+  const editQuestion = (q) => {
+    const text = editableText(q);
+    setDraft({ ...q, type: text.type, optionsText: text.options, hintsText: text.hints, explanation: text.explanation });
+    setErrors({});
+    setView('question');
+  };
+
+  const saveDraft = () => {
+    const { hintsText, optionsText, hint, ...rest } = draft; // the hint list replaces the older single hint
+    const q = {
+      ...rest,
+      question: draft.question.trim(),
+      answer: draft.answer.trim(),
+      options: lines(optionsText),
+      hints: lines(hintsText),
+      explanation: draft.explanation.trim(),
+    };
+    // only choice questions keep their own options; free text is the default type
+    if (q.type !== QUESTION_TYPES.CHOICE) delete q.options;
+    if (q.type === QUESTION_TYPES.TEXT) delete q.type;
+    if (q.hints.length === 0) delete q.hints;
+    if (!q.explanation) delete q.explanation;
+    // translations describe the original wording; an edited text makes them stale
+    const before = (bank[category] || []).find(x => x.id === q.id);
+    if (before) {
+      const was = editableText(before);
+      const now = editableText(q);
+      if (Object.keys(was).some(key => was[key] !== now[key])) delete q.translations;
+    }
+    if (q.translations) q.translations = withHintLists(q.translations);
+
+    const found = validateQuestion(q);
+    setErrors(found);
+    if (Object.keys(found).length > 0) return;
+
+    onChange(upsertQuestion(custom, category, q));
+    setView('category');
+  };
+
+  const confirmDeleteQuestion = (q) => {
+    Alert.alert(t('editor.deleteQuestionTitle'), q.question, [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('common.delete'),
+        style: 'destructive',
+        onPress: () => onChange(deleteQuestion(custom, category, q.id)),
+      },
+    ]);
+  };
+
+  // true/false answers are picked, so an answer that isn't one of them is cleared
+  const changeType = (type) =>
+    setDraft(d => ({
+      ...d,
+      type,
+      answer: type === QUESTION_TYPES.TRUE_FALSE && !TRUE_FALSE_OPTIONS.includes(d.answer) ? '' : d.answer,
+    }));
+
+  /* -------------------------------- views -------------------------------- */
+
+  // single question form
+  if (view === 'question' && draft) {
+    const field = (key, label, props = {}) => (
+      <>
+        <Text style={styles.label}>{label}</Text>
+        <TextInput
+          style={[styles.input, errors[key] && styles.inputError]}
+          value={draft[key]}
+          onChangeText={text => setDraft(d => ({ ...d, [key]: text }))}
+          placeholderTextColor={colors.textMuted}
+          accessibilityLabel={label}
+          {...props}
+        />
+        {errors[key] ? <Text style={styles.error}>{errors[key]}</Text> : null}
+      </>
+    );
+
+    // one chip per value; `current` is the picked one
+    const chips = (values, current, labelFor, onPick) => (
+      <View style={styles.chipRow} accessibilityRole="radiogroup">
+        {values.map(value => (
+          <TouchableOpacity
+            key={value}
+            style={[styles.chip, current === value && styles.chipActive]}
+            accessibilityRole="radio"
+            accessibilityState={{ checked: current === value }}
+            onPress={() => onPick(value)}
+          >
+            <Text style={[styles.chipText, current === value && styles.chipTextActive]}>
+              {labelFor(value)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+
+    return (
+      <ScrollView contentContainerStyle={styles.container}>
+        <Text style={styles.title} accessibilityRole="header">{categoryLabel(category)}</Text>
+
+        <Text style={styles.label}>{t('editor.type')}</Text>
+        {chips(Object.values(QUESTION_TYPES), draft.type, type => t(`editor.types.${type}`), changeType)}
+
+        {field('question', t('editor.question'), { multiline: true })}
+        {draft.type === QUESTION_TYPES.CHOICE && (
+          <>
+            {field('optionsText', t('editor.options'), { multiline: true })}
+            {errors.options ? <Text style={styles.error}>{errors.options}</Text> : null}
+            <Text style={styles.fieldHelp}>{t('editor.optionsHelp')}</Text>
+          </>
+        )}
+        {draft.type === QUESTION_TYPES.TRUE_FALSE ? (
+          <>
+            <Text style={styles.label}>{t('editor.answer')}</Text>
+            {chips(
+              TRUE_FALSE_OPTIONS,
+              draft.answer,
+              option => optionLabel(draft, option),
+              option => setDraft(d => ({ ...d, answer: option })),
+            )}
+            {errors.answer ? <Text style={styles.error}>{errors.answer}</Text> : null}
+          </>
+        ) : (
+          field('answer', t('editor.answer'))
+        )}
+        {field('hintsText', t('editor.hints'), { multiline: true })}
+        {draft.type === QUESTION_TYPES.TEXT && <Text style={styles.fieldHelp}>{t('editor.hintsHelp')}</Text>}
+        {field('explanation', t('editor.explanation'), { multiline: true })}
+
+        <Text style={styles.label}>{t('editor.difficulty')}</Text>
+        {chips(DIFFICULTIES, draft.difficulty, difficultyLabel, diff => setDraft(d => ({ ...d, difficulty: diff })))}
+        {errors.difficulty ? <Text style={styles.error}>{errors.difficulty}</Text> : null}
+
+        <View style={{ height: 16 }} />
+        <Button title={t('editor.save')} onPress={saveDraft} />
+        <View style={{ height: 8 }} />
+        <Button title={t('common.cancel')} color={colors.neutral} onPress={() => setView('category')} />
+      </ScrollView>
+    );
+  }
+
+  // one category's questions
+  if (view === 'category' && category) {
+    const builtIn = isBuiltInCategory(category);
+    const hidden = hiddenBuiltIns(custom, category);
+
+    return (
+      <ScrollView contentContainerStyle={styles.container}>
+        <Text style={styles.title} accessibilityRole="header">{categoryLabel(category)}</Text>
+
+        {!builtIn && (
+          <View style={styles.row}>
+            <TextInput
+              style={[styles.input, { flex: 1, marginBottom: 0 }]}
+              value={categoryName}
+              onChangeText={setCategoryName}
+              placeholder={t('editor.categoryName')}
+              placeholderTextColor={colors.textMuted}
+              accessibilityLabel={t('editor.categoryName')}
+            />
+            <TouchableOpacity style={styles.smallBtn} accessibilityRole="button" onPress={saveCategoryName}>
+              <Text style={styles.smallBtnText}>{t('editor.rename')}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {(bank[category] || []).map(q => (
+          <View key={q.id} style={styles.item}>
+            <Text style={styles.itemTitle}>{q.question}</Text>
+            <Text style={styles.itemMeta}>
+              {difficultyLabel(q.difficulty)} · {optionLabel(q, q.answer)}
+              {isBuiltInQuestion(q.id) && isModifiedBuiltIn(custom, q.id) ? t('editor.edited') : ''}
+            </Text>
+            <View style={styles.row}>
+              <TouchableOpacity
+                accessibilityRole="button"
+                accessibilityLabel={t('a11y.editQuestion', { question: q.question })}
+                onPress={() => editQuestion(q)}
+              >
+                <Text style={styles.link}>{t('editor.edit')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                accessibilityRole="button"
+                accessibilityLabel={t('a11y.deleteQuestion', { question: q.question })}
+                onPress={() => confirmDeleteQuestion(q)}
+              >
+                <Text style={[styles.link, styles.danger]}>{t('common.delete')}</Text>
+              </TouchableOpacity>
+              {isBuiltInQuestion(q.id) && isModifiedBuiltIn(custom, q.id) && (
+                <TouchableOpacity
+                  accessibilityRole="button"
+                  accessibilityLabel={t('a11y.restoreQuestion', { question: q.question })}
+                  onPress={() => onChange(restoreQuestion(custom, q.id))}
+                >
+                  <Text style={styles.link}>{t('editor.restoreDefault')}</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+        ))}
+
+        {hidden.length > 0 && (
+          <>
+            <Text style={styles.sectionHeader}>{t('editor.deletedBuiltIns')}</Text>
+            {hidden.map(q => (
+              <View key={q.id} style={[styles.item, { opacity: 0.6 }]}>
+                <Text style={styles.itemTitle}>{q.question}</Text>
+                <TouchableOpacity
+                  accessibilityRole="button"
+                  accessibilityLabel={t('a11y.restoreQuestion', { question: q.question })}
+                  onPress={() => onChange(restoreQuestion(custom, q.id))}
+                >
+                  <Text style={styles.link}>{t('common.restore')}</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </>
+        )}
+
+        <View style={{ height: 12 }} />
+        <Button title={t('editor.addQuestion')} onPress={() => editQuestion(blankQuestion())} />
+        {!builtIn && (
+          <>
+            <View style={{ height: 8 }} />
+            <Button title={t('editor.deleteCategory')} color={colors.danger} onPress={confirmDeleteCategory} />
+          </>
+        )}
+        <View style={{ height: 8 }} />
+        <Button title={t('common.back')} color={colors.neutral} onPress={closeCategory} />
+      </ScrollView>
+    );
+  }
+
+  // category list
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.title} accessibilityRole="header">{t('editor.title')}</Text>
+
+      {categories.map(cat => (
+        <TouchableOpacity
+          key={cat}
+          style={styles.categoryButton}
+          accessibilityRole="button"
+          accessibilityLabel={`${categoryLabel(cat)}, ${t('editor.questionCount', { count: bank[cat].length })}`}
+          onPress={() => openCategory(cat)}
+        >
+          <Text style={styles.categoryText}>{categoryLabel(cat)}</Text>
+          <Text style={styles.categoryCount}>
+            {t('editor.questionCount', { count: bank[cat].length })}
+          </Text>
+        </TouchableOpacity>
+      ))}
+
+      <View style={styles.row}>
+        <TextInput
+          style={[styles.input, { flex: 1, marginBottom: 0 }]}
+          value={categoryName}
+          onChangeText={setCategoryName}
+          placeholder={t('editor.newCategory')}
+          placeholderTextColor={colors.textMuted}
+          accessibilityLabel={t('editor.newCategory')}
+        />
+        <TouchableOpacity style={styles.smallBtn} accessibilityRole="button" onPress={createCategory}>
+          <Text style={styles.smallBtnText}>{t('common.add')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <TouchableOpacity style={styles.restoreBtn} accessibilityRole="button" onPress={onOpenPacks}>
+        <Text style={styles.restoreText}>{t('editor.packs')}</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.restoreBtn} accessibilityRole="button" onPress={confirmRestoreAll}>
+        <Text style={styles.restoreText}>{t('editor.restoreAll')}</Text>
+      </TouchableOpacity>
+
+      <View style={{ height: 12 }} />
+      <Button title={t('common.back')} onPress={onBack} />
+    </ScrollView>
+  );
+}
+
+/* --------------------------------- Styles -------------------------------- */
+
+const makeStyles = (c, theme) => StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: c.background,
+    padding: 22,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 28,
+    textAlign: 'center',
+    marginVertical: 24,
+    fontWeight: 'bold',
+    color: c.primary,
+  },
+  sectionHeader: { marginTop: 12, marginBottom: 8, fontSize: 18, fontWeight: '700', color: c.text },
+  categoryButton: {
+    backgroundColor: c.primary,
+    borderRadius: 10,
+    paddingVertical: 14,
+    marginBottom: 12,
+    alignItems: 'center',
+  },
+  categoryText: { color: c.onPrimary, fontSize: 20, fontWeight: 'bold' },
+  categoryCount: { color: c.onPrimaryMuted, fontSize: 14 },
+
+  row: { flexDirection: 'row', alignItems: 'center', gap: 12, marginBottom: 12 },
+  label: { fontSize: 16, fontWeight: '600', marginBottom: 4, color: c.text },
+  input: {
+    borderWidth: theme.borderWidth,
+    borderColor: c.border,
+    borderRadius: 8,
+    fontSize: 18,
+    padding: 10,
+    marginBottom: 10,
+    backgroundColor: c.surface,
+    color: c.text,
+  },
+  inputError: { borderColor: c.danger },
+  error: { color: c.danger, marginTop: -6, marginBottom: 10 },
+  fieldHelp: { color: c.textMuted, marginTop: -6, marginBottom: 10 },
+
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 12, marginBottom: 12 },
+  chip: {
+    borderWidth: theme.borderWidth,
+    borderColor: c.primary,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+  },
+  chipActive: { backgroundColor: c.primary },
+  chipText: { color: c.primary, fontSize: 16 },
+  chipTextActive: { color: c.onPrimary },
+
+  item: {
+    marginBottom: 12,
+    padding: 12,
+    backgroundColor: c.surfaceAlt,
+    borderRadius: 8,
+  },
+  itemTitle: { fontWeight: '700', fontSize: 16, marginBottom: 2, color: c.text },
+  itemMeta: { color: c.textMuted, marginBottom: 6 },
+  link: { color: c.link, fontSize: 16 },
+  danger: { color: c.danger },
+
+  smallBtn: {
+    backgroundColor: c.primary,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+  },
+  smallBtnText: { color: c.onPrimary, fontWeight: '700' },
+  restoreBtn: {
+    marginTop: 8,
+    alignSelf: 'center',
+    backgroundColor: c.primarySoft,
+    paddingVertical: 10,
+    paddingHorizontal: 18,
+    borderRadius: 10,
+  },
+  restoreText: { fontSize: 16, color: c.primary, fontWeight: '600' },
+});
@@ -0,0 +1,208 @@
+/* ------------------------------------------------------------------------
+   Custom round builder
+
+   Pick categories and difficulties (several of each), the round length,
+   hints, the time limit and "only questions I've missed before"; the
+   number of matching questions updates as you go. The setup can be
+   started straight away or saved as a named preset (src/customRound.js).
+------------------------------------------------------------------------ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  Button,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Switch,
+} from 'react-native';
+import {
+  MAX_PRESET_NAME_LENGTH,
+  ROUND_LENGTHS,
+  TIME_LIMIT_OPTIONS,
+  cleanPresetName,
+  isSetupComplete,
+  matchingQuestions,
+} from '../customRound';
+import { categoryLabel, difficultyLabel, t } from '../i18n';
+import { DIFFICULTIES } from '../questionBank';
+import { useTheme, useThemedStyles } from '../theme';
+
+// multi: values are toggled in and out of a list; otherwise one value is picked
+function Chips({ values, labelFor, selected, onSelect, multi = false }) {
+  const styles = useThemedStyles(makeStyles);
+  const isOn = (value) => (multi ? selected.includes(value) : selected === value);
+  const press = (value) => {
+    if (!multi) onSelect(value);
+    else onSelect(isOn(value) ? selected.filter(v => v !== value) : [...selected, value]);
+  };
+  return (
+    <View style={styles.chipRow} accessibilityRole={multi ? undefined : 'radiogroup'}>
+      {values.map(value => (
+        <TouchableOpacity
+          key={String(value)}
+          style={[styles.chip, isOn(value) && styles.chipActive]}
+          accessibilityRole={multi ? 'checkbox' : 'radio'}
+          accessibilityState={{ checked: isOn(value) }}
+          onPress={() => press(value)}
+        >
+          <Text style={[styles.chipText, isOn(value) && styles.chipTextActive]}>{labelFor(value)}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const lengthLabel = (count) => (count == null ? t('custom.allQuestions') : String(count));
+
+const timeLabel = (limit) =>
+  (limit == null ? t('custom.usualTime') : limit === 0 ? t('custom.noTimer') : t('custom.seconds', { s: limit }));
+
+export default function CustomRoundScreen({
+  bank,
+  history,
+  initialSetup,
+  initialName,
+  onStart,
+  onSavePreset,
+  onBack,
+}) {
+  const [setup, setSetup] = useState(initialSetup);
+  const [name, setName] = useState(initialName || '');
+  const { colors } = useTheme();
+  const styles = useThemedStyles(makeStyles);
+  const change = (key) => (value) => setSetup(s => ({ ...s, [key]: value }));
+
+  const matches = matchingQuestions(bank, setup, history).length;
+  const roundSize = setup.count == null ? matches : Math.min(setup.count, matches);
+  const ready = isSetupComplete(setup) && matches > 0;
+
+  return (
+    <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+      <Text style={styles.title} accessibilityRole="header">{t('custom.title')}</Text>
+
+      <Text style={styles.sectionLabel}>{t('custom.categories')}</Text>
+      <Chips
+        multi
+        values={Object.keys(bank)}
+        labelFor={categoryLabel}
+        selected={setup.categories}
+        onSelect={change('categories')}
+      />
+      <Text style={styles.sectionLabel}>{t('custom.difficulties')}</Text>
+      <Chips
+        multi
+        values={DIFFICULTIES}
+        labelFor={difficultyLabel}
+        selected={setup.difficulties}
+        onSelect={change('difficulties')}
+      />
+      <Text style={styles.sectionLabel}>{t('custom.length')}</Text>
+      <Chips values={ROUND_LENGTHS} labelFor={lengthLabel} selected={setup.count} onSelect={change('count')} />
+      <Text style={styles.sectionLabel}>{t('custom.timeLimit')}</Text>
+      <Chips
+        values={TIME_LIMIT_OPTIONS}
+        labelFor={timeLabel}
+        selected={setup.timeLimit}
+        onSelect={change('timeLimit')}
+      />
+
+      <View style={styles.switchRow}>
+        <Text style={styles.switchLabel}>{t('custom.hints')}</Text>
+        <Switch value={setup.hints} onValueChange={change('hints')} accessibilityLabel={t('custom.hints')} />
+      </View>
+      <View style={styles.switchRow}>
+        <Text style={styles.switchLabel}>{t('custom.missedOnly')}</Text>
+        <Switch
+          value={setup.missedOnly}
+          onValueChange={change('missedOnly')}
+          accessibilityLabel={t('custom.missedOnly')}
+        />
+      </View>
+
+      <Text style={styles.matches} accessibilityLiveRegion="polite">
+        {isSetupComplete(setup)
+          ? t('custom.matches', { count: matches, size: roundSize })
+          : t('custom.pickSome')}
+      </Text>
+      <Button title={t('custom.start')} disabled={!ready} onPress={() => onStart(setup)} />
+
+      <Text style={styles.sectionLabel}>{t('custom.presetName')}</Text>
+      <View style={styles.saveRow}>
+        <TextInput
+          style={styles.input}
+          value={name}
+          onChangeText={setName}
+          maxLength={MAX_PRESET_NAME_LENGTH}
+          placeholder={t('custom.presetPlaceholder')}
+          placeholderTextColor={colors.textMuted}
+          accessibilityLabel={t('custom.presetName')}
+        />
+        <Button
+          title={t('custom.savePreset')}
+          disabled={!cleanPresetName(name) || !isSetupComplete(setup)}
+          onPress={() => onSavePreset(name, setup)}
+        />
+      </View>
+
+      <View style={{ height: 12 }} />
+      <Button title={t('common.back')} color={colors.neutral} onPress={onBack} />
+    </ScrollView>
+  );
+}
+
+/* --------------------------------- Styles -------------------------------- */
+
+const makeStyles = (c, theme) => StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: c.background,
+    padding: 22,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 28,
+    textAlign: 'center',
+    marginVertical: 24,
+    fontWeight: 'bold',
+    color: c.primary,
+  },
+  sectionLabel: { fontWeight: '600', fontSize: 16, marginTop: 16, marginBottom: 6, color: c.text },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  switchLabel: { fontSize: 16, color: c.text, flex: 1, marginRight: 12 },
+  matches: { color: c.textMuted, textAlign: 'center', marginVertical: 16 },
+
+  saveRow: { flexDirection: 'row', alignItems: 'center' },
+  input: {
+    flex: 1,
+    borderWidth: theme.borderWidth,
+    borderColor: c.border,
+    borderRadius: 8,
+    fontSize: 18,
+    padding: 10,
+    marginRight: 8,
+    backgroundColor: c.surface,
+    color: c.text,
+  },
+
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap' },
+  chip: {
+    borderWidth: theme.borderWidth,
+    borderColor: c.primary,
+    borderRadius: 16,
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipActive: { backgroundColor: c.primary },
+  chipText: { color: c.primary },
+  chipTextActive: { color: c.onPrimary },
+});
@@ -0,0 +1,203 @@
+/* ------------------------------------------------------------------------
+   History screen
+
+   Past quizzes, newest first, filterable by category and difficulty.
+   Tapping one reopens its full Answers Review.
+------------------------------------------------------------------------ */
+
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  Button,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import AnswersReview from '../components/AnswersReview';
+import { categoryLabel, difficultyLabel, formatDate, formatPercent, t } from '../i18n';
+import { useBackHandler } from '../navigation';
+import { filterQuizLog, formatDuration } from '../quizLog';
+import { useThemedStyles } from '../theme';
+
+// row of toggle chips; tapping the active one clears the filter
+function FilterChips({ label, values, labelFor, selected, onSelect }) {
+  const styles = useThemedStyles(makeStyles);
+  if (values.length < 2) return null;
+  return (
+    <View style={styles.filterRow}>
+      <Text style={styles.filterLabel}>{label}</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {values.map(value => (
+          <TouchableOpacity
+            key={value}
+            style={[styles.chip, selected === value && styles.chipActive]}
+            accessibilityRole="button"
+            accessibilityLabel={`${label}: ${labelFor(value)}`}
+            accessibilityState={{ selected: selected === value }}
+            onPress={() => onSelect(selected === value ? null : value)}
+          >
+            <Text style={[styles.chipText, selected === value && styles.chipTextActive]}>
+              {labelFor(value)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+}
+
+export default function HistoryScreen({ log, onBack }) {
+  const [category, setCategory] = useState(null);
+  const [difficulty, setDifficulty] = useState(null);
+  const [openId, setOpenId] = useState(null);
+  const styles = useThemedStyles(makeStyles);
+
+  // Android back returns to the list from an opened quiz
+  useBackHandler(() => {
+    setOpenId(null);
+    return true;
+  }, openId !== null);
+
+  // filter values come from what's actually in the log
+  const categories = useMemo(() => [...new Set(log.map(r => r.category))], [log]);
+  const difficulties = useMemo(() => [...new Set(log.map(r => r.difficulty))], [log]);
+  const visible = filterQuizLog(log, { category, difficulty });
+  const open = openId ? log.find(r => r.id === openId) : null;
+
+  // one past quiz
+  if (open) {
+    const accuracy = open.total > 0 ? Math.round((open.score / open.total) * 100) : 0;
+    return (
+      <ScrollView contentContainerStyle={styles.container}>
+        <Text style={styles.title} accessibilityRole="header">{categoryLabel(open.category)}</Text>
+        <Text style={styles.subtitle}>
+          {difficultyLabel(open.difficulty)} · {formatDate(open.finishedAt, { time: true })}
+        </Text>
+        <Text style={styles.bigLine}>{t('history.score', { score: open.score, total: open.total })}</Text>
+        {open.points != null && (
+          <Text style={styles.statLine}>{t('history.points', { points: open.points })}</Text>
+        )}
+        <Text style={styles.statLine}>{t('history.accuracy', { percent: formatPercent(accuracy) })}</Text>
+        <Text style={styles.statLine}>
+          {t('history.timeTaken', { duration: formatDuration(open.durationMs) })}
+        </Text>
+
+        <AnswersReview
+          questions={open.questions}
+          userAnswers={open.userAnswers}
+          times={open.answerTimes}
+          points={open.answerPoints}
+          hints={open.answerHints}
+        />
+
+        <View style={{ height: 8 }} />
+        <Button title={t('history.back')} onPress={() => setOpenId(null)} />
+      </ScrollView>
+    );
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.title} accessibilityRole="header">{t('history.title')}</Text>
+
+      <FilterChips
+        label={t('history.category')}
+        values={categories}
+        labelFor={categoryLabel}
+        selected={category}
+        onSelect={setCategory}
+      />
+      <FilterChips
+        label={t('history.difficulty')}
+        values={difficulties}
+        labelFor={difficultyLabel}
+        selected={difficulty}
+        onSelect={setDifficulty}
+      />
+
+      {visible.length === 0 ? (
+        <Text style={styles.empty}>
+          {log.length === 0 ? t('history.empty') : t('history.noMatches')}
+        </Text>
+      ) : (
+        visible.map(r => (
+          <TouchableOpacity
+            key={r.id}
+            style={styles.item}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.historyItem', {
+              category: categoryLabel(r.category),
+              difficulty: difficultyLabel(r.difficulty),
+              date: formatDate(r.finishedAt, { time: true }),
+              score: r.score,
+              total: r.total,
+            })}
+            onPress={() => setOpenId(r.id)}
+          >
+            <View style={{ flex: 1 }}>
+              <Text style={styles.itemTitle}>{categoryLabel(r.category)}</Text>
+              <Text style={styles.itemMeta}>
+                {difficultyLabel(r.difficulty)} · {formatDate(r.finishedAt, { time: true })} · {formatDuration(r.durationMs)}
+              </Text>
+            </View>
+            <Text style={styles.itemScore}>
+              {r.score}/{r.total}
+            </Text>
+          </TouchableOpacity>
+        ))
+      )}
+
+      <View style={{ height: 12 }} />
+      <Button title={t('common.back')} onPress={onBack} />
+    </ScrollView>
+  );
+}
+
+/* --------------------------------- Styles -------------------------------- */
+
+const makeStyles = (c, theme) => StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: c.background,
+    padding: 22,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 28,
+    textAlign: 'center',
+    marginVertical: 24,
+    fontWeight: 'bold',
+    color: c.primary,
+  },
+  subtitle: { fontSize: 16, textAlign: 'center', marginBottom: 12, color: c.text },
+  bigLine: { fontSize: 24, textAlign: 'center', marginBottom: 6, fontWeight: '700', color: c.text },
+  statLine: { fontSize: 16, textAlign: 'center', marginBottom: 2, color: c.text },
+  empty: { fontSize: 16, textAlign: 'center', color: c.textMuted, marginVertical: 24 },
+
+  filterRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 10 },
+  filterLabel: { fontWeight: '600', marginRight: 8, minWidth: 72, color: c.text },
+  chip: {
+    borderWidth: theme.borderWidth,
+    borderColor: c.primary,
+    borderRadius: 16,
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    marginRight: 8,
+  },
+  chipActive: { backgroundColor: c.primary },
+  chipText: { color: c.primary },
+  chipTextActive: { color: c.onPrimary },
+
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+    padding: 12,
+    backgroundColor: c.surfaceAlt,
+    borderRadius: 8,
+  },
+  itemTitle: { fontWeight: '700', fontSize: 16, color: c.text },
+  itemMeta: { color: c.textMuted },
+  itemScore: { fontSize: 20, fontWeight: '700', color: c.primary, marginLeft: 12 },
+});
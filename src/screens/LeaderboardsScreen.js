@@ -0,0 +1,172 @@
+/* ------------------------------------------------------------------------
+   Leaderboards screen
+
+   The top-10 board for one category + difficulty at a time; chips pick
+   which. Opened from the category screen, or from the results screen
+   right after an entry (which is then highlighted).
+------------------------------------------------------------------------ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  Button,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { categoryLabel, difficultyLabel, formatDate, formatPercent, t } from '../i18n';
+import { entryAccuracy, getBoard } from '../leaderboard';
+import { DIFFICULTIES } from '../questionBank';
+import { formatDuration } from '../quizLog';
+import { useThemedStyles } from '../theme';
+
+function Chips({ values, labelFor, selected, onSelect }) {
+  const styles = useThemedStyles(makeStyles);
+  return (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+      {values.map(value => (
+        <TouchableOpacity
+          key={value}
+          style={[styles.chip, selected === value && styles.chipActive]}
+          accessibilityRole="radio"
+          accessibilityState={{ checked: selected === value }}
+          onPress={() => onSelect(value)}
+        >
+          <Text style={[styles.chipText, selected === value && styles.chipTextActive]}>
+            {labelFor(value)}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+}
+
+export default function LeaderboardsScreen({
+  boards,
+  categories,
+  initialCategory,
+  initialDifficulty,
+  highlightId,
+  onClear,
+  onBack,
+}) {
+  const [category, setCategory] = useState(initialCategory || categories[0] || null);
+  const [difficulty, setDifficulty] = useState(initialDifficulty || DIFFICULTIES[0]);
+  const styles = useThemedStyles(makeStyles);
+  const board = category ? getBoard(boards, category, difficulty) : [];
+
+  const confirmClear = () => {
+    Alert.alert(
+      t('leaderboard.clearTitle'),
+      t('leaderboard.clearBody', {
+        category: categoryLabel(category),
+        difficulty: difficultyLabel(difficulty),
+      }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('leaderboard.clear'), style: 'destructive', onPress: () => onClear(category, difficulty) },
+      ],
+    );
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.title} accessibilityRole="header">{t('leaderboard.title')}</Text>
+
+      <Chips values={categories} labelFor={categoryLabel} selected={category} onSelect={setCategory} />
+      <Chips values={DIFFICULTIES} labelFor={difficultyLabel} selected={difficulty} onSelect={setDifficulty} />
+
+      {board.length === 0 ? (
+        <Text style={styles.empty}>{t('leaderboard.empty')}</Text>
+      ) : (
+        board.map((entry, i) => (
+          <View
+            key={entry.id}
+            style={[styles.item, entry.id === highlightId && styles.itemHighlight]}
+            accessible
+            accessibilityLabel={t('a11y.leaderboardEntry', {
+              rank: i + 1,
+              name: entry.name,
+              points: entry.points,
+            })}
+          >
+            <Text style={styles.rank}>{i + 1}</Text>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.itemTitle}>{entry.name}</Text>
+              <Text style={styles.itemMeta}>
+                {formatPercent(entryAccuracy(entry))} · {formatDuration(entry.durationMs)} · {formatDate(entry.date)}
+              </Text>
+            </View>
+            <Text style={styles.itemScore}>{t('leaderboard.points', { points: entry.points })}</Text>
+          </View>
+        ))
+      )}
+
+      {board.length > 0 && (
+        <TouchableOpacity style={styles.clearBtn} accessibilityRole="button" onPress={confirmClear}>
+          <Text style={styles.clearText}>{t('leaderboard.clear')}</Text>
+        </TouchableOpacity>
+      )}
+
+      <View style={{ height: 12 }} />
+      <Button title={t('common.back')} onPress={onBack} />
+    </ScrollView>
+  );
+}
+
+/* --------------------------------- Styles -------------------------------- */
+
+const makeStyles = (c, theme) => StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: c.background,
+    padding: 22,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 28,
+    textAlign: 'center',
+    marginVertical: 24,
+    fontWeight: 'bold',
+    color: c.primary,
+  },
+  empty: { fontSize: 16, textAlign: 'center', color: c.textMuted, marginVertical: 24 },
+
+  chipRow: { flexGrow: 0, marginBottom: 10 },
+  chip: {
+    borderWidth: theme.borderWidth,
+    borderColor: c.primary,
+    borderRadius: 16,
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    marginRight: 8,
+  },
+  chipActive: { backgroundColor: c.primary },
+  chipText: { color: c.primary },
+  chipTextActive: { color: c.onPrimary },
+
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+    padding: 12,
+    backgroundColor: c.surfaceAlt,
+    borderRadius: 8,
+  },
+  // the entry just made gets an outline, not just a shade
+  itemHighlight: { borderWidth: 3, borderColor: c.accent },
+  rank: { fontSize: 22, fontWeight: '700', color: c.primary, minWidth: 36 },
+  itemTitle: { fontWeight: '700', fontSize: 16, color: c.text },
+  itemMeta: { color: c.textMuted },
+  itemScore: { fontSize: 18, fontWeight: '700', color: c.primary, marginLeft: 12 },
+
+  clearBtn: {
+    marginTop: 12,
+    alignSelf: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  clearText: { color: c.danger, fontSize: 16, fontWeight: '600' },
+});
@@ -0,0 +1,158 @@
+/* ------------------------------------------------------------------------
+   Pass and play: setup
+
+   Names for 2–6 players, plus the category and difficulty everyone
+   plays. The match itself runs in App.js (see src/multiplayer.js).
+------------------------------------------------------------------------ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  Button,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+} from 'react-native';
+import { categoryLabel, difficultyLabel, t } from '../i18n';
+import {
+  MAX_PLAYERS,
+  MAX_PLAYER_NAME_LENGTH,
+  MIN_PLAYERS,
+  playerList,
+} from '../multiplayer';
+import { DIFFICULTIES } from '../questionBank';
+import { useTheme, useThemedStyles } from '../theme';
+
+function Chips({ values, labelFor, selected, onSelect }) {
+  const styles = useThemedStyles(makeStyles);
+  return (
+    <View style={styles.chipRow} accessibilityRole="radiogroup">
+      {values.map(value => (
+        <TouchableOpacity
+          key={value}
+          style={[styles.chip, selected === value && styles.chipActive]}
+          accessibilityRole="radio"
+          accessibilityState={{ checked: selected === value }}
+          onPress={() => onSelect(value)}
+        >
+          <Text style={[styles.chipText, selected === value && styles.chipTextActive]}>
+            {labelFor(value)}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+export default function PassAndPlayScreen({ categories, initialNames, onStart, onBack }) {
+  const [names, setNames] = useState(() =>
+    (initialNames.length >= MIN_PLAYERS ? initialNames : ['', '']));
+  const [category, setCategory] = useState(categories[0] || null);
+  const [difficulty, setDifficulty] = useState(DIFFICULTIES[0]);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(makeStyles);
+  const players = playerList(names);
+
+  const setName = (i, name) => setNames(list => list.map((n, j) => (j === i ? name : n)));
+  const removePlayer = (i) => setNames(list => list.filter((_, j) => j !== i));
+
+  return (
+    <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+      <Text style={styles.title} accessibilityRole="header">{t('multiplayer.title')}</Text>
+      <Text style={styles.subtitle}>{t('multiplayer.subtitle', { min: MIN_PLAYERS, max: MAX_PLAYERS })}</Text>
+
+      {names.map((name, i) => (
+        <View key={i} style={styles.playerRow}>
+          <TextInput
+            style={styles.input}
+            value={name}
+            onChangeText={text => setName(i, text)}
+            maxLength={MAX_PLAYER_NAME_LENGTH}
+            placeholder={t('multiplayer.playerPlaceholder', { n: i + 1 })}
+            placeholderTextColor={colors.textMuted}
+            accessibilityLabel={t('multiplayer.playerPlaceholder', { n: i + 1 })}
+          />
+          {names.length > MIN_PLAYERS && (
+            <TouchableOpacity
+              style={styles.removeBtn}
+              accessibilityRole="button"
+              accessibilityLabel={t('a11y.removePlayer', { n: i + 1 })}
+              onPress={() => removePlayer(i)}
+            >
+              <Text style={styles.removeText}>✕</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+      {names.length < MAX_PLAYERS && (
+        <Button title={t('multiplayer.addPlayer')} onPress={() => setNames(list => [...list, ''])} />
+      )}
+
+      <Text style={styles.sectionLabel}>{t('history.category')}</Text>
+      <Chips values={categories} labelFor={categoryLabel} selected={category} onSelect={setCategory} />
+      <Text style={styles.sectionLabel}>{t('history.difficulty')}</Text>
+      <Chips values={DIFFICULTIES} labelFor={difficultyLabel} selected={difficulty} onSelect={setDifficulty} />
+
+      {!players && <Text style={styles.help}>{t('multiplayer.namesHelp')}</Text>}
+      <View style={{ height: 12 }} />
+      <Button
+        title={t('multiplayer.start')}
+        disabled={!players || !category}
+        onPress={() => onStart({ players, category, difficulty })}
+      />
+      <View style={{ height: 8 }} />
+      <Button title={t('common.back')} color={colors.neutral} onPress={onBack} />
+    </ScrollView>
+  );
+}
+
+/* --------------------------------- Styles -------------------------------- */
+
+const makeStyles = (c, theme) => StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: c.background,
+    padding: 22,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 28,
+    textAlign: 'center',
+    marginVertical: 24,
+    fontWeight: 'bold',
+    color: c.primary,
+  },
+  subtitle: { fontSize: 16, textAlign: 'center', marginBottom: 12, color: c.text },
+  sectionLabel: { fontWeight: '600', fontSize: 16, marginTop: 16, marginBottom: 6, color: c.text },
+  help: { color: c.textMuted, textAlign: 'center', marginTop: 12 },
+
+  playerRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 8 },
+  input: {
+    flex: 1,
+    borderWidth: theme.borderWidth,
+    borderColor: c.border,
+    borderRadius: 8,
+    fontSize: 18,
+    padding: 10,
+    backgroundColor: c.surface,
+    color: c.text,
+  },
+  removeBtn: { paddingHorizontal: 12, paddingVertical: 8 },
+  removeText: { color: c.danger, fontSize: 20, fontWeight: '700' },
+
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap' },
+  chip: {
+    borderWidth: theme.borderWidth,
+    borderColor: c.primary,
+    borderRadius: 16,
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipActive: { backgroundColor: c.primary },
+  chipText: { color: c.primary },
+  chipTextActive: { color: c.onPrimary },
+});
@@ -0,0 +1,153 @@
+/* ------------------------------------------------------------------------
+   Profile picker
+
+   Shown at launch and from Settings → "Switch profile".
+   Pick a student, add a new one, or delete one (with a confirm).
+------------------------------------------------------------------------ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  Button,
+  StyleSheet,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { t } from '../i18n';
+import { MAX_NAME_LENGTH, validateProfileName } from '../profiles';
+import { useTheme, useThemedStyles } from '../theme';
+
+export default function ProfilesScreen({ profiles, activeId, onSelect, onCreate, onDelete, onBack }) {
+  const [name, setName] = useState('');
+  const { colors } = useTheme();
+  const styles = useThemedStyles(makeStyles);
+
+  const create = () => {
+    const error = validateProfileName(name, profiles);
+    if (error) {
+      Alert.alert(t('profiles.addFailed'), error);
+      return;
+    }
+    onCreate(name);
+    setName('');
+  };
+
+  const confirmDelete = (profile) => {
+    Alert.alert(
+      t('profiles.deleteTitle', { name: profile.name }),
+      t('profiles.deleteBody'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('common.delete'), style: 'destructive', onPress: () => onDelete(profile.id) },
+      ],
+    );
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.title} accessibilityRole="header">{t('profiles.title')}</Text>
+
+      {profiles.map(p => (
+        <View key={p.id} style={styles.profileRow}>
+          <TouchableOpacity
+            style={[styles.profileButton, p.id === activeId && styles.profileActive]}
+            accessibilityRole="button"
+            accessibilityState={{ selected: p.id === activeId }}
+            onPress={() => onSelect(p.id)}
+          >
+            <Text style={styles.profileText}>{p.name}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.deleteBtn}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.deleteProfile', { name: p.name })}
+            onPress={() => confirmDelete(p)}
+          >
+            <Text style={styles.deleteText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      {profiles.length === 0 && (
+        <Text style={styles.subtitle}>{t('profiles.empty')}</Text>
+      )}
+
+      <View style={styles.addRow}>
+        <TextInput
+          style={styles.input}
+          value={name}
+          onChangeText={setName}
+          placeholder={t('profiles.placeholder')}
+          placeholderTextColor={colors.textMuted}
+          accessibilityLabel={t('profiles.placeholder')}
+          maxLength={MAX_NAME_LENGTH}
+          onSubmitEditing={create}
+        />
+        <TouchableOpacity style={styles.addBtn} accessibilityRole="button" onPress={create}>
+          <Text style={styles.addText}>{t('common.add')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {onBack && (
+        <>
+          <View style={{ height: 12 }} />
+          <Button title={t('common.back')} color={colors.neutral} onPress={onBack} />
+        </>
+      )}
+    </ScrollView>
+  );
+}
+
+/* --------------------------------- Styles -------------------------------- */
+
+const makeStyles = (c, theme) => StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: c.background,
+    padding: 22,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 32,
+    textAlign: 'center',
+    marginVertical: 30,
+    fontWeight: 'bold',
+    color: c.primary,
+  },
+  subtitle: { fontSize: 18, textAlign: 'center', marginBottom: 16, color: c.text },
+
+  profileRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 12 },
+  profileButton: {
+    flex: 1,
+    backgroundColor: c.primary,
+    borderRadius: 10,
+    paddingVertical: 16,
+    alignItems: 'center',
+  },
+  profileActive: { borderWidth: 3, borderColor: c.accent },
+  profileText: { color: c.onPrimary, fontSize: 20, fontWeight: 'bold' },
+  deleteBtn: { padding: 12, marginLeft: 6 },
+  deleteText: { fontSize: 20, color: c.danger, fontWeight: '700' },
+
+  addRow: { flexDirection: 'row', alignItems: 'center', gap: 12, marginTop: 8 },
+  input: {
+    flex: 1,
+    borderWidth: theme.borderWidth,
+    borderColor: c.border,
+    borderRadius: 8,
+    fontSize: 18,
+    padding: 10,
+    backgroundColor: c.surface,
+    color: c.text,
+  },
+  addBtn: {
+    backgroundColor: c.primary,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+  },
+  addText: { color: c.onPrimary, fontWeight: '700' },
+});
@@ -0,0 +1,289 @@
+/* ------------------------------------------------------------------------
+   Question packs screen
+
+   Export the current bank as a JSON or CSV file, or import one (picked
+   from a file or pasted in). Imports always go through a preview that
+   lists per-row errors before the user picks merge or replace.
+------------------------------------------------------------------------ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  Button,
+  StyleSheet,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  Share,
+} from 'react-native';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import {
+  exportPackCsv,
+  exportPackJson,
+  importableRows,
+  mergePack,
+  previewPack,
+  replaceWithPack,
+} from '../questionPacks';
+import { categoryLabel, difficultyLabel, t } from '../i18n';
+import { useBackHandler } from '../navigation';
+import { useTheme, useThemedStyles } from '../theme';
+
+const EXPORTS = {
+  json: { build: exportPackJson, mimeType: 'application/json', file: 'question-pack.json' },
+  csv: { build: exportPackCsv, mimeType: 'text/csv', file: 'question-pack.csv' },
+};
+
+export default function QuestionPacksScreen({ bank, custom, onChange, onBack }) {
+  const [pasted, setPasted] = useState('');
+  const [preview, setPreview] = useState(null); // { rows, error?, source }
+  const { colors } = useTheme();
+  const styles = useThemedStyles(makeStyles);
+
+  // Android back closes the import preview first
+  useBackHandler(() => {
+    setPreview(null);
+    return true;
+  }, preview !== null);
+
+  /* --------------------------------- export --------------------------------- */
+
+  const exportPack = async (kind) => {
+    const { build, mimeType, file } = EXPORTS[kind];
+    const text = build(bank);
+    try {
+      if (await Sharing.isAvailableAsync()) {
+        const uri = FileSystem.cacheDirectory + file;
+        await FileSystem.writeAsStringAsync(uri, text);
+        await Sharing.shareAsync(uri, { mimeType, dialogTitle: t('packs.exportDialog') });
+      } else {
+        // no file sharing (e.g. web) → plain text share sheet
+        await Share.share({ message: text });
+      }
+    } catch (e) {
+      Alert.alert(t('packs.exportFailed'), String(e.message || e));
+    }
+  };
+
+  /* --------------------------------- import --------------------------------- */
+
+  const pickFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', 'text/csv', 'text/comma-separated-values', 'text/plain'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || !result.assets || !result.assets[0]) return;
+      const asset = result.assets[0];
+      const text = await FileSystem.readAsStringAsync(asset.uri);
+      setPreview({ ...previewPack(text, bank), source: asset.name });
+    } catch (e) {
+      Alert.alert(t('packs.readFailed'), String(e.message || e));
+    }
+  };
+
+  const previewPasted = () =>
+    setPreview({ ...previewPack(pasted, bank), source: t('packs.pastedSource') });
+
+  const finishImport = (next, count) => {
+    onChange(next);
+    setPreview(null);
+    setPasted('');
+    Alert.alert(t('packs.imported'), t('packs.importedBody', { count }));
+  };
+
+  const applyMerge = () =>
+    finishImport(mergePack(custom, preview.rows, bank), importableRows(preview.rows, 'merge').length);
+
+  const confirmReplace = () => {
+    const count = importableRows(preview.rows, 'replace').length;
+    Alert.alert(
+      t('packs.replaceTitle'),
+      t('packs.replaceBody', { count }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('packs.replace'),
+          style: 'destructive',
+          onPress: () => finishImport(replaceWithPack(preview.rows), count),
+        },
+      ],
+    );
+  };
+
+  /* -------------------------------- preview -------------------------------- */
+
+  if (preview) {
+    const { rows, error, source } = preview;
+    const bad = rows.filter(r => r.errors.length > 0).length;
+    const existing = rows.filter(r => r.errors.length === 0 && r.existing).length;
+    const toMerge = importableRows(rows, 'merge').length;
+    const toReplace = importableRows(rows, 'replace').length;
+
+    return (
+      <ScrollView contentContainerStyle={styles.container}>
+        <Text style={styles.title} accessibilityRole="header">{t('packs.previewTitle')}</Text>
+        <Text style={styles.subtitle}>{t('packs.from', { source })}</Text>
+
+        {error ? (
+          <Text style={styles.fatal}>{error}</Text>
+        ) : (
+          <>
+            <Text style={styles.summary}>
+              {t('packs.rows', { count: rows.length })} · {t('packs.valid', { count: rows.length - bad })} ·{' '}
+              {t('packs.withErrors', { count: bad })}
+              {existing ? ` · ${t('packs.alreadyInBank', { count: existing })}` : ''}
+            </Text>
+
+            {rows.map(row => (
+              <View
+                key={row.line}
+                style={[styles.item, row.errors.length > 0 && styles.itemBad]}
+              >
+                <Text style={styles.itemTitle}>
+                  {t('packs.row', { line: row.line, question: row.question.question || t('packs.noQuestion') })}
+                </Text>
+                <Text style={styles.itemMeta}>
+                  {row.category ? categoryLabel(row.category) : '—'} ·{' '}
+                  {row.question.difficulty ? difficultyLabel(row.question.difficulty) : '—'} ·{' '}
+                  {row.question.answer || '—'}
+                </Text>
+                {row.errors.map(msg => (
+                  <Text key={msg} style={styles.error}>• {msg}</Text>
+                ))}
+                {row.errors.length === 0 && row.existing && (
+                  <Text style={styles.note}>{t('packs.skippedOnMerge')}</Text>
+                )}
+              </View>
+            ))}
+
+            <View style={{ height: 8 }} />
+            <Button
+              title={t('packs.merge', { count: toMerge })}
+              disabled={toMerge === 0}
+              onPress={applyMerge}
+            />
+            <View style={{ height: 8 }} />
+            <Button
+              title={t('packs.replaceBank', { count: toReplace })}
+              color={colors.danger}
+              disabled={toReplace === 0}
+              onPress={confirmReplace}
+            />
+          </>
+        )}
+
+        <View style={{ height: 8 }} />
+        <Button title={t('common.cancel')} color={colors.neutral} onPress={() => setPreview(null)} />
+      </ScrollView>
+    );
+  }
+
+  /* --------------------------------- main --------------------------------- */
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.title} accessibilityRole="header">{t('packs.title')}</Text>
+
+      <Text style={styles.sectionHeader}>{t('packs.exportHeader')}</Text>
+      <View style={styles.row}>
+        <TouchableOpacity
+          style={styles.smallBtn}
+          accessibilityRole="button"
+          accessibilityLabel={t('a11y.exportAs', { format: 'JSON' })}
+          onPress={() => exportPack('json')}
+        >
+          <Text style={styles.smallBtnText}>JSON</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.smallBtn}
+          accessibilityRole="button"
+          accessibilityLabel={t('a11y.exportAs', { format: 'CSV' })}
+          onPress={() => exportPack('csv')}
+        >
+          <Text style={styles.smallBtnText}>CSV</Text>
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.sectionHeader}>{t('packs.importHeader')}</Text>
+      <Button title={t('packs.chooseFile')} onPress={pickFile} />
+
+      <Text style={styles.label}>{t('packs.pasteLabel')}</Text>
+      <TextInput
+        style={[styles.input, styles.pasteBox]}
+        value={pasted}
+        onChangeText={setPasted}
+        multiline
+        autoCapitalize="none"
+        autoCorrect={false}
+        placeholder={'category,question,answer,hint,difficulty\nUK Life,What is a fiver?,£5,,Easy'}
+        placeholderTextColor={colors.textMuted}
+        accessibilityLabel={t('packs.pasteLabel')}
+      />
+      <Button title={t('packs.preview')} disabled={!pasted.trim()} onPress={previewPasted} />
+
+      <View style={{ height: 16 }} />
+      <Button title={t('common.back')} color={colors.neutral} onPress={onBack} />
+    </ScrollView>
+  );
+}
+
+/* --------------------------------- Styles -------------------------------- */
+
+const makeStyles = (c, theme) => StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: c.background,
+    padding: 22,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 28,
+    textAlign: 'center',
+    marginVertical: 24,
+    fontWeight: 'bold',
+    color: c.primary,
+  },
+  subtitle: { fontSize: 16, textAlign: 'center', marginBottom: 12, color: c.text },
+  sectionHeader: { marginTop: 12, marginBottom: 8, fontSize: 18, fontWeight: '700', color: c.text },
+  summary: { fontSize: 16, textAlign: 'center', marginBottom: 12, fontWeight: '600', color: c.text },
+  fatal: { color: c.danger, fontSize: 18, textAlign: 'center', marginBottom: 12 },
+
+  row: { flexDirection: 'row', alignItems: 'center', gap: 12, marginBottom: 12 },
+  label: { fontSize: 16, fontWeight: '600', marginTop: 12, marginBottom: 4, color: c.text },
+  input: {
+    borderWidth: theme.borderWidth,
+    borderColor: c.border,
+    borderRadius: 8,
+    fontSize: 16,
+    padding: 10,
+    marginBottom: 10,
+    backgroundColor: c.surface,
+    color: c.text,
+  },
+  pasteBox: { minHeight: 120, textAlignVertical: 'top' },
+
+  item: {
+    marginBottom: 10,
+    padding: 12,
+    backgroundColor: c.surfaceAlt,
+    borderRadius: 8,
+  },
+  itemBad: { borderWidth: 1, borderColor: c.danger },
+  itemTitle: { fontWeight: '700', fontSize: 16, marginBottom: 2, color: c.text },
+  itemMeta: { color: c.textMuted },
+  error: { color: c.danger, marginTop: 2 },
+  note: { color: c.nearly, marginTop: 2 },
+
+  smallBtn: {
+    backgroundColor: c.primary,
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+  },
+  smallBtnText: { color: c.onPrimary, fontWeight: '700' },
+});
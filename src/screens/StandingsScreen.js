@@ -0,0 +1,93 @@
+/* ------------------------------------------------------------------------
+   Pass and play: final standings
+
+   Every player's points, correct answers, best streak and total answer
+   time, best first. Ties on points go to the quicker player; players
+   level on both share the place.
+------------------------------------------------------------------------ */
+
+import React from 'react';
+import { View, Text, Button, StyleSheet, ScrollView } from 'react-native';
+import { categoryLabel, difficultyLabel, t } from '../i18n';
+import { standings } from '../multiplayer';
+import { formatDuration } from '../quizLog';
+import { useTheme, useThemedStyles } from '../theme';
+
+export default function StandingsScreen({ match, onRematch, onDone }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(makeStyles);
+  const table = standings(match);
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.title} accessibilityRole="header">{t('multiplayer.standings')}</Text>
+      <Text style={styles.subtitle}>
+        {categoryLabel(match.category)} · {difficultyLabel(match.difficulty)}
+      </Text>
+      {table.length > 1 && table[1].place === 1 && (
+        <Text style={styles.subtitle}>{t('multiplayer.tie')}</Text>
+      )}
+
+      {table.map(p => (
+        <View
+          key={p.name}
+          style={[styles.item, p.place === 1 && styles.itemWinner]}
+          accessible
+          accessibilityLabel={t('a11y.standing', { place: p.place, name: p.name, points: p.result.points })}
+        >
+          <Text style={styles.place}>{p.place === 1 ? '🏆' : p.place}</Text>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.itemTitle}>{p.name}</Text>
+            <Text style={styles.itemMeta}>
+              {t('multiplayer.correct', { score: p.result.score, total: p.result.total })}
+              {' · '}
+              {t('multiplayer.streak', { count: p.result.bestStreak })}
+              {' · '}
+              {formatDuration(p.result.timeMs)}
+            </Text>
+          </View>
+          <Text style={styles.points}>{t('leaderboard.points', { points: p.result.points })}</Text>
+        </View>
+      ))}
+
+      <View style={{ height: 12 }} />
+      <Button title={t('multiplayer.rematch')} onPress={onRematch} />
+      <View style={{ height: 8 }} />
+      <Button title={t('common.done')} color={colors.neutral} onPress={onDone} />
+    </ScrollView>
+  );
+}
+
+/* --------------------------------- Styles -------------------------------- */
+
+const makeStyles = (c) => StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: c.background,
+    padding: 22,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 28,
+    textAlign: 'center',
+    marginVertical: 24,
+    fontWeight: 'bold',
+    color: c.primary,
+  },
+  subtitle: { fontSize: 16, textAlign: 'center', marginBottom: 12, color: c.text },
+
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+    padding: 12,
+    backgroundColor: c.surfaceAlt,
+    borderRadius: 8,
+  },
+  // the winner gets an outline, not just a trophy
+  itemWinner: { borderWidth: 3, borderColor: c.accent },
+  place: { fontSize: 22, fontWeight: '700', color: c.primary, minWidth: 36 },
+  itemTitle: { fontWeight: '700', fontSize: 16, color: c.text },
+  itemMeta: { color: c.textMuted },
+  points: { fontSize: 18, fontWeight: '700', color: c.primary, marginLeft: 12 },
+});
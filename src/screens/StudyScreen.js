@@ -0,0 +1,199 @@
+/* ------------------------------------------------------------------------
+   Study screen
+
+   Flashcards for one category + difficulty (see src/studyDeck.js). Tap
+   the card to flip it (the back has the answer, the question's hints and
+   its explanation); once the answer shows, swipe right / left or use
+   the buttons for "knew it" / "didn't know". At the end the missed cards
+   can be taken again as a short quiz.
+------------------------------------------------------------------------ */
+
+import React, { useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  Button,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  PanResponder,
+} from 'react-native';
+import { announce, useAccessibilityPrefs } from '../accessibility';
+import PopIn from '../components/PopIn';
+import { categoryLabel, difficultyLabel, optionLabel, t } from '../i18n';
+import { hasOptions, optionsFor, questionHints } from '../questionTypes';
+import {
+  createDeck,
+  currentCard,
+  flipCard,
+  isDeckDone,
+  markCard,
+  missedCards,
+} from '../studyDeck';
+import { useTheme, useThemedStyles } from '../theme';
+
+// how far (px) a flipped card has to travel sideways to count as a swipe
+const SWIPE_DISTANCE = 80;
+
+export default function StudyScreen({ cards, category, difficulty, onQuizMissed, onDone }) {
+  const [deck, setDeck] = useState(() => createDeck(cards));
+  const { reduceMotion } = useAccessibilityPrefs();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(makeStyles);
+  const card = currentCard(deck);
+
+  const flip = () => {
+    const next = flipCard(deck);
+    setDeck(next);
+    if (next.flipped) announce(t('study.answerIs', { answer: optionLabel(card, card.answer) }));
+  };
+  const mark = (knew) => setDeck(d => (d.flipped ? markCard(d, knew) : d));
+
+  // the responder is made once, so it reads the latest mark() through a ref
+  const markRef = useRef(mark);
+  markRef.current = mark;
+  const swipe = useRef(PanResponder.create({
+    onMoveShouldSetPanResponder: (_, g) => Math.abs(g.dx) > 20 && Math.abs(g.dx) > Math.abs(g.dy),
+    onPanResponderRelease: (_, g) => {
+      if (Math.abs(g.dx) >= SWIPE_DISTANCE) markRef.current(g.dx > 0);
+    },
+  })).current;
+
+  const heading = `${categoryLabel(category)} · ${difficultyLabel(difficulty)}`;
+
+  if (isDeckDone(deck)) {
+    const missed = missedCards(deck);
+    return (
+      <ScrollView contentContainerStyle={styles.container}>
+        <Text style={styles.title} accessibilityRole="header">{t('study.doneTitle')}</Text>
+        <Text style={styles.subtitle}>{heading}</Text>
+        <Text style={styles.summary}>
+          {t('study.summary', { known: deck.known.length, total: deck.cards.length })}
+        </Text>
+        <View style={{ height: 12 }} />
+        {missed.length > 0 ? (
+          <Button
+            title={t('study.quizMissed', { count: missed.length })}
+            onPress={() => onQuizMissed(missed)}
+          />
+        ) : (
+          <Text style={styles.subtitle}>{t('study.allKnown')}</Text>
+        )}
+        <View style={{ height: 8 }} />
+        <Button title={t('study.again')} onPress={() => setDeck(createDeck(cards))} />
+        <View style={{ height: 8 }} />
+        <Button title={t('common.done')} color={colors.neutral} onPress={onDone} />
+      </ScrollView>
+    );
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.title} accessibilityRole="header">{t('study.title')}</Text>
+      <Text style={styles.subtitle}>{heading}</Text>
+      <Text style={styles.progress}>
+        {t('study.progress', { n: deck.index + 1, total: deck.cards.length })}
+      </Text>
+
+      <View {...swipe.panHandlers}>
+        <PopIn key={`${deck.index}-${deck.flipped}`} reduceMotion={reduceMotion}>
+          <TouchableOpacity
+            style={[styles.card, deck.flipped && styles.cardBack]}
+            accessibilityRole="button"
+            accessibilityHint={t(deck.flipped ? 'a11y.cardFlipBack' : 'a11y.cardFlip')}
+            onPress={flip}
+          >
+            <Text style={styles.cardSide}>{t(deck.flipped ? 'study.answerSide' : 'study.questionSide')}</Text>
+            <Text style={styles.question}>{card.question}</Text>
+            {!deck.flipped && hasOptions(card) && (
+              <Text style={styles.options}>
+                {optionsFor(card).map(opt => optionLabel(card, opt)).join(' · ')}
+              </Text>
+            )}
+            {deck.flipped && (
+              <>
+                <Text style={styles.answer}>{optionLabel(card, card.answer)}</Text>
+                {questionHints(card).map((hint, i) => (
+                  <Text key={i} style={styles.hint}>{t('study.hint', { hint })}</Text>
+                ))}
+                {card.explanation ? <Text style={styles.explanation}>{card.explanation}</Text> : null}
+              </>
+            )}
+          </TouchableOpacity>
+        </PopIn>
+      </View>
+
+      {deck.flipped ? (
+        <>
+          <Text style={styles.help}>{t('study.swipeHelp')}</Text>
+          <View style={styles.markRow}>
+            <TouchableOpacity
+              style={[styles.markBtn, styles.markMissed]}
+              accessibilityRole="button"
+              onPress={() => mark(false)}
+            >
+              <Text style={styles.markText}>{t('study.didntKnow')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.markBtn, styles.markKnown]}
+              accessibilityRole="button"
+              onPress={() => mark(true)}
+            >
+              <Text style={styles.markText}>{t('study.knewIt')}</Text>
+            </TouchableOpacity>
+          </View>
+        </>
+      ) : (
+        <Text style={styles.help}>{t('study.tapHelp')}</Text>
+      )}
+
+      <View style={{ height: 12 }} />
+      <Button title={t('study.stop')} color={colors.neutral} onPress={onDone} />
+    </ScrollView>
+  );
+}
+
+/* --------------------------------- Styles -------------------------------- */
+
+const makeStyles = (c, theme) => StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: c.background,
+    padding: 22,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 28,
+    textAlign: 'center',
+    marginVertical: 24,
+    fontWeight: 'bold',
+    color: c.primary,
+  },
+  subtitle: { fontSize: 16, textAlign: 'center', marginBottom: 12, color: c.text },
+  progress: { textAlign: 'center', color: c.textMuted, marginBottom: 12 },
+  summary: { fontSize: 20, fontWeight: '700', textAlign: 'center', color: c.text },
+  help: { color: c.textMuted, textAlign: 'center', marginTop: 12 },
+
+  card: {
+    minHeight: 220,
+    justifyContent: 'center',
+    padding: 20,
+    backgroundColor: c.surface,
+    borderWidth: theme.borderWidth,
+    borderColor: c.primary,
+    borderRadius: 12,
+  },
+  cardBack: { backgroundColor: c.surfaceAlt },
+  cardSide: { color: c.textMuted, textAlign: 'center', marginBottom: 8 },
+  question: { fontSize: 20, fontWeight: '600', textAlign: 'center', color: c.text },
+  options: { color: c.textMuted, textAlign: 'center', marginTop: 12 },
+  answer: { fontSize: 22, fontWeight: '700', textAlign: 'center', color: c.correct, marginTop: 16 },
+  hint: { fontStyle: 'italic', textAlign: 'center', color: c.text, marginTop: 12 },
+  explanation: { textAlign: 'center', color: c.text, marginTop: 12 },
+
+  markRow: { flexDirection: 'row', marginTop: 12 },
+  markBtn: { flex: 1, borderRadius: 10, paddingVertical: 14, alignItems: 'center', marginHorizontal: 4 },
+  markMissed: { backgroundColor: c.danger },
+  markKnown: { backgroundColor: c.correct },
+  markText: { color: c.onPrimary, fontSize: 16, fontWeight: '700' },
+});
@@ -0,0 +1,113 @@
+/* ------------------------------------------------------------------------
+   Spaced repetition
+
+   Every answer is logged against the question's stable id, and an
+   SM-2 style schedule decides when that question is due again.
+   - correct → interval grows (1 day, 3 days, then × ease)
+   - nearly / wrong / time out → back to square one, due again today
+   Only questions that have been answered at least once can be due.
+------------------------------------------------------------------------ */
+
+import { VERDICT } from './answerMatching';
+import { getProfileData, loadAppState, updateProfileData } from './storage';
+
+/* history = { [questionId]: {
+     attempts, correct,      // lifetime counts
+     lastAnswer, lastVerdict,
+     lastSeen,               // YYYY-MM-DD
+     reps, ease, interval,   // SM-2 state (interval in days)
+     due,                    // YYYY-MM-DD
+   } } */
+
+const START_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// SM-2 answer quality (0–5) per verdict
+const QUALITY = {
+  [VERDICT.CORRECT]: 4,
+  [VERDICT.NEARLY]: 2,
+  [VERDICT.WRONG]: 0,
+};
+
+/* ------------------------------- date helpers ------------------------------- */
+
+// local calendar day as YYYY-MM-DD (sorts and compares as a string)
+export function dayKey(date = new Date()) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+export function addDays(key, days) {
+  const [y, m, d] = key.split('-').map(Number);
+  return dayKey(new Date(y, m - 1, d + days));
+}
+
+/* -------------------------------- scheduling -------------------------------- */
+
+export function recordAnswer(history, questionId, answer, verdict, today = dayKey()) {
+  if (!questionId) return history;
+  const prev = history[questionId] || {
+    attempts: 0,
+    correct: 0,
+    reps: 0,
+    ease: START_EASE,
+    interval: 0,
+  };
+  const quality = QUALITY[verdict] ?? 0;
+
+  let { reps, interval } = prev;
+  if (quality >= 3) {
+    reps += 1;
+    interval = reps === 1 ? 1 : reps === 2 ? 3 : Math.round(interval * prev.ease);
+  } else {
+    reps = 0;
+    interval = 0; // missed → due again today
+  }
+  const ease = Math.max(
+    MIN_EASE,
+    prev.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02),
+  );
+
+  return {
+    ...history,
+    [questionId]: {
+      attempts: prev.attempts + 1,
+      correct: prev.correct + (verdict === VERDICT.CORRECT ? 1 : 0),
+      lastAnswer: answer,
+      lastVerdict: verdict,
+      lastSeen: today,
+      reps,
+      ease: Math.round(ease * 100) / 100,
+      interval,
+      due: addDays(today, interval),
+    },
+  };
+}
+
+export const isDue = (entry, today = dayKey()) =>
+  Boolean(entry && entry.due && entry.due <= today);
+
+// every due question in the bank, most overdue first → [{ ...question, category }]
+export function dueQuestions(bank, history, today = dayKey()) {
+  const due = [];
+  Object.keys(bank).forEach(category => {
+    bank[category].forEach(q => {
+      if (isDue(history[q.id], today)) due.push({ ...q, category });
+    });
+  });
+  return due.sort((a, b) => history[a.id].due.localeCompare(history[b.id].due));
+}
+
+/* ------------------------------ storage (per profile) ------------------------------ */
+
+export async function loadHistory(profileId) {
+  await loadAppState();
+  return getProfileData(profileId).questionHistory;
+}
+
+export const saveHistory = (profileId, questionHistory) =>
+  updateProfileData(profileId, data => ({ ...data, questionHistory }));
+
+export const clearHistory = (profileId) => saveHistory(profileId, {});
@@ -0,0 +1,479 @@
+/* ------------------------------------------------------------------------
+   Storage
+
+   Everything the app persists lives in ONE versioned document under a
+   single AsyncStorage key. Features read it with getAppState() /
+   getProfileData() and change it with updateAppState() /
+   updateProfileData(); writes are batched, so several updates in a row
+   cost one AsyncStorage write.
+
+   - loadAppState() runs once per launch: reads the document, runs any
+     pending migrations (in order) and repairs anything malformed
+   - migration 1 imports the old ad-hoc keys (settings_timer_enabled,
+     stats_*, highScore_*, profile:<id>:*, custom_bank, …) and removes them
+   - migration 2 turns high scores from correct-answer counts into points
+   - a document that can't be parsed is backed up under its own key and
+     replaced with defaults instead of crashing the app
+   - nothing is written until a load has succeeded: a failed read is tried
+     again a few times, and if it still fails the app runs on defaults for
+     this launch without saving (storageFailed() lets the app say so)
+
+   Adding persisted data = add a field to the defaults below (and a
+   migration if existing documents need converting). No new keys.
+------------------------------------------------------------------------ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { emptyAchievements } from './achievements';
+import { TIME_MODE } from './quizEngine';
+import { DEFAULT_SESSION_LIMIT_HOURS, isSessionValid } from './quizSession';
+import { pointsFromCorrectCount } from './scoring';
+
+const KEY_APP_STATE = 'app_state';
+const KEY_CORRUPT_BACKUP = 'app_state_corrupt';
+
+// how long updates are collected before one write
+const WRITE_DELAY_MS = 250;
+
+/**
+ * @typedef {Object} ProfileData
+ * @property {{ timerEnabled: boolean, timeMode: string, language: ?string, theme: ?string, extraTime: number, sessionLimitHours: number }} settings
+ *           timeMode = 'question' (limit per question) or 'quiz' (one budget);
+ *           language / theme null = follow the device; extraTime = seconds added per question;
+ *           sessionLimitHours = how long an unfinished quiz can be resumed
+ * @property {{ totalQuizzes: number, totalAnswered: number, totalCorrect: number, bestStreak: number, abandonedQuizzes: number }} stats
+ * @property {Object} daily                                        Daily Challenge results + streak, see dailyChallenge.js
+ * @property {Object<string, Object<string, number>>} highScores  category → difficulty → best points
+ * @property {Object<string, Object>} questionHistory              see spacedRepetition.js
+ * @property {Array<Object>} quizLog                               see quizLog.js
+ * @property {?Object} session                                     unfinished quiz, see quizSession.js
+ * @property {Object} achievements                                 unlocked badges, see achievements.js
+ * @property {Array<Object>} presets                               saved custom-round setups, see customRound.js
+ */
+
+/**
+ * @typedef {Object} AppState
+ * @property {number} schemaVersion
+ * @property {{ list: Array<{ id: string, name: string, createdAt: string }>, lastUsedId: ?string }} profiles
+ * @property {Object} customBank                                   see questionBank.js
+ * @property {Object} leaderboards                                 shared by every profile, see leaderboard.js
+ * @property {Object} remotePacks                                  synced question pack + its cache, see remotePacks.js
+ * @property {Object<string, ProfileData>} profileData             keyed by profile id
+ */
+
+/* --------------------------------- defaults --------------------------------- */
+
+/** @returns {ProfileData} */
+export const defaultProfileData = () => ({
+  settings: {
+    timerEnabled: true,
+    timeMode: TIME_MODE.QUESTION,
+    language: null,
+    theme: null,
+    extraTime: 0,
+    sessionLimitHours: DEFAULT_SESSION_LIMIT_HOURS,
+  },
+  stats: { totalQuizzes: 0, totalAnswered: 0, totalCorrect: 0, bestStreak: 0, abandonedQuizzes: 0 },
+  daily: { results: {}, lastDay: null, streak: 0, bestStreak: 0 },
+  highScores: {},
+  questionHistory: {},
+  quizLog: [],
+  session: null,
+  achievements: emptyAchievements(),
+  presets: [],
+});
+
+/** @returns {AppState} */
+export const defaultAppState = () => ({
+  schemaVersion: SCHEMA_VERSION,
+  profiles: { list: [], lastUsedId: null },
+  customBank: {},
+  leaderboards: {},
+  remotePacks: {
+    url: '',
+    etag: null,
+    revision: null,
+    categories: {},
+    updatedAt: null,
+    checkedAt: null,
+    status: 'never',
+    detail: null,
+  },
+  profileData: {},
+});
+
+export const newProfileId = () =>
+  `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/* --------------------------------- helpers --------------------------------- */
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+const toCount = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+};
+
+function parseJson(raw, fallback) {
+  if (raw == null) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+export const getHighScore = (data, category, difficulty) =>
+  (data.highScores[category] && data.highScores[category][difficulty]) || 0;
+
+export const withHighScore = (data, category, difficulty, score) => ({
+  ...data,
+  highScores: {
+    ...data.highScores,
+    [category]: { ...data.highScores[category], [difficulty]: score },
+  },
+});
+
+/* -------------------------------- repair -------------------------------- */
+
+// fill gaps and drop anything of the wrong shape, section by section
+function normalizeProfileData(raw) {
+  const base = defaultProfileData();
+  if (!isObject(raw)) return base;
+
+  const highScores = {};
+  if (isObject(raw.highScores)) {
+    Object.keys(raw.highScores).forEach(cat => {
+      if (!isObject(raw.highScores[cat])) return;
+      highScores[cat] = {};
+      Object.keys(raw.highScores[cat]).forEach(diff => {
+        highScores[cat][diff] = toCount(raw.highScores[cat][diff]);
+      });
+    });
+  }
+
+  const settings = isObject(raw.settings) ? raw.settings : {};
+  const stats = isObject(raw.stats) ? raw.stats : {};
+  const daily = isObject(raw.daily) ? raw.daily : {};
+  const achievements = isObject(raw.achievements) ? raw.achievements : {};
+  const unlocked = {};
+  if (isObject(achievements.unlocked)) {
+    Object.keys(achievements.unlocked).forEach(id => {
+      if (typeof achievements.unlocked[id] === 'string') unlocked[id] = achievements.unlocked[id];
+    });
+  }
+  return {
+    ...raw,
+    settings: {
+      ...base.settings,
+      ...settings,
+      timerEnabled: settings.timerEnabled !== false,
+      timeMode: settings.timeMode === TIME_MODE.QUIZ ? TIME_MODE.QUIZ : TIME_MODE.QUESTION,
+      language: typeof settings.language === 'string' ? settings.language : null,
+      theme: typeof settings.theme === 'string' ? settings.theme : null,
+      extraTime: toCount(settings.extraTime),
+      sessionLimitHours: toCount(settings.sessionLimitHours) || DEFAULT_SESSION_LIMIT_HOURS,
+    },
+    stats: {
+      totalQuizzes: toCount(stats.totalQuizzes),
+      totalAnswered: toCount(stats.totalAnswered),
+      totalCorrect: toCount(stats.totalCorrect),
+      bestStreak: toCount(stats.bestStreak),
+      abandonedQuizzes: toCount(stats.abandonedQuizzes),
+    },
+    daily: {
+      results: isObject(daily.results) ? daily.results : {},
+      lastDay: typeof daily.lastDay === 'string' ? daily.lastDay : null,
+      streak: toCount(daily.streak),
+      bestStreak: toCount(daily.bestStreak),
+    },
+    highScores,
+    questionHistory: isObject(raw.questionHistory) ? raw.questionHistory : {},
+    quizLog: Array.isArray(raw.quizLog) ? raw.quizLog.filter(isObject) : [],
+    session: isSessionValid(raw.session) ? raw.session : null,
+    achievements: { unlocked, answerStreak: toCount(achievements.answerStreak) },
+    presets: Array.isArray(raw.presets) ? raw.presets.filter(isObject) : [],
+  };
+}
+
+function normalizeAppState(raw) {
+  const base = defaultAppState();
+  if (!isObject(raw)) return base;
+
+  const profiles = isObject(raw.profiles) ? raw.profiles : {};
+  const list = (Array.isArray(profiles.list) ? profiles.list : [])
+    .filter(p => isObject(p) && typeof p.id === 'string' && typeof p.name === 'string');
+  const lastUsedId = list.some(p => p.id === profiles.lastUsedId) ? profiles.lastUsedId : null;
+
+  const remote = isObject(raw.remotePacks) ? raw.remotePacks : {};
+  const textOrNull = (v) => (typeof v === 'string' ? v : null);
+
+  const profileData = {};
+  list.forEach(p => {
+    profileData[p.id] = normalizeProfileData(isObject(raw.profileData) ? raw.profileData[p.id] : null);
+  });
+
+  return {
+    ...raw,
+    schemaVersion: Number(raw.schemaVersion) || base.schemaVersion,
+    profiles: { list, lastUsedId },
+    customBank: isObject(raw.customBank) ? raw.customBank : {},
+    leaderboards: isObject(raw.leaderboards) ? raw.leaderboards : {},
+    remotePacks: {
+      url: typeof remote.url === 'string' ? remote.url : '',
+      etag: textOrNull(remote.etag),
+      revision: textOrNull(remote.revision),
+      categories: isObject(remote.categories) ? remote.categories : {},
+      updatedAt: textOrNull(remote.updatedAt),
+      checkedAt: textOrNull(remote.checkedAt),
+      status: typeof remote.status === 'string' ? remote.status : base.remotePacks.status,
+      detail: textOrNull(remote.detail),
+    },
+    profileData,
+  };
+}
+
+/* ------------------------------- migrations ------------------------------- */
+
+// pre-document key names
+const LEGACY_PROFILES = 'profiles';
+const LEGACY_CUSTOM_BANK = 'custom_bank';
+const LEGACY_PROFILE_PREFIX = 'profile:';
+const LEGACY_HIGH_SCORE_PREFIX = 'highScore_';
+const LEGACY_PROFILE_KEYS = [
+  'settings_timer_enabled',
+  'stats_total_quizzes',
+  'stats_total_answered',
+  'stats_total_correct',
+  'stats_best_streak',
+  'question_history',
+  'quiz_log',
+];
+
+const isLegacyProfileKey = (key) =>
+  LEGACY_PROFILE_KEYS.includes(key) || key.startsWith(LEGACY_HIGH_SCORE_PREFIX);
+
+export const isLegacyKey = (key) =>
+  key === LEGACY_PROFILES ||
+  key === LEGACY_CUSTOM_BANK ||
+  key.startsWith(LEGACY_PROFILE_PREFIX) ||
+  isLegacyProfileKey(key);
+
+// one student's old keys (prefix already stripped) → ProfileData
+function profileDataFromLegacy(kv) {
+  const data = defaultProfileData();
+  if (kv.settings_timer_enabled != null) {
+    data.settings.timerEnabled = kv.settings_timer_enabled === '1';
+  }
+  data.stats = {
+    totalQuizzes: toCount(kv.stats_total_quizzes),
+    totalAnswered: toCount(kv.stats_total_answered),
+    totalCorrect: toCount(kv.stats_total_correct),
+    bestStreak: toCount(kv.stats_best_streak),
+  };
+  Object.keys(kv).forEach(key => {
+    if (!key.startsWith(LEGACY_HIGH_SCORE_PREFIX)) return;
+    // highScore_<category>_<difficulty>; difficulties never contain "_"
+    const rest = key.slice(LEGACY_HIGH_SCORE_PREFIX.length);
+    const cut = rest.lastIndexOf('_');
+    if (cut <= 0) return;
+    const score = toCount(kv[key]);
+    if (score > 0) Object.assign(data, withHighScore(data, rest.slice(0, cut), rest.slice(cut + 1), score));
+  });
+  data.questionHistory = parseJson(kv.question_history, {});
+  data.quizLog = parseJson(kv.quiz_log, []);
+  return data;
+}
+
+/* Ordered list; each step takes the previous document (null before v1)
+   and returns the next one. ctx.legacy = every old key → value. */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'import ad-hoc AsyncStorage keys into the document',
+    migrate: (_state, { legacy }) => {
+      const state = defaultAppState();
+      state.customBank = parseJson(legacy[LEGACY_CUSTOM_BANK], {});
+
+      const profiles = parseJson(legacy[LEGACY_PROFILES], null);
+      if (isObject(profiles) && Array.isArray(profiles.list)) {
+        state.profiles = { list: profiles.list, lastUsedId: profiles.lastUsedId || null };
+        profiles.list.forEach(p => {
+          const prefix = `${LEGACY_PROFILE_PREFIX}${p.id}:`;
+          const kv = {};
+          Object.keys(legacy)
+            .filter(k => k.startsWith(prefix))
+            .forEach(k => {
+              kv[k.slice(prefix.length)] = legacy[k];
+            });
+          state.profileData[p.id] = profileDataFromLegacy(kv);
+        });
+      } else if (Object.keys(legacy).some(isLegacyProfileKey)) {
+        // from before profiles existed: everything belongs to one starter profile
+        const starter = { id: newProfileId(), name: 'Student', createdAt: new Date().toISOString() };
+        const kv = {};
+        Object.keys(legacy)
+          .filter(isLegacyProfileKey)
+          .forEach(k => {
+            kv[k] = legacy[k];
+          });
+        state.profiles = { list: [starter], lastUsedId: starter.id };
+        state.profileData[starter.id] = profileDataFromLegacy(kv);
+      }
+      // a fresh install has no old keys: no profiles yet, the profile screen asks for one
+      return state;
+    },
+  },
+  {
+    version: 2,
+    description: 'high scores are points (were counts of correct answers)',
+    migrate: (state) => {
+      const profileData = {};
+      Object.keys(isObject(state.profileData) ? state.profileData : {}).forEach(id => {
+        const data = state.profileData[id];
+        if (!isObject(data)) return;
+        const highScores = {};
+        Object.keys(isObject(data.highScores) ? data.highScores : {}).forEach(cat => {
+          if (!isObject(data.highScores[cat])) return;
+          highScores[cat] = {};
+          Object.keys(data.highScores[cat]).forEach(diff => {
+            highScores[cat][diff] = pointsFromCorrectCount(toCount(data.highScores[cat][diff]), diff);
+          });
+        });
+        // an unfinished round was scored the old way, so it can't carry on in points
+        profileData[id] = { ...data, highScores, session: null };
+      });
+      return { ...state, profileData };
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// exported for tests / tooling; loadAppState() is the normal entry point
+export function migrateAppState(state, ctx) {
+  const from = state ? Number(state.schemaVersion) || 0 : 0;
+  return MIGRATIONS.filter(m => m.version > from).reduce(
+    (doc, m) => ({ ...m.migrate(doc, ctx), schemaVersion: m.version }),
+    state,
+  );
+}
+
+/* ---------------------------------- store ---------------------------------- */
+
+let appState = null;
+let loading = null;
+let loaded = false; // the document came from storage (until then writes would overwrite it)
+let failed = false; // storage couldn't be read: running on defaults, nothing is saved this launch
+let writeTimer = null;
+let writing = Promise.resolve();
+
+async function readLegacyKeys() {
+  const keys = (await AsyncStorage.getAllKeys()).filter(isLegacyKey);
+  const pairs = keys.length ? await AsyncStorage.multiGet(keys) : [];
+  const legacy = {};
+  pairs.forEach(([k, v]) => {
+    if (v !== null) legacy[k] = v;
+  });
+  return legacy;
+}
+
+async function load() {
+  const raw = await AsyncStorage.getItem(KEY_APP_STATE);
+  let doc = null;
+
+  if (raw !== null) {
+    doc = parseJson(raw, undefined);
+    if (!isObject(doc)) {
+      // keep the broken copy for support, start over with defaults
+      await AsyncStorage.setItem(`${KEY_CORRUPT_BACKUP}_${Date.now()}`, raw);
+      doc = defaultAppState();
+    }
+  }
+
+  const pending = !doc || (Number(doc.schemaVersion) || 0) < SCHEMA_VERSION;
+  if (pending) {
+    const legacy = await readLegacyKeys();
+    doc = migrateAppState(doc, { legacy });
+    appState = normalizeAppState(doc);
+    await AsyncStorage.setItem(KEY_APP_STATE, JSON.stringify(appState));
+    // only once the document is safely written
+    const oldKeys = Object.keys(legacy);
+    if (oldKeys.length) await AsyncStorage.multiRemove(oldKeys);
+  } else {
+    appState = normalizeAppState(doc);
+  }
+  loaded = true;
+  return appState;
+}
+
+// a read that fails is tried again after RETRY_DELAY_MS, then twice that, …
+const LOAD_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 200;
+
+async function loadWithRetries() {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await load();
+    } catch (e) {
+      if (attempt >= LOAD_ATTEMPTS) throw e;
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * attempt));
+    }
+  }
+}
+
+/** Loads (once) and returns the app state document. */
+export function loadAppState() {
+  if (!loading) {
+    loading = loadWithRetries().catch(e => {
+      // storage itself failed: run on defaults rather than not at all, without
+      // saving them over the real document. No reading it again this launch
+      // either: that would silently swap out whatever was changed since.
+      failed = true;
+      appState = appState || defaultAppState();
+      console.warn('Could not load app state', e);
+      return appState;
+    });
+  }
+  return loading;
+}
+
+/** True when storage couldn't be read, so changes aren't being saved. */
+export const storageFailed = () => failed;
+
+/** @returns {AppState} current document (defaults until loadAppState resolves) */
+export const getAppState = () => appState || defaultAppState();
+
+/** Writes any pending changes now. */
+export function flushAppState() {
+  if (writeTimer) {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+  }
+  if (!appState || !loaded) return writing;
+  const snapshot = JSON.stringify(appState);
+  writing = writing
+    .then(() => AsyncStorage.setItem(KEY_APP_STATE, snapshot))
+    .catch(e => console.warn('Could not save app state', e));
+  return writing;
+}
+
+/** Applies updater(state) → state and schedules one batched write. */
+export function updateAppState(updater) {
+  appState = updater(getAppState());
+  if (!writeTimer) writeTimer = setTimeout(flushAppState, WRITE_DELAY_MS);
+  return appState;
+}
+
+/** @returns {ProfileData} */
+export const getProfileData = (profileId) =>
+  getAppState().profileData[profileId] || defaultProfileData();
+
+/** Applies updater(profileData) → profileData for one profile. */
+export const updateProfileData = (profileId, updater) =>
+  updateAppState(state => ({
+    ...state,
+    profileData: {
+      ...state.profileData,
+      [profileId]: updater(state.profileData[profileId] || defaultProfileData()),
+    },
+  })).profileData[profileId];
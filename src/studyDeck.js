@@ -0,0 +1,35 @@
+/* ------------------------------------------------------------------------
+   Study mode (flashcards)
+
+   Learn before being tested: a deck goes through the round's questions
+   one card at a time. The front is the question; flipping shows the
+   answer, the hints and the explanation. The student marks each card
+   "knew it" or "didn't know"; nothing is timed, scored or saved. The
+   cards they didn't know make up the follow-up mini-quiz.
+
+   deck = {
+     cards,                 // prepared questions, in study order
+     index,                 // card on show (=== cards.length when done)
+     flipped,               // answer side up
+     known: [index, ...],
+     missed: [index, ...],
+   }
+------------------------------------------------------------------------ */
+
+export const createDeck = (cards) => ({ cards, index: 0, flipped: false, known: [], missed: [] });
+
+export const currentCard = (deck) => deck.cards[deck.index] || null;
+
+export const isDeckDone = (deck) => deck.index >= deck.cards.length;
+
+export const flipCard = (deck) => (isDeckDone(deck) ? deck : { ...deck, flipped: !deck.flipped });
+
+// mark the card on show and move to the next one (front side up)
+export function markCard(deck, knew) {
+  if (isDeckDone(deck)) return deck;
+  const key = knew ? 'known' : 'missed';
+  return { ...deck, [key]: [...deck[key], deck.index], index: deck.index + 1, flipped: false };
+}
+
+// the cards for the follow-up mini-quiz, in the order they were missed
+export const missedCards = (deck) => deck.missed.map(i => deck.cards[i]);
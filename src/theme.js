@@ -0,0 +1,154 @@
+/* ------------------------------------------------------------------------
+   Themes
+
+   Colour tokens for the light, dark and high-contrast palettes. The
+   ThemeProvider at the app root picks one: the system appearance by
+   default, or the profile's Settings override (setPick). Screens build
+   their StyleSheet from the tokens:
+
+     const styles = useThemedStyles(makeStyles);
+     const makeStyles = (c) => StyleSheet.create({ title: { color: c.primary } });
+
+   Right / wrong is never colour alone: VERDICT_MARK puts a symbol next
+   to every verdict colour, so the states stay readable for colour-blind
+   users and in high contrast.
+------------------------------------------------------------------------ */
+
+import React, { createContext, useContext, useMemo, useState } from 'react';
+import { useColorScheme } from 'react-native';
+import { VERDICT } from './answerMatching';
+
+/* -------------------------------- palettes -------------------------------- */
+
+const light = {
+  background: '#e7effc',
+  surface: '#fff',        // cards, inputs, setting rows
+  surfaceAlt: '#f7f7fa',  // list items
+  text: '#000',
+  textMuted: '#555',
+  border: '#888',
+  primary: '#3d5589',     // titles, main buttons, chips
+  onPrimary: '#fff',
+  onPrimaryMuted: '#dfe7fb',
+  primarySoft: '#dfe7fb', // secondary buttons
+  link: '#246BFD',
+  neutral: '#777',        // back / cancel buttons
+  danger: '#c23b3b',
+  onDanger: '#fff',
+  accent: '#f2c14e',      // active profile ring
+  daily: '#2f7d5b',
+  onDaily: '#e6f4ec',
+  highScore: 'purple',
+  score: 'green',
+  correct: 'green',
+  correctBg: '#d4f5d4',
+  nearly: '#d9822b',
+  wrong: 'red',
+  wrongBg: '#fbd9d9',
+  answer: 'blue',         // "Correct answer: …"
+};
+
+const dark = {
+  background: '#10151f',
+  surface: '#1d2533',
+  surfaceAlt: '#232c3b',
+  text: '#eef1f6',
+  textMuted: '#a8b0bf',
+  border: '#5a6475',
+  primary: '#8fa8e0',
+  onPrimary: '#0d1320',
+  onPrimaryMuted: '#25324d',
+  primarySoft: '#26324a',
+  link: '#7aa7ff',
+  neutral: '#6b7280',
+  danger: '#e06363',
+  onDanger: '#10151f',
+  accent: '#f2c14e',
+  daily: '#4fae84',
+  onDaily: '#0c2119',
+  highScore: '#c9a2f2',
+  score: '#6fd08c',
+  correct: '#6fd08c',
+  correctBg: '#17392a',
+  nearly: '#f0a75a',
+  wrong: '#ff7b7b',
+  wrongBg: '#47201f',
+  answer: '#8fb8ff',
+};
+
+// black on white with strong borders; verdict colours are dark enough to read as text
+const contrast = {
+  background: '#fff',
+  surface: '#fff',
+  surfaceAlt: '#fff',
+  text: '#000',
+  textMuted: '#000',
+  border: '#000',
+  primary: '#001a57',
+  onPrimary: '#fff',
+  onPrimaryMuted: '#fff',
+  primarySoft: '#fff',
+  link: '#0033cc',
+  neutral: '#333',
+  danger: '#a30000',
+  onDanger: '#fff',
+  accent: '#e6a800',
+  daily: '#004d26',
+  onDaily: '#fff',
+  highScore: '#4b0082',
+  score: '#004d26',
+  correct: '#004d26',
+  correctBg: '#fff',
+  nearly: '#7a3d00',
+  wrong: '#a30000',
+  wrongBg: '#fff',
+  answer: '#001a57',
+};
+
+const PALETTES = { light, dark, contrast };
+
+// for the Settings picker, in display order (null there = follow the system)
+export const THEMES = Object.keys(PALETTES);
+
+export const isThemeName = (name) => Object.prototype.hasOwnProperty.call(PALETTES, name);
+
+// profile pick wins; otherwise the system appearance (which may be null)
+export const resolveTheme = (pick, systemScheme) =>
+  (isThemeName(pick) ? pick : systemScheme === 'dark' ? 'dark' : 'light');
+
+// symbol shown next to each verdict colour
+export const VERDICT_MARK = {
+  [VERDICT.CORRECT]: '✓',
+  [VERDICT.NEARLY]: '≈',
+  [VERDICT.WRONG]: '✗',
+};
+
+/* -------------------------------- provider -------------------------------- */
+
+const makeTheme = (name, pick, setPick) => ({
+  name,
+  pick,
+  setPick,
+  colors: PALETTES[name],
+  dark: name === 'dark',
+  // high contrast draws heavier outlines on chips, options and inputs
+  borderWidth: name === 'contrast' ? 2 : 1,
+});
+
+const ThemeContext = createContext(makeTheme('light', null, () => {}));
+
+export function ThemeProvider({ children }) {
+  const systemScheme = useColorScheme();
+  const [pick, setPick] = useState(null); // profile setting; null = system
+  const name = resolveTheme(pick, systemScheme);
+  const theme = useMemo(() => makeTheme(name, pick, setPick), [name, pick]);
+  return <ThemeContext.Provider value={theme}>{children}</ThemeContext.Provider>;
+}
+
+export const useTheme = () => useContext(ThemeContext);
+
+// StyleSheet rebuilt only when the palette changes
+export function useThemedStyles(makeStyles) {
+  const theme = useTheme();
+  return useMemo(() => makeStyles(theme.colors, theme), [theme.name, makeStyles]);
+}
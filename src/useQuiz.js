@@ -0,0 +1,87 @@
+/* ------------------------------------------------------------------------
+   useQuiz — thin React wrapper around src/quizEngine.js
+
+   - keeps the engine state and exposes one function per event
+   - shows the seconds left on the engine's deadline and sends 'timeout'
+     at zero; it re-reads the clock when the app comes back to the
+     foreground, so time spent in other apps counts
+   - onAnswer(question, answerRecord, state) after every answer / time out
+   - onFinish(state) once when the round ends
+------------------------------------------------------------------------ */
+
+import { useEffect, useRef, useState } from 'react';
+import { AppState } from 'react-native';
+import {
+  STATUS,
+  currentAnswer,
+  currentQuestion,
+  initialQuizState,
+  isClockRunning,
+  quizReducer,
+  timeLeft,
+} from './quizEngine';
+
+// how often the clock is re-read (well under a second, so the display never skips)
+const TICK_MS = 250;
+
+export default function useQuiz({ onAnswer, onFinish }) {
+  const [state, setState] = useState(initialQuizState);
+  const [timer, setTimer] = useState(null); // seconds left; null = untimed round
+
+  // reducer runs synchronously on the latest state so callbacks see the result
+  const stateRef = useRef(state);
+  const callbacks = useRef({ onAnswer, onFinish });
+  callbacks.current = { onAnswer, onFinish };
+
+  const send = (event) => {
+    const prev = stateRef.current;
+    const next = quizReducer(prev, event);
+    if (next === prev) return;
+    stateRef.current = next;
+    setState(next);
+
+    // new deadline: show it in the same render as the state change
+    if (next.deadline !== prev.deadline) setTimer(timeLeft(next, Date.now()));
+
+    // (a whole-quiz time out answers and finishes in one go)
+    if (prev.status === STATUS.ANSWERING && currentAnswer(next)) {
+      callbacks.current.onAnswer?.(currentQuestion(next), currentAnswer(next), next);
+    }
+    if (prev.status !== STATUS.FINISHED && next.status === STATUS.FINISHED) {
+      callbacks.current.onFinish?.(next);
+    }
+  };
+
+  // the display follows the deadline, it never counts on its own
+  useEffect(() => {
+    if (!isClockRunning(state)) return;
+    const tick = () => {
+      const now = Date.now();
+      const left = timeLeft(stateRef.current, now);
+      setTimer(left);
+      if (left === 0) send({ type: 'timeout', now });
+    };
+    tick();
+    const id = setInterval(tick, TICK_MS);
+    // timers are paused in the background; catch up as soon as we're back
+    const sub = AppState.addEventListener('change', (next) => {
+      if (next === 'active') tick();
+    });
+    return () => {
+      clearInterval(id);
+      sub.remove();
+    };
+  }, [state.status, state.deadline]);
+
+  return {
+    state,
+    timer,
+    start: (options) => send({ type: 'start', ...options }),
+    answer: (answer) => send({ type: 'answer', answer }),
+    hint: () => send({ type: 'hint' }),
+    next: () => send({ type: 'next' }),
+    finish: () => send({ type: 'finish' }),
+    resume: (saved) => send({ type: 'resume', state: saved }),
+    reset: () => send({ type: 'reset' }),
+  };
+}